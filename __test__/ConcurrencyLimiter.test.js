@@ -0,0 +1,214 @@
+import { jest } from '@jest/globals'
+import { ConcurrencyLimiter } from '../src/ConcurrencyLimiter.js'
+import { RateLimiterDurableObject } from '../src/DurableObjectRateLimiter.js'
+import { MemoryStore } from '../src/stores/MemoryStore.js'
+
+/**
+ * Tests for ConcurrencyLimiter backed by MemoryStore and an in-memory Durable Object namespace
+ */
+
+function createMockNamespace () {
+  const instances = new Map()
+  return {
+    instances,
+    idFromName (name) { return name },
+    get (id) {
+      if (!instances.has(id)) {
+        const data = new Map()
+        const storage = {
+          async get (key) { return data.get(key) },
+          async put (key, value) { data.set(key, structuredClone(value)) },
+          async delete (key) { data.delete(key) },
+          async deleteAll () { data.clear() },
+          async getAlarm () { return null },
+          async setAlarm () {}
+        }
+        const instance = new RateLimiterDurableObject({ storage }, {})
+        instance.queue = Promise.resolve()
+        instances.set(id, instance)
+      }
+      const instance = instances.get(id)
+      // Durable Objects deliver one event at a time (input gates), so serialize calls per instance
+      return {
+        fetch: (url, init) => {
+          const result = instance.queue.then(() => instance.fetch(new Request(url, init)))
+          instance.queue = result.catch(() => {})
+          return result
+        }
+      }
+    }
+  }
+}
+
+function createCtx (env = {}) {
+  const ctx = {
+    env,
+    req: {},
+    headers: null,
+    thrown: null,
+    res: { set: (h) => { ctx.headers = h } },
+    throw: (status, message, { headers }) => { ctx.thrown = { status, message, headers } }
+  }
+  return ctx
+}
+
+// Holds next() until release() is called
+function createGate () {
+  let release
+  const promise = new Promise((resolve) => { release = resolve })
+  return { next: jest.fn(() => promise), release }
+}
+
+const baseOptions = {
+  limit: 2,
+  keyGenerator: () => 'ip'
+}
+
+describe.each([
+  ['store', () => ({ store: new MemoryStore() }), () => ({})],
+  ['binding', () => ({ binding: 'CONCURRENCY' }), () => ({ CONCURRENCY: createMockNamespace() })]
+])('ConcurrencyLimiter with %s', (name, createBackend, createEnv) => {
+  test('rejects requests over limit while others are in flight', async () => {
+    const mw = ConcurrencyLimiter({ ...baseOptions, ...createBackend() })
+    const env = createEnv()
+    const gate = createGate()
+    const ctxs = [createCtx(env), createCtx(env)]
+    const running = ctxs.map((ctx) => mw(ctx, gate.next))
+    await new Promise((resolve) => setTimeout(resolve, 10))
+
+    const rejected = createCtx(env)
+    await mw(rejected, jest.fn())
+    expect(rejected.thrown?.status).toBe(429)
+    expect(rejected.thrown.headers['X-RateLimit-Remaining']).toBe('0')
+
+    gate.release()
+    await Promise.all(running)
+    expect(ctxs.map((ctx) => ctx.thrown)).toEqual([null, null])
+
+    const ctx = createCtx(env)
+    await mw(ctx, async () => {})
+    expect(ctx.thrown).toBeNull()
+    expect(ctx.headers['X-RateLimit-Remaining']).toBe('1')
+  })
+
+  test('releases the slot when next throws', async () => {
+    const mw = ConcurrencyLimiter({ ...baseOptions, ...createBackend(), limit: 1 })
+    const env = createEnv()
+    await expect(mw(createCtx(env), async () => { throw new Error('boom') })).rejects.toThrow('boom')
+    const ctx = createCtx(env)
+    await mw(ctx, async () => {})
+    expect(ctx.thrown).toBeNull()
+  })
+})
+
+describe('ConcurrencyLimiter', () => {
+  test('prefixes store keys', async () => {
+    const store = new MemoryStore()
+    const mw = ConcurrencyLimiter({ ...baseOptions, store, prefix: 'slots:' })
+    await mw(createCtx(), async () => {
+      expect([...store.entries.keys()]).toEqual(['slots:ip'])
+    })
+    expect(store.entries.size).toBe(0)
+  })
+
+  test('routes each key to its own Durable Object', async () => {
+    const env = { CONCURRENCY: createMockNamespace() }
+    const mw = ConcurrencyLimiter({ ...baseOptions, binding: 'CONCURRENCY' })
+    await mw(createCtx(env), async () => {})
+    expect([...env.CONCURRENCY.instances.keys()]).toEqual(['concurrency:ip'])
+  })
+
+  test('resolves the store per request', async () => {
+    const store = new MemoryStore()
+    const mw = ConcurrencyLimiter({ ...baseOptions, store: (ctx) => ctx.env.store })
+    const ctx = createCtx({ store })
+    await mw(ctx, async () => {})
+    expect(ctx.headers['X-RateLimit-Limit']).toBe('2')
+  })
+
+  test('does not release a slot a dryRun request did not take', async () => {
+    const store = new MemoryStore()
+    const mw = ConcurrencyLimiter({ ...baseOptions, store, limit: 1, mode: 'dryRun' })
+    const gate = createGate()
+    const running = mw(createCtx(), gate.next)
+    await new Promise((resolve) => setTimeout(resolve, 10))
+
+    const ctx = createCtx()
+    await mw(ctx, async () => {})
+    expect(ctx.thrown).toBeNull()
+    expect(ctx.headers['X-RateLimit-Remaining']).toBe('0')
+    expect(store.entries.has('concurrency:ip')).toBe(true)
+
+    gate.release()
+    await running
+    expect(store.entries.has('concurrency:ip')).toBe(false)
+  })
+
+  test('releases the slot of every key returned by keyGenerator', async () => {
+    const store = new MemoryStore()
+    const mw = ConcurrencyLimiter({ ...baseOptions, store, limit: 1, keyGenerator: () => ['a', 'b'] })
+    await mw(createCtx(), async () => {
+      expect([...store.entries.keys()]).toEqual(['concurrency:a', 'concurrency:b'])
+    })
+    expect(store.entries.size).toBe(0)
+
+    const ctx = createCtx()
+    await mw(ctx, async () => {})
+    expect(ctx.thrown).toBeNull()
+  })
+
+  test('frees the slots of the previous keys when a later key rejects', async () => {
+    for (const backend of [{ store: new MemoryStore() }, { binding: 'CONCURRENCY' }]) {
+      const env = { CONCURRENCY: createMockNamespace() }
+      const mw = ConcurrencyLimiter({ ...baseOptions, ...backend, limit: 1, keyGenerator: (ctx) => ctx.req.keys })
+      const gate = createGate()
+      const holding = createCtx(env)
+      holding.req.keys = ['b']
+      const running = mw(holding, gate.next)
+      await new Promise((resolve) => setTimeout(resolve, 10))
+
+      const rejected = createCtx(env)
+      rejected.req.keys = ['a', 'b']
+      await mw(rejected, async () => {})
+      expect(rejected.thrown?.status).toBe(429)
+
+      const other = createCtx(env)
+      other.req.keys = ['a']
+      await mw(other, async () => {})
+      expect(other.thrown).toBeNull()
+
+      gate.release()
+      await running
+    }
+  })
+
+  test('throws for a cost returned by keyGenerator', async () => {
+    for (const backend of [{ store: new MemoryStore() }, { binding: 'CONCURRENCY' }]) {
+      const mw = ConcurrencyLimiter({ ...baseOptions, ...backend, keyGenerator: () => ({ key: 'ip', cost: 2 }) })
+      await expect(mw(createCtx({ CONCURRENCY: createMockNamespace() }), async () => {})).rejects.toThrow('a cost returned by keyGenerator is not supported by ConcurrencyLimiter')
+    }
+  })
+
+  test('throws when the store function does not return a store', async () => {
+    const mw = ConcurrencyLimiter({ ...baseOptions, store: () => ({}) })
+    await expect(mw(createCtx(), async () => {})).rejects.toThrow('options.store must resolve to a store')
+  })
+
+  test.each([
+    ['store and binding are missing', {}, 'options.store or options.binding is required, but not both'],
+    ['store and binding are both set', { store: new MemoryStore(), binding: 'CONCURRENCY' }, 'options.store or options.binding is required, but not both'],
+    ['store is invalid', { store: {} }, 'options.store must be a store'],
+    ['binding is invalid', { binding: 1 }, 'options.binding must be a string'],
+    ['prefix is empty', { store: new MemoryStore(), prefix: '' }, 'options.prefix must be a non-empty string'],
+    ['limit is invalid', { store: new MemoryStore(), limit: 0 }, 'options.limit must be >= 1'],
+    ['lease is invalid', { store: new MemoryStore(), lease: 0 }, 'options.lease must be >= 1 second'],
+    ['cost is set', { store: new MemoryStore(), cost: 2 }, 'options.cost is not supported by ConcurrencyLimiter'],
+    ['scopes are set', { store: new MemoryStore(), scopes: { user: { keyGenerator: () => 'user' } } }, 'options.scopes is not supported by this rate limiter']
+  ])('throws when %s', (name, overrides, message) => {
+    expect(() => ConcurrencyLimiter({ ...baseOptions, ...overrides })).toThrow(message)
+  })
+
+  test('throws when called without options', () => {
+    expect(() => ConcurrencyLimiter()).toThrow('options.store or options.binding is required, but not both')
+  })
+})
@@ -0,0 +1,294 @@
+import { jest } from '@jest/globals'
+import { DurableObjectRateLimiter, RateLimiterDurableObject } from '../src/DurableObjectRateLimiter.js'
+
+/**
+ * Tests for DurableObjectRateLimiter using an in-memory Durable Object namespace
+ */
+
+function createMockStorage () {
+  const data = new Map()
+  return {
+    data,
+    alarm: null,
+    async get (key) { return data.get(key) },
+    async put (key, value) { data.set(key, structuredClone(value)) },
+    async delete (key) { data.delete(key) },
+    async deleteAll () { data.clear() },
+    async getAlarm () { return this.alarm },
+    async setAlarm (time) { this.alarm = time }
+  }
+}
+
+function createMockNamespace () {
+  const instances = new Map()
+  return {
+    instances,
+    idFromName (name) { return name },
+    get (id) {
+      if (!instances.has(id)) {
+        const instance = new RateLimiterDurableObject({ storage: createMockStorage() }, {})
+        instance.queue = Promise.resolve()
+        instances.set(id, instance)
+      }
+      const instance = instances.get(id)
+      // Durable Objects deliver one event at a time (input gates), so serialize calls per instance
+      return {
+        fetch: (url, init) => {
+          const result = instance.queue.then(() => instance.fetch(new Request(url, init)))
+          instance.queue = result.catch(() => {})
+          return result
+        }
+      }
+    }
+  }
+}
+
+function createCtx (env) {
+  const ctx = {
+    env,
+    req: {},
+    headers: null,
+    thrown: null,
+    res: { set: (h) => { ctx.headers = h } },
+    throw: (status, message, { headers }) => { ctx.thrown = { status, message, headers } }
+  }
+  return ctx
+}
+
+const baseOptions = {
+  binding: 'RATE_LIMITER_DO',
+  limit: 3,
+  period: 60,
+  keyGenerator: () => 'ip'
+}
+
+describe('DurableObjectRateLimiter middleware', () => {
+  test('enforces limit exactly and sets headers', async () => {
+    const env = { RATE_LIMITER_DO: createMockNamespace() }
+    const mw = DurableObjectRateLimiter(baseOptions)
+    const next = jest.fn(async () => {})
+
+    for (let i = 2; i >= 0; i--) {
+      const ctx = createCtx(env)
+      await mw(ctx, next)
+      expect(ctx.thrown).toBeNull()
+      expect(ctx.headers['X-RateLimit-Limit']).toBe('3')
+      expect(ctx.headers['X-RateLimit-Remaining']).toBe(String(i))
+    }
+
+    const ctx = createCtx(env)
+    await mw(ctx, next)
+    expect(next).toHaveBeenCalledTimes(3)
+    expect(ctx.thrown?.status).toBe(429)
+    expect(Number(ctx.thrown.headers['Retry-After'])).toBeGreaterThan(0)
+    expect(Number(ctx.thrown.headers['Retry-After'])).toBeLessThanOrEqual(60)
+  })
+
+  test('keeps concurrent requests within limit', async () => {
+    const env = { RATE_LIMITER_DO: createMockNamespace() }
+    const mw = DurableObjectRateLimiter({ ...baseOptions, limit: 5 })
+    const next = jest.fn(async () => {})
+    const ctxs = Array.from({ length: 20 }, () => createCtx(env))
+    await Promise.all(ctxs.map((ctx) => mw(ctx, next)))
+    expect(next).toHaveBeenCalledTimes(5)
+    expect(ctxs.filter((ctx) => ctx.thrown?.status === 429)).toHaveLength(15)
+  })
+
+  test('routes each key to its own Durable Object with prefix', async () => {
+    const namespace = createMockNamespace()
+    const mw = DurableObjectRateLimiter({ ...baseOptions, prefix: 'test:', keyGenerator: (ctx) => ctx.req.ip })
+    const next = jest.fn(async () => {})
+    for (const ip of ['1.1.1.1', '2.2.2.2']) {
+      const ctx = createCtx({ RATE_LIMITER_DO: namespace })
+      ctx.req.ip = ip
+      await mw(ctx, next)
+    }
+    expect([...namespace.instances.keys()]).toEqual(['test:1.1.1.1', 'test:2.2.2.2'])
+  })
+
+  test('checks stacked limits in the Durable Object', async () => {
+    const env = { RATE_LIMITER_DO: createMockNamespace() }
+    const errorHandler = jest.fn()
+    const mw = DurableObjectRateLimiter({ ...baseOptions, limit: undefined, period: undefined, limits: [{ limit: 2, period: 1 }, { limit: 3, period: 3600 }], errorHandler })
+    const next = jest.fn(async () => {})
+    const ctxs = [createCtx(env), createCtx(env)]
+    for (const ctx of ctxs) await mw(ctx, next)
+    expect(ctxs[0].headers['X-RateLimit-Limit']).toBe('2')
+    expect(ctxs[0].headers['X-RateLimit-Remaining']).toBe('1')
+    const storage = env.RATE_LIMITER_DO.instances.get('ratelimit:ip').state.storage
+    expect([...storage.data.keys()].map((key) => key.split(':').slice(0, 2).join(':')).sort()).toEqual(['counter:1', 'counter:3600'])
+    await mw(createCtx(env), next)
+    expect(next).toHaveBeenCalledTimes(2)
+    expect(errorHandler.mock.calls[0][4].policy).toMatchObject({ limit: 2, period: 1 })
+  })
+
+  test('checks scopes in their own Durable Objects and refunds on rejection', async () => {
+    const env = { RATE_LIMITER_DO: createMockNamespace() }
+    const errorHandler = jest.fn()
+    const mw = DurableObjectRateLimiter({
+      binding: 'RATE_LIMITER_DO',
+      scopes: {
+        tenant: { keyGenerator: () => 'acme', limit: 3, period: 60 },
+        user: { keyGenerator: (ctx) => ctx.req.user, limit: 1, period: 60 }
+      },
+      errorHandler
+    })
+    const request = async (user) => {
+      const ctx = createCtx(env)
+      ctx.req.user = user
+      await mw(ctx, async () => {})
+      return ctx
+    }
+    expect((await request('alice')).headers['X-RateLimit-Remaining']).toBe('0')
+    await request('alice')
+    expect(errorHandler.mock.calls[0][4]).toMatchObject({ scope: 'user', key: 'user:alice' })
+    // The tenant unit taken by the rejected request was given back
+    expect((await request('bob')).headers['X-RateLimit-Remaining']).toBe('0')
+    await request('carol')
+    expect(errorHandler).toHaveBeenCalledTimes(1)
+    await request('dave')
+    expect(errorHandler.mock.calls[1][4].scope).toBe('tenant')
+    expect([...env.RATE_LIMITER_DO.instances.keys()]).toEqual(['ratelimit:tenant:acme', 'ratelimit:user:alice', 'ratelimit:user:bob', 'ratelimit:user:carol', 'ratelimit:user:dave'])
+  })
+
+  test('passes algorithm options to the Durable Object', async () => {
+    const env = { RATE_LIMITER_DO: createMockNamespace() }
+    const mw = DurableObjectRateLimiter({ ...baseOptions, algorithm: 'gcra', burst: 1 })
+    const next = jest.fn(async () => {})
+    const first = createCtx(env)
+    await mw(first, next)
+    expect(first.headers['X-RateLimit-Limit']).toBe('1')
+    const second = createCtx(env)
+    await mw(second, next)
+    expect(second.thrown?.status).toBe(429)
+    expect(second.thrown.headers['Retry-After']).toBe('20')
+  })
+
+  test('counts calendar quotas and reports their usage', async () => {
+    const env = { RATE_LIMITER_DO: createMockNamespace() }
+    const mw = DurableObjectRateLimiter({ ...baseOptions, period: 'week', timeZone: 'Europe/Paris' })
+    await mw(createCtx(env), async () => {})
+    expect(await mw.usage(createCtx(env))).toMatchObject({ key: 'ip', limit: 3, remaining: 2, policy: { period: 'week', timeZone: 'Europe/Paris' } })
+    expect(() => DurableObjectRateLimiter({ ...baseOptions, period: 'week', algorithm: 'token-bucket' })).toThrow('calendar periods (day, week, month) require the fixed-window algorithm')
+  })
+
+  test('skips rate limiting when keyGenerator returns falsy', async () => {
+    const mw = DurableObjectRateLimiter({ ...baseOptions, keyGenerator: () => null })
+    const next = jest.fn(async () => {})
+    await mw(createCtx({}), next)
+    expect(next).toHaveBeenCalledTimes(1)
+  })
+
+  test('success handler still runs when next throws', async () => {
+    const env = { RATE_LIMITER_DO: createMockNamespace() }
+    const mw = DurableObjectRateLimiter(baseOptions)
+    const ctx = createCtx(env)
+    await expect(mw(ctx, async () => { throw new Error('boom') })).rejects.toThrow('boom')
+    expect(ctx.headers['X-RateLimit-Remaining']).toBe('2')
+  })
+
+  test('throws when binding does not resolve to a Durable Object namespace', async () => {
+    const mw = DurableObjectRateLimiter(baseOptions)
+    await expect(mw(createCtx({}), async () => {})).rejects.toThrow('options.binding must be a Durable Object binding name that resolves to a Durable Object namespace')
+  })
+
+  test.each([
+    ['binding', { ...baseOptions, binding: null }, 'options.binding must be a string'],
+    ['prefix', { ...baseOptions, prefix: '' }, 'options.prefix must be a non-empty string'],
+    ['limit', { ...baseOptions, limit: 0 }, 'options.limit must be >= 1'],
+    ['period', { ...baseOptions, period: 0 }, 'options.period must be >= 1 second'],
+    ['algorithm', { ...baseOptions, algorithm: 'leaky' }, 'options.algorithm must be one of fixed-window, sliding-window, sliding-log, token-bucket, gcra'],
+    ['burst', { ...baseOptions, burst: 0 }, 'options.burst must be >= 1'],
+    ['refillRate', { ...baseOptions, refillRate: 0 }, 'options.refillRate must be > 0'],
+    ['keyGenerator', { ...baseOptions, keyGenerator: /** @type {any} */ ('ip') }, 'options.keyGenerator must be a function'],
+    ['successHandler', { ...baseOptions, successHandler: /** @type {any} */ (123) }, 'options.successHandler must be a function'],
+    ['errorHandler', { ...baseOptions, errorHandler: /** @type {any} */ ({}) }, 'options.errorHandler must be a function']
+  ])('throws when %s is invalid', (field, options, expectedError) => {
+    expect(() => DurableObjectRateLimiter(options)).toThrow(expectedError)
+  })
+
+  test('throws when called without options', () => {
+    expect(() => DurableObjectRateLimiter()).toThrow('options.binding must be a string')
+  })
+})
+
+describe('RateLimiterDurableObject', () => {
+  test('starts a new window after the period and schedules cleanup', async () => {
+    const storage = createMockStorage()
+    const durableObject = new RateLimiterDurableObject({ storage }, {})
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000)
+    try {
+      const options = { policies: [{ limit: 1, period: 10 }] }
+      expect(await durableObject.limit(options)).toMatchObject({ success: true, limit: 1, remaining: 0, reset: 10 })
+      expect(storage.alarm).toBe(1_010_000)
+      now.mockReturnValue(1_004_500)
+      expect(await durableObject.limit(options)).toMatchObject({ success: false, limit: 1, remaining: 0, reset: 6 })
+      now.mockReturnValue(1_010_000)
+      expect(await durableObject.limit(options)).toMatchObject({ success: true, limit: 1, remaining: 0, reset: 10 })
+      expect(storage.alarm).toBe(1_020_000)
+    } finally {
+      now.mockRestore()
+    }
+  })
+
+  test('alarm clears stored counters', async () => {
+    const storage = createMockStorage()
+    const durableObject = new RateLimiterDurableObject({ storage }, {})
+    await durableObject.limit({ policies: [{ limit: 1, period: 60 }] })
+    expect(storage.data.size).toBe(1)
+    await durableObject.alarm()
+    expect(storage.data.size).toBe(0)
+  })
+
+  test('runs the requested algorithm on its storage', async () => {
+    const durableObject = new RateLimiterDurableObject({ storage: createMockStorage() }, {})
+    const options = { algorithm: 'token-bucket', policies: [{ limit: 10, period: 60, burst: 2 }] }
+    expect(await durableObject.limit(options)).toMatchObject({ success: true, limit: 2, remaining: 1 })
+    expect(await durableObject.limit(options)).toMatchObject({ success: true, limit: 2, remaining: 0 })
+    expect(await durableObject.limit(options)).toMatchObject({ success: false, limit: 2, remaining: 0, reset: 6 })
+  })
+
+  test('refunds units through fetch', async () => {
+    const durableObject = new RateLimiterDurableObject({ storage: createMockStorage() }, {})
+    const policies = [{ limit: 1, period: 60 }]
+    await durableObject.limit({ policies })
+    const response = await durableObject.fetch(new Request('https://rate-limiter/refund', { method: 'POST', body: JSON.stringify({ policies }) }))
+    expect(await response.json()).toEqual({ success: true })
+    expect(await durableObject.limit({ policies })).toMatchObject({ success: true })
+    await durableObject.refund({ algorithm: 'gcra', policies, cost: 1 })
+  })
+
+  test('consumes and refunds at the given time', async () => {
+    const durableObject = new RateLimiterDurableObject({ storage: createMockStorage() }, {})
+    const policies = [{ limit: 1, period: 60 }]
+    await durableObject.limit({ policies, now: 59_000 })
+    await durableObject.limit({ policies, now: 61_000 })
+    await durableObject.refund({ policies, now: 59_000 })
+    expect(await durableObject.limit({ policies, now: 61_500 })).toMatchObject({ success: false })
+    expect(await durableObject.limit({ policies, now: 59_500 })).toMatchObject({ success: true })
+  })
+
+  test('peeks without consuming through fetch', async () => {
+    const durableObject = new RateLimiterDurableObject({ storage: createMockStorage() }, {})
+    const policies = [{ limit: 2, period: 'day', timeZone: 'UTC' }]
+    await durableObject.limit({ policies })
+    const response = await durableObject.fetch(new Request('https://rate-limiter/peek', { method: 'POST', body: JSON.stringify({ policies }) }))
+    expect(await response.json()).toMatchObject({ success: true, limit: 2, remaining: 1 })
+    expect(await durableObject.peek({ policies })).toMatchObject({ remaining: 1 })
+  })
+
+  test('acquires and releases concurrency slots through fetch', async () => {
+    const durableObject = new RateLimiterDurableObject({ storage: createMockStorage() }, {})
+    const post = async (action, body) => (await durableObject.fetch(new Request(`https://rate-limiter/${action}`, { method: 'POST', body: JSON.stringify(body) }))).json()
+    expect(await post('acquire', { limit: 1, lease: 60, id: 'a' })).toEqual({ success: true, limit: 1, remaining: 0, reset: 60, lease: 'a' })
+    expect(await post('acquire', { limit: 1, lease: 60, id: 'b' })).toMatchObject({ success: false })
+    expect(await post('release', { id: 'a' })).toEqual({ success: true })
+    expect(await post('acquire', { limit: 1, lease: 60, id: 'b' })).toMatchObject({ success: true, lease: 'b' })
+  })
+
+  test('fetch returns 404 for unknown routes', async () => {
+    const durableObject = new RateLimiterDurableObject({ storage: createMockStorage() }, {})
+    const response = await durableObject.fetch(new Request('https://rate-limiter/unknown'))
+    expect(response.status).toBe(404)
+  })
+})
@@ -8,6 +8,20 @@ function createMockKV () {
   }
 }
 
+// Map backed KV mock
+function createMemoryKV () {
+  const data = new Map()
+  return {
+    data,
+    async get (key, type) {
+      const value = data.has(key) ? data.get(key).value : null
+      return type === 'json' && value !== null ? JSON.parse(value) : value
+    },
+    async put (key, value, options) { data.set(key, { value, options }) },
+    async delete (key) { data.delete(key) }
+  }
+}
+
 describe('KVRateLimiter middleware validations', () => {
   test('throws when interval > period', async () => {
     const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
@@ -170,6 +184,10 @@ describe('KVRateLimiter invalid option branches', () => {
     ['period (NaN)', { ...baseOptions, period: Number.NaN }, 'options.period must be >= 60 seconds (Cloudflare KV TTL minimum)'],
     ['interval (< 0)', { ...baseOptions, interval: -1 }, 'options.interval must be >= 0'],
     ['interval (NaN)', { ...baseOptions, interval: Number.NaN }, 'options.interval must be >= 0'],
+    ['algorithm', { ...baseOptions, algorithm: 'leaky-bucket' }, 'options.algorithm must be one of fixed-window, sliding-window, sliding-log, token-bucket, gcra or an object exposing consume()'],
+    ['burst', { ...baseOptions, burst: 0 }, 'options.burst must be >= 1'],
+    ['refillRate', { ...baseOptions, refillRate: -1 }, 'options.refillRate must be > 0'],
+    ['cost (without algorithm)', { ...baseOptions, cost: 2 }, 'options.cost requires options.algorithm'],
     ['keyGenerator', { ...baseOptions, keyGenerator: /** @type {any} */ ('ip') }, 'options.keyGenerator must be a function'],
     ['successHandler', { ...baseOptions, successHandler: /** @type {any} */ (123) }, 'options.successHandler must be a function'],
     ['errorHandler', { ...baseOptions, errorHandler: /** @type {any} */ ({}) }, 'options.errorHandler must be a function']
@@ -217,6 +235,66 @@ describe('KVRateLimiter default options branches', () => {
   })
 })
 
+describe('KVRateLimiter stacked limits', () => {
+  test('checks each limit with cloudflare-kv-rate-limit until one rejects', async () => {
+    jest.resetModules()
+    const calls = []
+    jest.unstable_mockModule('cloudflare-kv-rate-limit', () => ({
+      default: (opts) => async (key) => {
+        calls.push({ period: opts.period, key })
+        return opts.period === 60 ? { success: false, remaining: 0, reset: 30 } : { success: true, remaining: 99, reset: 3000 }
+      }
+    }))
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const ctx = {
+      env: { KV: createMockKV() },
+      req: {},
+      res: { set: () => {} },
+      thrown: null,
+      throw: (status, message, { headers }) => { ctx.thrown = { status, message, headers } }
+    }
+    const mw = KVRateLimiter({
+      binding: 'KV',
+      limits: [{ limit: 5, period: 60 }, { limit: 100, period: 3600 }],
+      keyGenerator: () => 'ip'
+    })
+    await mw(ctx, async () => {})
+    expect(calls).toEqual([{ period: 60, key: 'ip:60' }])
+    expect(ctx.thrown.headers['X-RateLimit-Limit']).toBe('5')
+    expect(ctx.thrown.headers['Retry-After']).toBe('30')
+  })
+
+  test('checks the interval against limits resolved per request', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const mw = KVRateLimiter({
+      binding: 'KV',
+      limit: 5,
+      period: (ctx) => ctx.req.period,
+      interval: 120,
+      keyGenerator: () => 'ip'
+    })
+    const ctx = { env: { KV: createMockKV() }, req: { period: 60 }, res: { set: () => {} }, throw: () => {} }
+    await expect(mw(ctx, async () => {})).rejects.toThrow('options.interval must be <= options.period')
+  })
+
+  test('throws for a cost returned by keyGenerator without algorithm', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const mw = KVRateLimiter({ binding: 'KV', limit: 5, period: 60, keyGenerator: () => ({ key: 'ip', cost: 2 }) })
+    const ctx = { env: { KV: createMockKV() }, req: {}, res: { set: () => {} }, throw: () => {} }
+    await expect(mw(ctx, async () => {})).rejects.toThrow('a cost returned by keyGenerator requires options.algorithm')
+  })
+
+  test('throws when interval exceeds the shortest period', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    expect(() => KVRateLimiter({
+      binding: 'KV',
+      limits: [{ limit: 5, period: 60 }, { limit: 100, period: 3600 }],
+      interval: 120,
+      keyGenerator: () => 'ip'
+    })).toThrow('options.interval must be <= options.period')
+  })
+})
+
 describe('KVRateLimiter binding as string', () => {
   test('accepts binding as string and gets from ctx.env', async () => {
     jest.resetModules()
@@ -243,3 +321,228 @@ describe('KVRateLimiter binding as string', () => {
     expect(next).toHaveBeenCalledTimes(1)
   })
 })
+
+describe('KVRateLimiter allow and deny', () => {
+  test('applies allow and deny rules before counting', async () => {
+    jest.resetModules()
+    const ratelimiter = jest.fn(async () => ({ success: true, remaining: 4, reset: 10 }))
+    jest.unstable_mockModule('cloudflare-kv-rate-limit', () => ({ default: () => ratelimiter }))
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const mw = KVRateLimiter({
+      binding: 'KV',
+      limit: 5,
+      period: 60,
+      allow: ['2001:db8::/32'],
+      deny: ['203.0.113.0/24'],
+      keyGenerator: (ctx) => ctx.req.ip
+    })
+    const createCtx = (ip) => {
+      const ctx = { env: { KV: createMockKV() }, req: { ip }, res: { set: () => {} }, thrown: null, throw: (status) => { ctx.thrown = status } }
+      return ctx
+    }
+
+    const denied = createCtx('203.0.113.7')
+    await mw(denied, async () => {})
+    expect(denied.thrown).toBe(403)
+
+    await mw(createCtx('2001:db8::1'), async () => {})
+    expect(ratelimiter).not.toHaveBeenCalled()
+
+    await mw(createCtx('192.0.2.1'), async () => {})
+    expect(ratelimiter).toHaveBeenCalledWith('192.0.2.1')
+  })
+})
+
+describe('KVRateLimiter algorithm option', () => {
+  const algorithmOptions = {
+    binding: 'KV',
+    limit: 2,
+    period: 60,
+    keyGenerator: () => 'ip'
+  }
+
+  function createCtx (env) {
+    const ctx = {
+      env,
+      req: {},
+      headers: null,
+      thrown: null,
+      res: { set: (h) => { ctx.headers = h } },
+      throw: (status, message, { headers }) => { ctx.thrown = { status, message, headers } }
+    }
+    return ctx
+  }
+
+  test('enforces fixed-window in KV without cloudflare-kv-rate-limit', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const env = { KV: createMemoryKV() }
+    const mw = KVRateLimiter({ ...algorithmOptions, algorithm: 'fixed-window' })
+    const next = jest.fn(async () => {})
+    const ctxs = [createCtx(env), createCtx(env), createCtx(env)]
+    for (const ctx of ctxs) await mw(ctx, next)
+    expect(next).toHaveBeenCalledTimes(2)
+    expect(ctxs[1].headers['X-RateLimit-Remaining']).toBe('0')
+    expect(ctxs[2].thrown?.status).toBe(429)
+    const [[key, { options }]] = env.KV.data
+    expect(key).toMatch(/^ratelimit:ip:\d+$/)
+    expect(options.expirationTtl).toBeGreaterThanOrEqual(60)
+  })
+
+  test('refunds the other scopes when one rejects', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const env = { KV: createMemoryKV() }
+    const mw = KVRateLimiter({
+      binding: 'KV',
+      algorithm: 'fixed-window',
+      scopes: {
+        tenant: { keyGenerator: () => 'acme', limit: 10, period: 60 },
+        user: { keyGenerator: () => 'alice', limit: 1, period: 60 }
+      }
+    })
+    const ctxs = [createCtx(env), createCtx(env)]
+    for (const ctx of ctxs) await mw(ctx, async () => {})
+    expect(ctxs[1].thrown?.status).toBe(429)
+    const tenant = [...env.KV.data].find(([key]) => key.startsWith('ratelimit:tenant:acme:'))
+    expect(JSON.parse(tenant[1].value).value).toBe(1)
+  })
+
+  test('reports burst as limit for token-bucket', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const env = { KV: createMemoryKV() }
+    const mw = KVRateLimiter({ ...algorithmOptions, algorithm: 'token-bucket', burst: 5, refillRate: 1 })
+    const ctx = createCtx(env)
+    await mw(ctx, async () => {})
+    expect(ctx.headers['X-RateLimit-Limit']).toBe('5')
+    expect(ctx.headers['X-RateLimit-Remaining']).toBe('4')
+    expect(JSON.parse(env.KV.data.get('ratelimit:ip').value).value.tokens).toBe(4)
+  })
+
+  test('accepts a custom algorithm', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const consume = jest.fn(async () => ({ success: false, limit: 2, remaining: 0, reset: 7 }))
+    const mw = KVRateLimiter({ ...algorithmOptions, algorithm: { consume } })
+    const ctx = createCtx({ KV: createMemoryKV() })
+    await mw(ctx, async () => {})
+    expect(consume).toHaveBeenCalledWith(expect.any(Object), 'ratelimit:ip', { limit: 2, period: 60, burst: undefined, refillRate: undefined, cost: 1, now: expect.any(Number) })
+    expect(ctx.thrown.headers['Retry-After']).toBe('7')
+  })
+
+  test('consumes cost units per request', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const env = { KV: createMemoryKV() }
+    const mw = KVRateLimiter({ ...algorithmOptions, limit: 10, algorithm: 'sliding-log', cost: (ctx) => ctx.req.cost })
+    const ctx = createCtx(env)
+    ctx.req.cost = 4
+    await mw(ctx, async () => {})
+    expect(ctx.headers['X-RateLimit-Remaining']).toBe('6')
+  })
+
+  test('counts only failed requests with skipSuccessfulRequests', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const env = { KV: createMemoryKV() }
+    const mw = KVRateLimiter({ ...algorithmOptions, algorithm: 'fixed-window', skipSuccessfulRequests: true })
+    const ctxs = [201, 401, 200, 401].map((status) => Object.assign(createCtx(env), { status }))
+    for (const ctx of ctxs) await mw(ctx, async () => { ctx.res.status = ctx.status })
+    expect(ctxs.map((ctx) => ctx.headers['X-RateLimit-Remaining'])).toEqual(['2', '1', '1', '0'])
+  })
+
+  test('throws for skipSuccessfulRequests without algorithm', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    expect(() => KVRateLimiter({ ...algorithmOptions, skipSuccessfulRequests: true })).toThrow('require a rate limiter that can give units back')
+  })
+
+  test('bans repeat offenders with Retry-After until lifted', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const env = { KV: createMemoryKV() }
+    const mw = KVRateLimiter({ ...algorithmOptions, limit: 1, algorithm: 'fixed-window', ban: { threshold: 2, durations: [600] } })
+    const ctxs = [createCtx(env), createCtx(env), createCtx(env), createCtx(env)]
+    for (const ctx of ctxs) await mw(ctx, async () => {})
+    expect(ctxs.map((ctx) => ctx.thrown?.headers['Retry-After'])).toEqual([undefined, expect.any(String), '600', '600'])
+    expect(await mw.bans.get({ env }, 'ip')).toEqual({ level: 1, until: expect.any(Number), reset: 600 })
+    expect(env.KV.data.has('ratelimit:ban:ip')).toBe(true)
+
+    await mw.bans.lift({ env }, 'ip')
+    expect(await mw.bans.get({ env }, 'ip')).toBeNull()
+  })
+
+  test('batches increments in the isolate with cache', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const env = { KV: createMemoryKV() }
+    jest.spyOn(env.KV, 'put')
+    const mw = KVRateLimiter({ ...algorithmOptions, algorithm: 'fixed-window', cache: { ttl: 60 } })
+    const ctxs = [createCtx(env), createCtx(env), createCtx(env)]
+    for (const ctx of ctxs) await mw(ctx, async () => {})
+    expect(ctxs.map((ctx) => ctx.thrown?.status)).toEqual([undefined, undefined, 429])
+    expect(env.KV.put).toHaveBeenCalledTimes(1)
+  })
+
+  test('answers rejected keys from the isolate with cache', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const env = { KV: createMemoryKV() }
+    const mw = KVRateLimiter({ ...algorithmOptions, limit: 1, algorithm: 'sliding-window', cache: true })
+    await mw(createCtx(env), async () => {})
+    await mw(createCtx(env), async () => {})
+    jest.spyOn(env.KV, 'get')
+    const ctx = createCtx(env)
+    await mw(ctx, async () => {})
+    expect(ctx.thrown?.status).toBe(429)
+    expect(ctx.thrown.headers['Retry-After']).toMatch(/^\d+$/)
+    expect(env.KV.get).not.toHaveBeenCalled()
+  })
+
+  test('throws when cache is invalid', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    expect(() => KVRateLimiter({ ...algorithmOptions, cache: { ttl: -1 } })).toThrow('options.cache.ttl must be > 0 (seconds)')
+  })
+
+  test.each(['sliding-log', 'token-bucket', 'gcra'])('throws when cache is set with %s', async (algorithm) => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    expect(() => KVRateLimiter({ ...algorithmOptions, algorithm, cache: true })).toThrow('options.cache requires the fixed-window or sliding-window algorithm')
+    expect(() => KVRateLimiter({ ...algorithmOptions, algorithm: 'sliding-window', cache: true })).not.toThrow()
+  })
+
+  test('counts calendar quotas and reports usage with fixed-window', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const env = { KV: createMemoryKV() }
+    const mw = KVRateLimiter({ ...algorithmOptions, period: 'month', algorithm: 'fixed-window' })
+    await mw(createCtx(env), async () => {})
+    expect(await mw.usage(createCtx(env))).toMatchObject({ key: 'ip', success: true, limit: 2, remaining: 1, policy: { period: 'month', timeZone: 'UTC' } })
+    const now = new Date()
+    const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+    expect(JSON.parse(env.KV.data.get(`ratelimit:ip:${start}`).value).value).toBe(1)
+  })
+
+  test('throws for calendar periods without fixed-window', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    expect(() => KVRateLimiter({ ...algorithmOptions, period: 'day' })).toThrow('calendar periods (day, week, month) require the fixed-window algorithm')
+    expect(() => KVRateLimiter({ ...algorithmOptions, period: 'day', algorithm: 'sliding-window' })).toThrow('calendar periods (day, week, month) require the fixed-window algorithm')
+    expect(KVRateLimiter(algorithmOptions).usage).toBeUndefined()
+  })
+
+  test('applies the policy document of config once refreshed', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    jest.useFakeTimers({ now: 1_000_000 })
+    try {
+      const env = { KV: createMemoryKV() }
+      const mw = KVRateLimiter({ ...algorithmOptions, limit: 100, algorithm: 'fixed-window', config: { binding: 'KV', key: 'config:policy', refresh: 10 } })
+      const first = createCtx(env)
+      await mw(first, async () => {})
+      expect(first.headers['X-RateLimit-Limit']).toBe('100')
+
+      await env.KV.put('config:policy', JSON.stringify({ limit: 2, period: 60 }))
+      jest.advanceTimersByTime(10_000)
+      const ctxs = [createCtx(env), createCtx(env)]
+      for (const ctx of ctxs) await mw(ctx, async () => {})
+      expect(ctxs[0].headers['X-RateLimit-Limit']).toBe('2')
+      expect(ctxs[1].thrown?.status).toBe(429)
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  test('throws when binding does not resolve to a KV namespace', async () => {
+    const { KVRateLimiter } = await import('../src/KVRateLimiter.js')
+    const mw = KVRateLimiter({ ...algorithmOptions, algorithm: 'gcra' })
+    await expect(mw(createCtx({}), async () => {})).rejects.toThrow('options.binding must be a KV binding name that resolves to a Cloudflare KV namespace')
+  })
+})
@@ -0,0 +1,74 @@
+import { Limiter } from '../src/Limiter.js'
+import { StoreRateLimiter } from '../src/StoreRateLimiter.js'
+import { MemoryStore } from '../src/stores/MemoryStore.js'
+
+/**
+ * Tests for the rate limiter used outside of Hoa requests
+ */
+
+describe('Limiter', () => {
+  test('checks and consumes units', async () => {
+    const limiter = new Limiter({ store: new MemoryStore(), limit: 5, period: 60 })
+    expect(await limiter.check('user')).toMatchObject({ success: true, limit: 5, remaining: 4 })
+    expect(await limiter.consume('user', 3)).toMatchObject({ success: true, remaining: 1 })
+    expect(await limiter.consume('user', 2)).toMatchObject({ success: false, remaining: 1 })
+    expect(await limiter.consume('other')).toMatchObject({ success: true, remaining: 4 })
+  })
+
+  test('peeks without consuming', async () => {
+    const limiter = new Limiter({ store: new MemoryStore(), limit: 5, period: 60, algorithm: 'token-bucket' })
+    await limiter.consume('user', 2)
+    expect(await limiter.peek('user')).toMatchObject({ success: true, remaining: 3 })
+    expect(await limiter.peek('user')).toMatchObject({ success: true, remaining: 3 })
+  })
+
+  test('refunds and resets a key', async () => {
+    const store = new MemoryStore()
+    const limiter = new Limiter({ store, prefix: 'jobs:', limits: [{ limit: 2, period: 60 }, { limit: 10, period: 3600 }] })
+    await limiter.consume('user', 2)
+    await limiter.refund('user')
+    expect(await limiter.peek('user')).toMatchObject({ remaining: 1 })
+    await limiter.reset('user')
+    expect(store.entries.size).toBe(0)
+    expect(await limiter.peek('user')).toMatchObject({ remaining: 2 })
+  })
+
+  test('shares counters with StoreRateLimiter', async () => {
+    const store = new MemoryStore()
+    const limiter = new Limiter({ store, limit: 1, period: 60 })
+    const middleware = StoreRateLimiter({ store, limit: 1, period: 60, keyGenerator: () => 'ip', successHandler: () => {}, errorHandler: (ctx) => { ctx.rejected = true } })
+    const ctx = { req: {}, res: {} }
+    await middleware(ctx, async () => {})
+    expect(await limiter.peek('ip')).toMatchObject({ remaining: 0 })
+    await limiter.reset('ip')
+    await middleware(ctx, async () => {})
+    expect(ctx.rejected).toBeUndefined()
+  })
+
+  test('throws when the algorithm cannot refund', async () => {
+    const limiter = new Limiter({ store: new MemoryStore(), limit: 1, period: 1, algorithm: { consume: async () => ({ success: true, limit: 1, remaining: 0, reset: 1 }) } })
+    await expect(limiter.refund('user')).rejects.toThrow('options.algorithm does not support refund()')
+  })
+
+  test.each([
+    ['key', (limiter) => limiter.consume(''), 'key must be a non-empty string'],
+    ['cost', (limiter) => limiter.consume('user', -1), 'cost must be a number >= 0'],
+    ['refund cost', (limiter) => limiter.refund('user', NaN), 'cost must be a number >= 0']
+  ])('rejects an invalid %s', async (name, call, message) => {
+    await expect(call(new Limiter({ store: new MemoryStore(), limit: 1, period: 1 }))).rejects.toThrow(message)
+  })
+
+  test.each([
+    ['store', { limit: 1, period: 1 }, 'options.store must be a store exposing get(), set(), increment() and reset()'],
+    ['prefix', { store: new MemoryStore(), prefix: '', limit: 1, period: 1 }, 'options.prefix must be a non-empty string'],
+    ['limit', { store: new MemoryStore(), limit: 0, period: 1 }, 'options.limit must be >= 1'],
+    ['algorithm', { store: new MemoryStore(), limit: 1, period: 1, algorithm: 'leaky-bucket' }, 'options.algorithm must be one of'],
+    ['period', { store: new MemoryStore(), limit: 1, period: 'month', algorithm: 'gcra' }, 'calendar periods (day, week, month) require the fixed-window algorithm']
+  ])('throws when %s is invalid', (name, options, message) => {
+    expect(() => new Limiter(/** @type {any} */ (options))).toThrow(message)
+  })
+
+  test('throws when called without options', () => {
+    expect(() => new Limiter()).toThrow('options.store must be')
+  })
+})
@@ -110,6 +110,76 @@ describe('RateLimiter runtime branches', () => {
   })
 })
 
+describe('RateLimiter cost', () => {
+  function createCountingBinding (allowed) {
+    return {
+      calls: 0,
+      async limit () { return { success: ++this.calls <= allowed } }
+    }
+  }
+
+  test('calls limit() once per cost unit', async () => {
+    const { RateLimiter } = await import('../src/RateLimiter.js')
+    const binding = createCountingBinding(10)
+    const ctx = { env: { RATE_LIMITER: binding }, req: {}, res: { set: () => {} }, throw: () => {} }
+    const next = jest.fn(async () => {})
+    await RateLimiter({ binding: 'RATE_LIMITER', limit: 10, keyGenerator: () => 'ip', cost: () => 3 })(ctx, next)
+    expect(binding.calls).toBe(3)
+    expect(next).toHaveBeenCalledTimes(1)
+  })
+
+  test('stops at the first denied unit', async () => {
+    const { RateLimiter } = await import('../src/RateLimiter.js')
+    const binding = createCountingBinding(1)
+    const ctx = { env: { RATE_LIMITER: binding }, req: {}, res: { set: () => {} }, thrown: null, throw: (status) => { ctx.thrown = { status } } }
+    const next = jest.fn(async () => {})
+    await RateLimiter({ binding: 'RATE_LIMITER', limit: 10, keyGenerator: () => 'ip', cost: 5 })(ctx, next)
+    expect(binding.calls).toBe(2)
+    expect(next).not.toHaveBeenCalled()
+    expect(ctx.thrown?.status).toBe(429)
+  })
+
+  test('charges a deferred cost after next', async () => {
+    const { RateLimiter } = await import('../src/RateLimiter.js')
+    const binding = createCountingBinding(2)
+    const ctx = { env: { RATE_LIMITER: binding }, req: {}, res: { set: () => {} }, throw: () => {} }
+    const next = jest.fn(async () => { ctx.res.cost = 4 })
+    await RateLimiter({ binding: 'RATE_LIMITER', limit: 10, keyGenerator: () => 'ip', cost: (c) => c.res.cost, deferCost: true })(ctx, next)
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(binding.calls).toBe(4)
+  })
+
+  test('caps the calls at limit', async () => {
+    const { RateLimiter } = await import('../src/RateLimiter.js')
+    const binding = createCountingBinding(100)
+    const ctx = { env: { RATE_LIMITER: binding }, req: {}, res: { set: () => {} }, throw: () => {} }
+    const next = jest.fn(async () => { ctx.res.cost = 500 })
+    await RateLimiter({ binding: 'RATE_LIMITER', limit: 10, keyGenerator: () => 'ip', cost: (c) => c.res.cost, deferCost: true })(ctx, next)
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(binding.calls).toBe(11)
+  })
+
+  test('rejects a cost above limit without calling limit()', async () => {
+    const { RateLimiter } = await import('../src/RateLimiter.js')
+    const binding = createCountingBinding(100)
+    const ctx = { env: { RATE_LIMITER: binding }, req: {}, res: { set: () => {} }, thrown: null, throw: (status) => { ctx.thrown = { status } } }
+    const next = jest.fn(async () => {})
+    await RateLimiter({ binding: 'RATE_LIMITER', limit: 10, keyGenerator: () => 'ip', cost: 500 })(ctx, next)
+    expect(binding.calls).toBe(0)
+    expect(next).not.toHaveBeenCalled()
+    expect(ctx.thrown?.status).toBe(429)
+  })
+
+  test('requires limit for a cost above 1', async () => {
+    const { RateLimiter } = await import('../src/RateLimiter.js')
+    const binding = createCountingBinding(100)
+    const ctx = { env: { RATE_LIMITER: binding }, req: {}, res: { set: () => {} }, throw: () => {} }
+    const mw = RateLimiter({ binding: 'RATE_LIMITER', keyGenerator: () => 'ip', cost: 2, onStoreError: 'open' })
+    await expect(mw(ctx, async () => {})).rejects.toThrow('options.limit is required by a cost above 1, it caps the calls to limit()')
+    expect(binding.calls).toBe(0)
+  })
+})
+
 describe('RateLimiter options validation', () => {
   test('throws when options is null', async () => {
     const { RateLimiter } = await import('../src/RateLimiter.js')
@@ -178,3 +248,135 @@ describe('RateLimiter binding as string', () => {
     expect(ctx.thrown?.message).toBe('Too Many Requests')
   })
 })
+
+describe('RateLimiter headers', () => {
+  test('reports the configured limit and period', async () => {
+    jest.resetModules()
+    const { RateLimiter } = await import('../src/RateLimiter.js')
+    const createCtx = (binding) => {
+      const ctx = {
+        env: { RATE_LIMITER: binding },
+        req: {},
+        headers: null,
+        thrown: null,
+        res: { set: (h) => { ctx.headers = h } },
+        throw: (status, message, { headers }) => { ctx.thrown = { status, message, headers } }
+      }
+      return ctx
+    }
+    const mw = RateLimiter({ binding: 'RATE_LIMITER', limit: 100, period: 60, headers: 'draft-6', keyGenerator: () => 'ip' })
+
+    const allowed = createCtx(createMockBinding(true))
+    await mw(allowed, async () => {})
+    expect(allowed.headers).toEqual({ 'RateLimit-Limit': '100', 'RateLimit-Policy': '100;w=60' })
+
+    const denied = createCtx(createMockBinding(false))
+    await mw(denied, async () => {})
+    expect(denied.thrown.headers).toEqual({
+      'RateLimit-Limit': '100',
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': '60',
+      'RateLimit-Policy': '100;w=60',
+      'Retry-After': '60'
+    })
+  })
+
+  test('passes the info object to the handlers and the message', async () => {
+    const { RateLimiter } = await import('../src/RateLimiter.js')
+    const errorHandler = jest.fn()
+    const message = jest.fn(() => 'Slow down')
+    const info = { key: 'ip', success: false, limit: 100, remaining: 0, reset: 60, policy: { limit: 100, period: 60 } }
+
+    await RateLimiter({ binding: 'RATE_LIMITER', limit: 100, period: 60, keyGenerator: () => 'ip', errorHandler })({ env: { RATE_LIMITER: createMockBinding(false) }, req: {} }, async () => {})
+    expect(errorHandler).toHaveBeenCalledWith(expect.any(Object), 100, 0, 60, info)
+
+    const ctx = { env: { RATE_LIMITER: createMockBinding(false) }, req: {}, res: { set: jest.fn() } }
+    await RateLimiter({ binding: 'RATE_LIMITER', limit: 100, period: 60, keyGenerator: () => 'ip', responseFormat: 'json', message })(ctx, async () => {})
+    expect(message).toHaveBeenCalledWith(ctx, info)
+    expect(ctx.res.status).toBe(429)
+    expect(JSON.parse(ctx.res.body)).toEqual({ type: 'about:blank', title: 'Too Many Requests', status: 429, detail: 'Slow down', retryAfter: 60, policy: '100-in-60s' })
+  })
+
+  test.each([
+    ['limit', { limit: 0 }, 'options.limit must be >= 1'],
+    ['period', { period: 1.5 }, 'options.period must be >= 1 second'],
+    ['period', { mode: 'delay', maxWait: 60000 }, "options.period is required by options.mode 'delay'"],
+    ['headers', { headers: 'ietf' }, 'options.headers must be one of legacy, draft-6, draft-8, none']
+  ])('throws when %s is invalid', async (field, overrides, expectedError) => {
+    const { RateLimiter } = await import('../src/RateLimiter.js')
+    expect(() => RateLimiter({ binding: 'RATE_LIMITER', keyGenerator: () => 'ip', ...overrides })).toThrow(expectedError)
+  })
+})
+
+describe('RateLimiter allow and deny', () => {
+  test('applies allow and deny rules before calling the binding', async () => {
+    jest.resetModules()
+    const { RateLimiter } = await import('../src/RateLimiter.js')
+    const binding = { limit: jest.fn(async () => ({ success: true })) }
+    const mw = RateLimiter({
+      binding: 'RATE_LIMITER',
+      allow: [{ asn: 13335 }],
+      deny: [{ country: 'T1' }],
+      keyGenerator: () => 'ip'
+    })
+    const createCtx = (cf) => {
+      const ctx = { env: { RATE_LIMITER: binding }, req: { ip: '192.0.2.1', cf }, res: { set: () => {} }, thrown: null, throw: (status) => { ctx.thrown = status } }
+      return ctx
+    }
+    const next = jest.fn(async () => {})
+
+    const denied = createCtx({ asn: 13335, country: 'T1' })
+    await mw(denied, next)
+    expect(denied.thrown).toBe(403)
+
+    await mw(createCtx({ asn: 13335, country: 'US' }), next)
+    expect(binding.limit).not.toHaveBeenCalled()
+    expect(next).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('RateLimiter store errors', () => {
+  test('fails open when the binding rejects', async () => {
+    jest.resetModules()
+    const { RateLimiter } = await import('../src/RateLimiter.js')
+    const binding = { limit: async () => { throw new Error('limit() failed') } }
+    const ctx = { env: { RATE_LIMITER: binding }, req: {}, res: { set: () => {} }, throw: () => {} }
+    const next = jest.fn(async () => {})
+    await RateLimiter({ binding: 'RATE_LIMITER', onStoreError: 'open', keyGenerator: () => 'ip' })(ctx, next)
+    expect(next).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('RateLimiter dryRun', () => {
+  test('lets rejected requests through and reports them', async () => {
+    jest.resetModules()
+    const { RateLimiter } = await import('../src/RateLimiter.js')
+    const ctx = { env: { RATE_LIMITER: createMockBinding(false) }, req: {}, res: { set: () => {} }, thrown: null, throw: (status) => { ctx.thrown = status } }
+    const onLimitReached = jest.fn()
+    const next = jest.fn(async () => {})
+    await RateLimiter({ binding: 'RATE_LIMITER', mode: 'dryRun', onLimitReached, keyGenerator: () => 'ip' })(ctx, next)
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(ctx.thrown).toBeNull()
+    expect(onLimitReached).toHaveBeenCalledWith(ctx, expect.objectContaining({ key: 'ip', success: false }))
+  })
+})
+
+describe('RateLimiter delay', () => {
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('waits for the period before trying again', async () => {
+    jest.useFakeTimers()
+    const { RateLimiter } = await import('../src/RateLimiter.js')
+    const binding = { limit: jest.fn().mockResolvedValueOnce({ success: false }).mockResolvedValue({ success: true }) }
+    const ctx = { env: { RATE_LIMITER: binding }, req: {}, res: { set: () => {} }, thrown: null, throw: (status) => { ctx.thrown = status } }
+    const next = jest.fn(async () => {})
+    const pending = RateLimiter({ binding: 'RATE_LIMITER', limit: 10, period: 10, mode: 'delay', maxWait: 10000, keyGenerator: () => 'ip' })(ctx, next)
+    await jest.advanceTimersByTimeAsync(10000)
+    await pending
+    expect(binding.limit).toHaveBeenCalledTimes(2)
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(ctx.thrown).toBeNull()
+  })
+})
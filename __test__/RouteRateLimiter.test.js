@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals'
+import { RouteRateLimiter } from '../src/RouteRateLimiter.js'
+import { StoreRateLimiter } from '../src/StoreRateLimiter.js'
+import { MemoryStore } from '../src/stores/MemoryStore.js'
+
+/**
+ * Tests for the per-route policy table
+ */
+
+function createCtx (method, pathname) {
+  const ctx = {
+    req: { method, pathname },
+    headers: null,
+    thrown: null,
+    res: { set: (h) => { ctx.headers = h } },
+    throw: (status) => { ctx.thrown = status }
+  }
+  return ctx
+}
+
+describe('RouteRateLimiter', () => {
+  function createRouter (store = new MemoryStore()) {
+    return RouteRateLimiter({
+      limiter: StoreRateLimiter,
+      defaults: { store, period: 60, keyGenerator: () => 'ip' },
+      routes: [
+        { method: 'post', path: '/auth/*', policy: { limit: 1 } },
+        { path: '/api/search', policy: { limit: 2 } },
+        { method: ['PUT', 'POST'], path: '/uploads/**', name: 'uploads', policy: { limit: 3 } }
+      ]
+    })
+  }
+
+  test('applies the policy of the first matching route', async () => {
+    const router = createRouter()
+    const cases = [['POST', '/auth/login'], ['GET', '/api/search'], ['PUT', '/uploads/a/b.png']]
+    const limits = []
+    for (const [method, pathname] of cases) {
+      const ctx = createCtx(method, pathname)
+      await router(ctx, async () => {})
+      limits.push(ctx.headers['X-RateLimit-Limit'])
+    }
+    expect(limits).toEqual(['1', '2', '3'])
+  })
+
+  test('lets requests matching no route through', async () => {
+    const router = createRouter()
+    const next = jest.fn(async () => {})
+    for (const [method, pathname] of [['GET', '/auth/login'], ['POST', '/auth/login/callback'], ['GET', '/api/search/x'], ['GET', '/uploads/a']]) {
+      const ctx = createCtx(method, pathname)
+      await router(ctx, next)
+      expect(ctx.headers).toBeNull()
+    }
+    expect(next).toHaveBeenCalledTimes(4)
+  })
+
+  test('namespaces keys by route', async () => {
+    const store = new MemoryStore()
+    const router = createRouter(store)
+    await router(createCtx('POST', '/auth/login'), async () => {})
+    const ctx = createCtx('POST', '/auth/reset')
+    await router(ctx, async () => {})
+    expect(ctx.thrown).toBe(429)
+    await router(createCtx('POST', '/uploads/a'), async () => {})
+    expect([...store.entries.keys()].map((key) => key.replace(/:\d+$/, ''))).toEqual(['ratelimit:POST /auth/*:ip', 'ratelimit:uploads:ip'])
+  })
+
+  test('namespaces scopes and keeps falsy keys', async () => {
+    const store = new MemoryStore()
+    const router = RouteRateLimiter({
+      limiter: StoreRateLimiter,
+      defaults: { store },
+      routes: [{ path: '/**', name: 'all', policy: { scopes: { user: { keyGenerator: () => 'alice', limit: 1, period: 60 }, anonymous: { keyGenerator: () => null, limit: 1, period: 60 } } } }]
+    })
+    await router(createCtx('GET', '/'), async () => {})
+    expect([...store.entries.keys()][0]).toMatch(/^ratelimit:user:all:alice:\d+$/)
+  })
+
+  test('namespaces keys returned as objects and arrays', async () => {
+    const store = new MemoryStore()
+    const router = RouteRateLimiter({
+      limiter: StoreRateLimiter,
+      defaults: { store, limit: 5, period: 60 },
+      routes: [
+        { path: '/one', name: 'one', policy: { keyGenerator: async () => ({ key: 'alice', policy: { limit: 1, period: 60 } }) } },
+        { path: '/many', name: 'many', policy: { keyGenerator: () => ['alice', { key: 'acme' }, null] } }
+      ]
+    })
+    const ctx = createCtx('GET', '/one')
+    await router(ctx, async () => {})
+    expect(ctx.headers['X-RateLimit-Limit']).toBe('1')
+    await router(createCtx('GET', '/many'), async () => {})
+    expect([...store.entries.keys()].map((key) => key.replace(/:\d+$/, ''))).toEqual(['ratelimit:one:alice', 'ratelimit:many:alice', 'ratelimit:many:acme'])
+  })
+
+  test('matches RegExp and URLPattern-like paths', async () => {
+    const pattern = { test: jest.fn(({ pathname }) => pathname.startsWith('/v2/')) }
+    const router = RouteRateLimiter({
+      limiter: StoreRateLimiter,
+      defaults: { store: new MemoryStore(), period: 60, keyGenerator: () => 'ip' },
+      routes: [
+        { path: /^\/v1\//, name: 'v1', policy: { limit: 1 } },
+        { path: pattern, name: 'v2', policy: { limit: 2 } }
+      ]
+    })
+    const ctxs = [createCtx('GET', '/v1/users'), createCtx('GET', '/v2/users')]
+    for (const ctx of ctxs) await router(ctx, async () => {})
+    expect(ctxs.map((ctx) => ctx.headers['X-RateLimit-Limit'])).toEqual(['1', '2'])
+    expect(pattern.test).toHaveBeenCalledWith({ pathname: '/v2/users' })
+  })
+
+  test('builds each route limiter once', () => {
+    const limiter = jest.fn(() => async () => {})
+    RouteRateLimiter({ limiter, defaults: { keyGenerator: () => 'ip' }, routes: [{ path: '/a', policy: { limit: 1 } }, { path: '/b' }] })
+    expect(limiter).toHaveBeenCalledTimes(2)
+    expect(limiter.mock.calls[1][0].limit).toBeUndefined()
+  })
+
+  test.each([
+    ['limiter', { routes: [{ path: '/' }] }, 'options.limiter must be a rate limiter factory such as KVRateLimiter'],
+    ['defaults', { limiter: () => {}, defaults: null, routes: [{ path: '/' }] }, 'options.defaults must be an object'],
+    ['routes', { limiter: () => {}, routes: [] }, 'options.routes must be a non-empty array'],
+    ['route', { limiter: () => {}, routes: [null] }, 'options.routes[0] must be an object'],
+    ['path', { limiter: () => {}, routes: [{ path: 'api' }] }, 'options.routes[0].path must start with /'],
+    ['path type', { limiter: () => {}, routes: [{ path: 42 }] }, 'options.routes[0].path must be a glob string, a RegExp or a URLPattern'],
+    ['method', { limiter: () => {}, routes: [{ path: '/', method: [] }] }, 'options.routes[0].method must be a method or an array of methods'],
+    ['name', { limiter: () => {}, routes: [{ path: /x/ }] }, 'options.routes[0].name must be a non-empty string, it is required for RegExp and URLPattern paths'],
+    ['duplicate name', { limiter: () => {}, routes: [{ path: '/' }, { path: '/' }] }, 'options.routes[1].name must be unique, * / is already used'],
+    ['policy', { limiter: () => {}, routes: [{ path: '/', policy: 'strict' }] }, 'options.routes[0].policy must be an object']
+  ])('throws when %s is invalid', (name, options, message) => {
+    expect(() => RouteRateLimiter(/** @type {any} */ (options))).toThrow(message)
+  })
+
+  test('leaves invalid scopes to the limiter', () => {
+    expect(() => RouteRateLimiter({ limiter: StoreRateLimiter, defaults: { store: new MemoryStore() }, routes: [{ path: '/', policy: { scopes: { user: null } } }] }))
+      .toThrow('options.scopes.user must be an object')
+  })
+
+  test('throws when called without options', () => {
+    expect(() => RouteRateLimiter()).toThrow('options.limiter must be')
+  })
+})
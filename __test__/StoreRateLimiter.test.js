@@ -0,0 +1,305 @@
+import { jest } from '@jest/globals'
+import { StoreRateLimiter } from '../src/StoreRateLimiter.js'
+import { MemoryStore } from '../src/stores/MemoryStore.js'
+
+/**
+ * Tests for StoreRateLimiter backed by MemoryStore
+ */
+
+function createCtx (env = {}) {
+  const ctx = {
+    env,
+    req: {},
+    headers: null,
+    thrown: null,
+    res: { set: (h) => { ctx.headers = h } },
+    throw: (status, message, { headers }) => { ctx.thrown = { status, message, headers } }
+  }
+  return ctx
+}
+
+const baseOptions = {
+  limit: 2,
+  period: 60,
+  keyGenerator: () => 'ip'
+}
+
+describe('StoreRateLimiter middleware', () => {
+  test('limits requests with the default fixed-window algorithm', async () => {
+    const store = new MemoryStore()
+    const mw = StoreRateLimiter({ ...baseOptions, store })
+    const next = jest.fn(async () => {})
+    const ctxs = [createCtx(), createCtx(), createCtx()]
+    for (const ctx of ctxs) await mw(ctx, next)
+    expect(next).toHaveBeenCalledTimes(2)
+    expect(ctxs[0].headers['X-RateLimit-Limit']).toBe('2')
+    expect(ctxs[0].headers['X-RateLimit-Remaining']).toBe('1')
+    expect(ctxs[2].thrown?.status).toBe(429)
+    expect([...store.entries.keys()][0]).toMatch(/^ratelimit:ip:\d+$/)
+  })
+
+  test('uses the configured algorithm and prefix', async () => {
+    const store = new MemoryStore()
+    const mw = StoreRateLimiter({ ...baseOptions, store, prefix: 'api:', algorithm: 'token-bucket', burst: 5 })
+    const ctx = createCtx()
+    await mw(ctx, async () => {})
+    expect(ctx.headers['X-RateLimit-Limit']).toBe('5')
+    expect(ctx.headers['X-RateLimit-Remaining']).toBe('4')
+    expect((await store.get('api:ip')).tokens).toBe(4)
+  })
+
+  test('checks stacked limits and reports the most restrictive one', async () => {
+    const store = new MemoryStore()
+    const successHandler = jest.fn()
+    const mw = StoreRateLimiter({ store, limits: [{ limit: 10, period: 1 }, { limit: 3, period: 3600 }], keyGenerator: () => 'ip', successHandler })
+    await mw(createCtx(), async () => {})
+    expect(successHandler).toHaveBeenCalledWith(expect.any(Object), 3, 2, expect.any(Number), expect.objectContaining({
+      key: 'ip',
+      policy: expect.objectContaining({ limit: 3, period: 3600 })
+    }))
+    expect(successHandler.mock.calls[0][4].results).toHaveLength(2)
+  })
+
+  test('applies the limits of the tier resolved per request', async () => {
+    const store = new MemoryStore()
+    const successHandler = jest.fn()
+    const mw = StoreRateLimiter({
+      store,
+      tier: (ctx) => ctx.req.plan,
+      tiers: { free: { limit: 10, period: 60 }, pro: { limit: 1000, period: 60 } },
+      keyGenerator: (ctx) => ctx.req.plan,
+      successHandler
+    })
+    for (const plan of ['free', 'pro']) {
+      const ctx = createCtx()
+      ctx.req.plan = plan
+      await mw(ctx, async () => {})
+    }
+    expect(successHandler.mock.calls.map(([, limit, remaining, , info]) => [limit, remaining, info.policy.tier])).toEqual([[10, 9, 'free'], [1000, 999, 'pro']])
+  })
+
+  test('resolves the owner and tier of an API key in keyGenerator', async () => {
+    const owners = new Map([['key-1', { owner: 'acme', plan: 'pro' }], ['key-2', { owner: 'acme', plan: 'pro' }], ['key-3', { owner: 'bob', plan: 'free' }]])
+    const store = new MemoryStore()
+    const mw = StoreRateLimiter({
+      store,
+      tiers: { free: { limit: 1, period: 60 }, pro: { limit: 2, period: 60 } },
+      keyGenerator: async (ctx) => {
+        const account = owners.get(ctx.req.apiKey)
+        return account && { key: account.owner, policy: account.plan }
+      }
+    })
+    const ctxs = ['key-1', 'key-2', 'key-1', 'key-3', 'key-3'].map((apiKey) => Object.assign(createCtx(), { req: { apiKey } }))
+    for (const ctx of ctxs) await mw(ctx, async () => {})
+    expect(ctxs.map((ctx) => ctx.thrown?.status)).toEqual([undefined, undefined, 429, undefined, 429])
+    expect(ctxs[0].headers['X-RateLimit-Limit']).toBe('2')
+    expect(ctxs[3].headers['X-RateLimit-Limit']).toBe('1')
+    expect([...store.entries.keys()].map((key) => key.replace(/:\d+$/, ''))).toEqual(['ratelimit:acme', 'ratelimit:bob'])
+  })
+
+  test('holds bursts back until the next window in delay mode', async () => {
+    jest.useFakeTimers({ now: 59_000 })
+    try {
+      const mw = StoreRateLimiter({ ...baseOptions, store: new MemoryStore(), mode: 'delay', maxWait: 2000 })
+      const next = jest.fn(async () => {})
+      const ctxs = [createCtx(), createCtx(), createCtx()]
+      for (const ctx of ctxs.slice(0, 2)) await mw(ctx, next)
+      const delayed = mw(ctxs[2], next)
+      await jest.advanceTimersByTimeAsync(1000)
+      await delayed
+      expect(next).toHaveBeenCalledTimes(3)
+      expect(ctxs[2].thrown).toBeNull()
+      expect(ctxs[2].headers).toMatchObject({ 'X-RateLimit-Remaining': '1', 'X-RateLimit-Delay': '1000' })
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  test('checks global, tenant and user scopes together', async () => {
+    const store = new MemoryStore()
+    const successHandler = jest.fn()
+    const errorHandler = jest.fn()
+    const mw = StoreRateLimiter({
+      store,
+      scopes: {
+        global: { keyGenerator: () => 'all', limit: 100, period: 60 },
+        tenant: { keyGenerator: (ctx) => ctx.req.tenant, limit: 3, period: 60 },
+        user: { keyGenerator: (ctx) => ctx.req.user, limits: [{ limit: 2, period: 60 }, { limit: 10, period: 3600 }] }
+      },
+      successHandler,
+      errorHandler
+    })
+    const request = async (tenant, user) => {
+      const ctx = createCtx()
+      Object.assign(ctx.req, { tenant, user })
+      await mw(ctx, async () => {})
+    }
+    await request('acme', 'alice')
+    expect(successHandler.mock.calls[0][4]).toMatchObject({ scope: 'user', key: 'user:alice', limit: 2, remaining: 1 })
+    expect(successHandler.mock.calls[0][4].scopes.map((result) => result.scope)).toEqual(['global', 'tenant', 'user'])
+    await request('acme', 'alice')
+    await request('acme', 'alice')
+    expect(errorHandler.mock.calls[0][4]).toMatchObject({ scope: 'user', success: false })
+    await request('acme', 'bob')
+    expect(successHandler.mock.calls[2][4]).toMatchObject({ scope: 'tenant', remaining: 0 })
+    await request('acme', 'carol')
+    expect(errorHandler.mock.calls[1][4]).toMatchObject({ scope: 'tenant', key: 'tenant:acme' })
+    // Rejected requests are given back to the other scopes
+    expect(await store.get([...store.entries.keys()].find((key) => key.startsWith('ratelimit:global:all')))).toBe(3)
+  })
+
+  test('skips scopes without key', async () => {
+    const successHandler = jest.fn()
+    const mw = StoreRateLimiter({
+      store: new MemoryStore(),
+      scopes: {
+        tenant: { keyGenerator: (ctx) => ctx.req.tenant, limit: 3, period: 60 },
+        user: { keyGenerator: () => 'alice', limit: 2, period: 60 }
+      },
+      successHandler
+    })
+    await mw(createCtx(), async () => {})
+    expect(successHandler.mock.calls[0][4].scopes.map((result) => result.scope)).toEqual(['user'])
+  })
+
+  test('sets the headers of the selected mode', async () => {
+    const mw = StoreRateLimiter({ ...baseOptions, store: new MemoryStore(), headers: 'draft-8' })
+    const ctxs = [createCtx(), createCtx(), createCtx()]
+    for (const ctx of ctxs) await mw(ctx, async () => {})
+    expect(ctxs[0].headers['RateLimit-Policy']).toBe('"2-in-60s";q=2;w=60;qu="requests"')
+    expect(ctxs[0].headers.RateLimit).toMatch(/^"2-in-60s";r=1;t=\d+$/)
+    expect(ctxs[2].thrown.headers).toEqual({
+      'RateLimit-Policy': '"2-in-60s";q=2;w=60;qu="requests"',
+      RateLimit: expect.stringMatching(/^"2-in-60s";r=0;t=\d+$/),
+      'Retry-After': expect.any(String)
+    })
+  })
+
+  test('resolves the store per request', async () => {
+    const store = new MemoryStore()
+    const mw = StoreRateLimiter({ ...baseOptions, store: (ctx) => ctx.env.store })
+    await mw(createCtx({ store }), async () => {})
+    expect(store.entries.size).toBe(1)
+  })
+
+  test('throws when the store function does not return a store', async () => {
+    const mw = StoreRateLimiter({ ...baseOptions, store: () => null })
+    await expect(mw(createCtx(), async () => {})).rejects.toThrow('options.store must resolve to a store exposing get(), set(), increment() and reset()')
+  })
+
+  test('skips rate limiting when keyGenerator returns falsy', async () => {
+    const store = new MemoryStore()
+    const mw = StoreRateLimiter({ ...baseOptions, store, keyGenerator: () => false })
+    const next = jest.fn(async () => {})
+    await mw(createCtx(), next)
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(store.entries.size).toBe(0)
+  })
+
+  test('success handler still runs when next throws', async () => {
+    const mw = StoreRateLimiter({ ...baseOptions, store: new MemoryStore() })
+    const ctx = createCtx()
+    await expect(mw(ctx, async () => { throw new Error('boom') })).rejects.toThrow('boom')
+    expect(ctx.headers['X-RateLimit-Remaining']).toBe('1')
+  })
+
+  test('gives back the units of failed requests with skipFailedRequests', async () => {
+    const store = new MemoryStore()
+    const mw = StoreRateLimiter({ ...baseOptions, store, algorithm: 'sliding-log', skipFailedRequests: true })
+    const next = jest.fn(async () => { throw new Error('boom') })
+    for (let i = 0; i < 3; i++) await expect(mw(createCtx(), next)).rejects.toThrow('boom')
+    const ctx = createCtx()
+    await mw(ctx, async () => { ctx.res.status = 200 })
+    expect(next).toHaveBeenCalledTimes(3)
+    expect(ctx.headers['X-RateLimit-Remaining']).toBe('1')
+  })
+
+  test('does not fail open when the store does not resolve', async () => {
+    const mw = StoreRateLimiter({ ...baseOptions, store: (ctx) => ctx.env.STORE, onStoreError: 'open' })
+    const next = jest.fn(async () => {})
+    await expect(mw(createCtx(), next)).rejects.toThrow('options.store must resolve to a store')
+    expect(next).not.toHaveBeenCalled()
+  })
+
+  test('sets the limit headers of a banned key', async () => {
+    const mw = StoreRateLimiter({ ...baseOptions, limit: 1, store: new MemoryStore(), ban: { threshold: 1, durations: [600] } })
+    const ctxs = [createCtx(), createCtx(), createCtx()]
+    for (const ctx of ctxs) await mw(ctx, async () => {})
+    expect(ctxs[2].thrown).toEqual({ status: 429, message: 'Too Many Requests', headers: expect.objectContaining({ 'X-RateLimit-Limit': '1', 'X-RateLimit-Remaining': '0', 'Retry-After': '600' }) })
+  })
+
+  test('stores no ban in dryRun', async () => {
+    const store = new MemoryStore()
+    const mw = StoreRateLimiter({ ...baseOptions, limit: 1, store, mode: 'dryRun', ban: { threshold: 2 } })
+    const next = jest.fn(async () => {})
+    for (let i = 0; i < 4; i++) await mw(createCtx(), next)
+    expect(next).toHaveBeenCalledTimes(4)
+    expect(await mw.bans.get({}, 'ip')).toBeNull()
+    expect([...store.entries.keys()].some((key) => key.includes('strikes'))).toBe(false)
+  })
+
+  test('fails open when the store holds data of another shape', async () => {
+    const store = new MemoryStore()
+    const mw = StoreRateLimiter({ ...baseOptions, store, algorithm: 'sliding-log', onStoreError: 'open' })
+    const next = jest.fn(async () => {})
+    await mw(createCtx(), next)
+    for (const key of store.entries.keys()) await store.set(key, 42, 60)
+    await mw(createCtx(), next)
+    expect(next).toHaveBeenCalledTimes(2)
+  })
+
+  test('gives the units back to the window they were taken from', async () => {
+    jest.useFakeTimers({ now: 59_000 })
+    try {
+      const mw = StoreRateLimiter({ ...baseOptions, store: new MemoryStore(), skipFailedRequests: true })
+      // Starts in the window [0, 60s) and fails in the next one
+      await expect(mw(createCtx(), async () => {
+        jest.setSystemTime(61_000)
+        throw new Error('boom')
+      })).rejects.toThrow('boom')
+
+      const ctxs = [createCtx(), createCtx(), createCtx()]
+      for (const ctx of ctxs) await mw(ctx, async () => {})
+      expect(ctxs.map((ctx) => ctx.thrown?.status)).toEqual([undefined, undefined, 429])
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  test('sets the headers of rejected requests in dryRun', async () => {
+    const onLimitReached = jest.fn()
+    const mw = StoreRateLimiter({ ...baseOptions, limit: 1, store: new MemoryStore(), mode: 'dryRun', onLimitReached })
+    const next = jest.fn(async () => {})
+    const ctxs = [createCtx(), createCtx()]
+    for (const ctx of ctxs) await mw(ctx, next)
+    expect(next).toHaveBeenCalledTimes(2)
+    expect(ctxs[1].thrown).toBeNull()
+    expect(ctxs[1].headers['X-RateLimit-Remaining']).toBe('0')
+    expect(onLimitReached).toHaveBeenCalledTimes(1)
+  })
+
+  test.each([
+    ['store', { ...baseOptions, store: {} }, 'options.store must be a store exposing get(), set(), increment() and reset(), or a function returning one'],
+    ['prefix', { ...baseOptions, store: new MemoryStore(), prefix: '' }, 'options.prefix must be a non-empty string'],
+    ['limit', { ...baseOptions, store: new MemoryStore(), limit: 0 }, 'options.limit must be >= 1'],
+    ['period', { ...baseOptions, store: new MemoryStore(), period: 0 }, 'options.period must be >= 1 second'],
+    ['limits', { ...baseOptions, store: new MemoryStore(), limits: [{ limit: 1, period: 0 }] }, 'options.limits[0].period must be >= 1 second'],
+    ['scopes', { store: new MemoryStore(), scopes: [] }, 'options.scopes must be a non-empty object'],
+    ['scopes entry', { store: new MemoryStore(), scopes: { user: null } }, 'options.scopes.user must be an object'],
+    ['scopes keyGenerator', { store: new MemoryStore(), scopes: { user: { limit: 1, period: 1 } } }, 'options.scopes.user.keyGenerator must be a function'],
+    ['scopes limit', { store: new MemoryStore(), scopes: { user: { keyGenerator: () => 'ip', limit: 0, period: 1 } } }, 'options.scopes.user.limit must be >= 1'],
+    ['ban', { ...baseOptions, store: new MemoryStore(), ban: { threshold: 0 } }, 'options.ban.threshold must be an integer >= 1'],
+    ['algorithm', { ...baseOptions, store: new MemoryStore(), algorithm: 'leaky-bucket' }, 'options.algorithm must be one of'],
+    ['burst', { ...baseOptions, store: new MemoryStore(), burst: 0 }, 'options.burst must be >= 1'],
+    ['refillRate', { ...baseOptions, store: new MemoryStore(), refillRate: 0 }, 'options.refillRate must be > 0'],
+    ['keyGenerator', { ...baseOptions, store: new MemoryStore(), keyGenerator: 'ip' }, 'options.keyGenerator must be a function'],
+    ['successHandler', { ...baseOptions, store: new MemoryStore(), successHandler: 123 }, 'options.successHandler must be a function'],
+    ['errorHandler', { ...baseOptions, store: new MemoryStore(), errorHandler: {} }, 'options.errorHandler must be a function']
+  ])('throws when %s is invalid', (field, options, expectedError) => {
+    expect(() => StoreRateLimiter(/** @type {any} */ (options))).toThrow(expectedError)
+  })
+
+  test('throws when called without options', () => {
+    expect(() => StoreRateLimiter()).toThrow('options.store must be')
+  })
+})
@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals'
+import { UsageRoute } from '../src/UsageRoute.js'
+import { StoreRateLimiter } from '../src/StoreRateLimiter.js'
+import { MemoryStore } from '../src/stores/MemoryStore.js'
+
+/**
+ * Tests for the usage route backed by StoreRateLimiter
+ */
+
+function createCtx (apiKey) {
+  const ctx = {
+    req: { apiKey },
+    headers: null,
+    thrown: null,
+    res: { set: (h) => { ctx.headers = h } },
+    throw: (status, message) => { ctx.thrown = { status, message } }
+  }
+  return ctx
+}
+
+describe('UsageRoute', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: Date.parse('2026-10-19T12:00:00Z') })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('answers the usage of the requesting key', async () => {
+    const limiter = StoreRateLimiter({
+      store: new MemoryStore(),
+      limits: [{ limit: 10, period: 60 }, { limit: 50000, period: 'month' }],
+      keyGenerator: (ctx) => ctx.req.apiKey
+    })
+    for (let i = 0; i < 3; i++) await limiter(createCtx('key-1'), async () => {})
+
+    const ctx = createCtx('key-1')
+    await UsageRoute(limiter)(ctx)
+    expect(ctx.headers).toEqual({ 'Cache-Control': 'no-store' })
+    expect(ctx.res.body).toEqual({
+      period: 60,
+      limit: 10,
+      used: 3,
+      remaining: 7,
+      reset: 60,
+      resetAt: '2026-10-19T12:01:00.000Z',
+      quotas: [
+        { period: 60, limit: 10, used: 3, remaining: 7, reset: 60, resetAt: '2026-10-19T12:01:00.000Z' },
+        { period: 'month', timeZone: 'UTC', limit: 50000, used: 3, remaining: 49997, reset: 1080000, resetAt: '2026-11-01T00:00:00.000Z' }
+      ]
+    })
+    expect(JSON.stringify(ctx.res.body)).not.toContain('key-1')
+  })
+
+  test('lists the quotas of every scope', async () => {
+    const store = new MemoryStore()
+    const limiter = StoreRateLimiter({
+      store,
+      scopes: {
+        tenant: { keyGenerator: () => 'acme', tier: () => 'pro', tiers: { pro: { limit: 100, period: 'day' } } },
+        user: { keyGenerator: (ctx) => ctx.req.apiKey, limit: 5, period: 60 }
+      }
+    })
+    await limiter(createCtx('key-1'), async () => {})
+
+    const ctx = createCtx('key-1')
+    await UsageRoute(limiter)(ctx)
+    expect(ctx.res.body).toMatchObject({
+      scope: 'user',
+      remaining: 4,
+      quotas: [
+        { scope: 'tenant', period: 'day', tier: 'pro', limit: 100, used: 1, resetAt: '2026-10-20T00:00:00.000Z' },
+        { scope: 'user', period: 60, limit: 5, used: 1 }
+      ]
+    })
+  })
+
+  test('answers 404 when no key applies', async () => {
+    const limiter = StoreRateLimiter({ store: new MemoryStore(), limit: 1, period: 60, keyGenerator: (ctx) => ctx.req.apiKey })
+    const ctx = createCtx()
+    await UsageRoute(limiter)(ctx)
+    expect(ctx.thrown).toEqual({ status: 404, message: 'No rate limit applies to this request' })
+    expect(ctx.res.body).toBeUndefined()
+  })
+
+  test('throws for a rate limiter without usage()', () => {
+    expect(() => UsageRoute(async () => {})).toThrow('rateLimiter must expose usage(), e.g. StoreRateLimiter or KVRateLimiter with algorithm')
+    expect(() => UsageRoute()).toThrow('rateLimiter must expose usage()')
+  })
+})
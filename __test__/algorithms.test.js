@@ -0,0 +1,242 @@
+import { jest } from '@jest/globals'
+import { algorithms, fixedWindow, gcra, resolveAlgorithm, slidingLog, slidingWindow, tokenBucket } from '../src/algorithms.js'
+
+/**
+ * Tests for the rate limit algorithms against a Map backed store
+ */
+
+function createStore () {
+  const data = new Map()
+  return {
+    data,
+    async get (key) { return data.has(key) ? structuredClone(data.get(key)) : null },
+    async set (key, value) { data.set(key, structuredClone(value)) },
+    async increment (key, amount) {
+      const value = (data.get(key) || 0) + amount
+      data.set(key, value)
+      return value
+    },
+    async reset (key) { data.delete(key) }
+  }
+}
+
+async function consumeMany (algorithm, store, times, options) {
+  const results = []
+  for (let i = 0; i < times; i++) results.push(await algorithm.consume(store, 'key', options))
+  return results
+}
+
+describe('fixedWindow', () => {
+  test('allows limit requests per aligned window', async () => {
+    const store = createStore()
+    const results = await consumeMany(fixedWindow, store, 4, { limit: 3, period: 60, now: 61_000 })
+    expect(results.map((r) => r.success)).toEqual([true, true, true, false])
+    expect(results.map((r) => r.remaining)).toEqual([2, 1, 0, 0])
+    expect(results[3].reset).toBe(59)
+    // Denied requests do not count
+    expect(store.data.get('key:60000')).toBe(3)
+    expect(await fixedWindow.consume(store, 'key', { limit: 3, period: 60, now: 120_000 })).toEqual({ success: true, limit: 3, remaining: 2, reset: 60 })
+  })
+
+  test('denies a cost larger than what is left', async () => {
+    const store = createStore()
+    await fixedWindow.consume(store, 'key', { limit: 5, period: 60, cost: 3, now: 0 })
+    expect(await fixedWindow.consume(store, 'key', { limit: 5, period: 60, cost: 3, now: 0 })).toEqual({ success: false, limit: 5, remaining: 2, reset: 60 })
+    expect(store.data.get('key:0')).toBe(3)
+  })
+})
+
+describe('fixedWindow calendar periods', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z')
+  const start = Date.parse('2026-10-01T00:00:00Z')
+
+  test('counts a month until the 1st', async () => {
+    const store = createStore()
+    const options = { limit: 2, period: 'month', now }
+    const results = await consumeMany(fixedWindow, store, 3, options)
+    expect(results.map((r) => r.success)).toEqual([true, true, false])
+    expect(results[0].reset).toBe((Date.parse('2026-11-01T00:00:00Z') - now) / 1000)
+    expect(store.data.get(`key:${start}`)).toBe(2)
+    expect(await fixedWindow.consume(store, 'key', { ...options, now: Date.parse('2026-11-01T00:00:00Z') })).toMatchObject({ success: true, remaining: 1 })
+  })
+
+  test('refunds and resets the window of the time zone', async () => {
+    const store = createStore()
+    const options = { limit: 2, period: 'day', timeZone: 'Asia/Tokyo', now }
+    await fixedWindow.consume(store, 'key', options)
+    const windowKey = `key:${Date.parse('2026-10-19T15:00:00Z')}`
+    expect(store.data.get(windowKey)).toBeUndefined()
+    expect(store.data.get(`key:${Date.parse('2026-10-18T15:00:00Z')}`)).toBe(1)
+    await fixedWindow.refund(store, 'key', options)
+    expect(store.data.get(`key:${Date.parse('2026-10-18T15:00:00Z')}`)).toBe(0)
+    await fixedWindow.reset(store, 'key', options)
+    expect(store.data.size).toBe(0)
+  })
+})
+
+describe('slidingWindow', () => {
+  test('weights the previous window by its overlap', async () => {
+    const store = createStore()
+    await consumeMany(slidingWindow, store, 4, { limit: 4, period: 60, now: 30_000 })
+    // 3/4 into the next window, a quarter of the previous count (1) still applies
+    const results = await consumeMany(slidingWindow, store, 4, { limit: 4, period: 60, now: 105_000 })
+    expect(results.map((r) => r.success)).toEqual([true, true, true, false])
+    expect(results.map((r) => r.remaining)).toEqual([2, 1, 0, 0])
+    expect(results[3].reset).toBe(15)
+  })
+})
+
+describe('slidingLog', () => {
+  test('counts requests within the last period', async () => {
+    const store = createStore()
+    await slidingLog.consume(store, 'key', { limit: 2, period: 10, now: 0 })
+    await slidingLog.consume(store, 'key', { limit: 2, period: 10, now: 4_000 })
+    expect(await slidingLog.consume(store, 'key', { limit: 2, period: 10, now: 8_000 })).toEqual({ success: false, limit: 2, remaining: 0, reset: 2 })
+    expect(await slidingLog.consume(store, 'key', { limit: 2, period: 10, now: 10_001 })).toEqual({ success: true, limit: 2, remaining: 0, reset: 4 })
+    expect(store.data.get('key')).toEqual([[4_000, 1], [10_001, 1]])
+  })
+
+  test('retries after a full period when cost exceeds limit', async () => {
+    const store = createStore()
+    expect(await slidingLog.consume(store, 'key', { limit: 2, period: 10, cost: 3, now: 0 })).toEqual({ success: false, limit: 2, remaining: 2, reset: 10 })
+  })
+})
+
+describe('tokenBucket', () => {
+  test('allows bursts and refills continuously', async () => {
+    const store = createStore()
+    const options = { limit: 10, period: 10, burst: 3, now: 0 }
+    const results = await consumeMany(tokenBucket, store, 4, options)
+    expect(results.map((r) => r.success)).toEqual([true, true, true, false])
+    expect(results[2]).toEqual({ success: true, limit: 3, remaining: 0, reset: 3 })
+    expect(results[3]).toEqual({ success: false, limit: 3, remaining: 0, reset: 1 })
+    expect(await tokenBucket.consume(store, 'key', { ...options, now: 2_000 })).toEqual({ success: true, limit: 3, remaining: 1, reset: 2 })
+  })
+
+  test('uses refillRate', async () => {
+    const store = createStore()
+    const options = { limit: 1, period: 60, refillRate: 0.5, now: 0 }
+    await tokenBucket.consume(store, 'key', options)
+    expect(await tokenBucket.consume(store, 'key', { ...options, now: 1_000 })).toMatchObject({ success: false, reset: 1 })
+    expect(await tokenBucket.consume(store, 'key', { ...options, now: 2_000 })).toMatchObject({ success: true })
+  })
+})
+
+describe('gcra', () => {
+  test('spaces requests by period / limit after the burst', async () => {
+    const store = createStore()
+    const options = { limit: 6, period: 60, burst: 2, now: 0 }
+    const results = await consumeMany(gcra, store, 3, options)
+    expect(results).toEqual([
+      { success: true, limit: 2, remaining: 1, reset: 10 },
+      { success: true, limit: 2, remaining: 0, reset: 20 },
+      { success: false, limit: 2, remaining: 0, reset: 10 }
+    ])
+    expect(await gcra.consume(store, 'key', { ...options, now: 10_000 })).toEqual({ success: true, limit: 2, remaining: 0, reset: 20 })
+  })
+})
+
+describe('force', () => {
+  test.each([
+    ['fixedWindow', fixedWindow],
+    ['slidingWindow', slidingWindow],
+    ['slidingLog', slidingLog],
+    ['tokenBucket', tokenBucket],
+    ['gcra', gcra]
+  ])('%s consumes past the limit and denies what follows', async (name, algorithm) => {
+    const store = createStore()
+    const options = { limit: 3, period: 60, now: 0 }
+    expect(await algorithm.consume(store, 'key', { ...options, cost: 2 })).toMatchObject({ success: true, remaining: 1 })
+    expect(await algorithm.consume(store, 'key', { ...options, cost: 3, force: true })).toMatchObject({ success: false, remaining: 0 })
+    expect(await algorithm.consume(store, 'key', { ...options, now: 25_000 })).toMatchObject({ success: false })
+  })
+})
+
+describe('refund', () => {
+  test.each([
+    ['fixedWindow', fixedWindow],
+    ['slidingWindow', slidingWindow],
+    ['slidingLog', slidingLog],
+    ['tokenBucket', tokenBucket],
+    ['gcra', gcra]
+  ])('%s gives back consumed units', async (name, algorithm) => {
+    const store = createStore()
+    const options = { limit: 3, period: 60, now: 0 }
+    await algorithm.consume(store, 'key', { ...options, cost: 3 })
+    await algorithm.refund(store, 'key', { ...options, cost: 2 })
+    expect(await algorithm.consume(store, 'key', { ...options, cost: 2 })).toMatchObject({ success: true, remaining: 0 })
+    expect(await algorithm.consume(store, 'key', options)).toMatchObject({ success: false })
+  })
+
+  test.each([
+    ['slidingLog', slidingLog],
+    ['tokenBucket', tokenBucket],
+    ['gcra', gcra]
+  ])('%s ignores refunds for unknown keys', async (name, algorithm) => {
+    const store = createStore()
+    await algorithm.refund(store, 'key', { limit: 3, period: 60 })
+    expect(store.data.size).toBe(0)
+  })
+})
+
+describe('reset', () => {
+  test.each([
+    ['fixedWindow', fixedWindow],
+    ['slidingWindow', slidingWindow]
+  ])('%s clears the windows counting now', async (name, algorithm) => {
+    const store = createStore()
+    const options = { limit: 3, period: 60 }
+    await algorithm.consume(store, 'key', { ...options, cost: 3, now: 30_000 })
+    await algorithm.consume(store, 'key', { ...options, cost: 3, now: 90_000 })
+    await algorithm.reset(store, 'key', { ...options, now: 90_000 })
+    expect(store.data.has('key:60000')).toBe(false)
+    expect(await algorithm.consume(store, 'key', { ...options, cost: 3, now: 90_000 })).toMatchObject({ success: true })
+  })
+})
+
+describe('defaults', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 30_000 })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test.each([
+    ['fixedWindow', fixedWindow],
+    ['slidingWindow', slidingWindow],
+    ['slidingLog', slidingLog],
+    ['tokenBucket', tokenBucket],
+    ['gcra', gcra]
+  ])('%s costs one unit now, with a burst of limit refilled over period', async (name, algorithm) => {
+    const store = createStore()
+    const options = { limit: 2, period: 60 }
+    expect(await consumeMany(algorithm, store, 3, options)).toMatchObject([
+      { success: true, limit: 2, remaining: 1 },
+      { success: true, limit: 2, remaining: 0 },
+      { success: false, limit: 2, remaining: 0 }
+    ])
+    await algorithm.refund(store, 'key', options)
+    expect(await algorithm.consume(store, 'key', options)).toMatchObject({ success: true, remaining: 0 })
+    if (!algorithm.reset) return
+    await algorithm.reset(store, 'key', options)
+    expect(await algorithm.consume(store, 'key', options)).toMatchObject({ success: true, remaining: 1 })
+  })
+})
+
+describe('resolveAlgorithm', () => {
+  test('resolves built-in names and custom algorithms', () => {
+    expect(resolveAlgorithm('token-bucket')).toBe(algorithms['token-bucket'])
+    const custom = { consume: async () => ({ success: true, limit: 1, remaining: 0, reset: 1 }) }
+    expect(resolveAlgorithm(custom)).toBe(custom)
+  })
+
+  test.each([
+    ['unknown name', 'leaky-bucket'],
+    ['inherited name', 'constructor'],
+    ['object without consume', {}]
+  ])('throws for %s', (name, algorithm) => {
+    expect(() => resolveAlgorithm(algorithm)).toThrow('options.algorithm must be one of fixed-window, sliding-window, sliding-log, token-bucket, gcra or an object exposing consume()')
+  })
+})
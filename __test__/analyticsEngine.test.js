@@ -0,0 +1,60 @@
+import { jest } from '@jest/globals'
+import { analyticsEngine } from '../src/analyticsEngine.js'
+import { StoreRateLimiter } from '../src/StoreRateLimiter.js'
+import { MemoryStore } from '../src/stores/MemoryStore.js'
+
+/**
+ * Tests for the Analytics Engine event writer, against a local dataset stub
+ */
+
+function createDataset () {
+  return { writeDataPoint: jest.fn() }
+}
+
+describe('analyticsEngine', () => {
+  test('writes one data point per event', () => {
+    const dataset = createDataset()
+    const write = analyticsEngine(dataset)
+    write({ type: 'limited', reason: 'limit', route: 'GET /api', key: 'ip', policy: { limit: 100, period: 60 }, limit: 100, remaining: 0, reset: 12, latency: 3, delay: 2000, dryRun: true }, {})
+    expect(dataset.writeDataPoint).toHaveBeenCalledWith({
+      blobs: ['limited', 'limit', 'GET /api', 'ip', '', '100-in-60s', ''],
+      doubles: [100, 0, 12, 3, 1, 0, 2000],
+      indexes: ['ip']
+    })
+  })
+
+  test('writes store errors and defaults missing values', () => {
+    const dataset = createDataset()
+    const write = analyticsEngine(dataset)
+    write({ type: 'storeError', route: 'GET /', error: new Error('KV unavailable'), open: true }, {})
+    write({ type: 'storeError', route: 'GET /', key: 'k'.repeat(100), error: 'timeout' }, {})
+    expect(dataset.writeDataPoint.mock.calls[0][0]).toEqual({
+      blobs: ['storeError', '', 'GET /', '', '', '', 'KV unavailable'],
+      doubles: [0, 0, 0, 0, 0, 1, 0],
+      indexes: ['']
+    })
+    expect(dataset.writeDataPoint.mock.calls[1][0].blobs[6]).toBe('timeout')
+    expect(dataset.writeDataPoint.mock.calls[1][0].indexes[0]).toHaveLength(96)
+  })
+
+  test('cuts the index at 96 bytes between two characters', () => {
+    const dataset = createDataset()
+    const write = analyticsEngine(dataset)
+    write({ type: 'allowed', route: 'GET /', key: 'header:x-user:' + 'é'.repeat(60) }, {})
+    const [index] = dataset.writeDataPoint.mock.calls[0][0].indexes
+    expect(index).toBe('header:x-user:' + 'é'.repeat(41))
+    expect(new TextEncoder().encode(index).length).toBe(96)
+  })
+
+  test('resolves a binding name from ctx.env', async () => {
+    const dataset = createDataset()
+    const mw = StoreRateLimiter({ store: new MemoryStore(), limit: 1, period: 60, keyGenerator: () => 'ip', headers: 'none', onEvent: analyticsEngine('RATE_LIMIT_EVENTS') })
+    await mw({ env: { RATE_LIMIT_EVENTS: dataset }, req: { method: 'POST', pathname: '/login' }, res: {} }, async () => {})
+    expect(dataset.writeDataPoint).toHaveBeenCalledWith(expect.objectContaining({ blobs: ['allowed', '', 'POST /login', 'ip', '', '1-in-60s', ''] }))
+  })
+
+  test('throws when the binding is not a dataset', () => {
+    expect(() => analyticsEngine('EVENTS')({ type: 'allowed' }, { env: {} })).toThrow('dataset must resolve to an Analytics Engine dataset')
+    expect(() => analyticsEngine({})).toThrow('dataset must be an Analytics Engine binding name or dataset')
+  })
+})
@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals'
+import { createBans } from '../src/bans.js'
+import { MemoryStore } from '../src/stores/MemoryStore.js'
+
+/**
+ * Tests for the penalty box of the ban option
+ */
+
+describe('createBans', () => {
+  const ctx = { env: {} }
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1_000_000 })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('bans a key after threshold strikes within lookback', async () => {
+    const store = new MemoryStore()
+    const bans = createBans({ threshold: 2, lookback: 60 }, () => store, 'rl:')
+    expect(await bans.strike(ctx, 'ip')).toBeNull()
+    expect(await bans.get(ctx, 'ip')).toBeNull()
+    expect(await bans.strike(ctx, 'ip')).toEqual({ level: 1, until: 1_060_000, reset: 60 })
+    expect(await bans.get(ctx, 'ip')).toEqual({ level: 1, until: 1_060_000, reset: 60 })
+    expect(await store.get('rl:strikes:ip')).toBeNull()
+  })
+
+  test('forgets strikes older than lookback', async () => {
+    const store = new MemoryStore()
+    const bans = createBans({ threshold: 2, lookback: 60 }, () => store, 'rl:')
+    await bans.strike(ctx, 'ip')
+    jest.advanceTimersByTime(61_000)
+    expect(await bans.strike(ctx, 'ip')).toBeNull()
+  })
+
+  test('escalates repeat offenses and keeps the last duration', async () => {
+    const store = new MemoryStore()
+    const bans = createBans({ threshold: 1, lookback: 600, durations: [60, 600] }, () => store, 'rl:')
+    const levels = []
+    for (let i = 0; i < 3; i++) {
+      const ban = await bans.strike(ctx, 'ip')
+      levels.push([ban.level, ban.reset])
+      jest.advanceTimersByTime(ban.reset * 1000)
+      expect(await bans.get(ctx, 'ip')).toBeNull()
+    }
+    expect(levels).toEqual([[1, 60], [2, 600], [2, 600]])
+  })
+
+  test('starts over once lookback has passed after a ban', async () => {
+    const store = new MemoryStore()
+    const bans = createBans({ threshold: 1, lookback: 60 }, () => store, 'rl:')
+    await bans.strike(ctx, 'ip')
+    jest.advanceTimersByTime(121_000)
+    expect((await bans.strike(ctx, 'ip')).level).toBe(1)
+  })
+
+  test('lifts a ban and its past offenses', async () => {
+    const store = new MemoryStore()
+    const bans = createBans({ threshold: 1 }, () => store, 'rl:')
+    await bans.strike(ctx, 'ip')
+    await bans.lift(ctx, 'ip')
+    expect(await bans.get(ctx, 'ip')).toBeNull()
+    expect(store.entries.size).toBe(0)
+    expect((await bans.strike(ctx, 'ip')).level).toBe(1)
+  })
+
+  test.each([
+    ['ban', null, 'options.ban must be an object'],
+    ['threshold', { threshold: 0 }, 'options.ban.threshold must be an integer >= 1'],
+    ['lookback', { lookback: 0.5 }, 'options.ban.lookback must be >= 1 second'],
+    ['durations', { durations: [] }, 'options.ban.durations must be a non-empty array of seconds >= 1'],
+    ['durations entry', { durations: [60, 0] }, 'options.ban.durations must be a non-empty array of seconds >= 1']
+  ])('throws when %s is invalid', (name, options, message) => {
+    expect(() => createBans(options, () => new MemoryStore(), 'rl:')).toThrow(message)
+  })
+})
@@ -0,0 +1,45 @@
+import { assertTimeZone, calendarWindow, isCalendarPeriod } from '../src/calendar.js'
+
+/**
+ * Tests for calendar quota windows
+ */
+
+function window (period, timeZone, iso) {
+  const { start, end } = calendarWindow(period, timeZone, Date.parse(iso))
+  return [new Date(start).toISOString(), new Date(end).toISOString()]
+}
+
+describe('calendarWindow', () => {
+  test.each([
+    ['day', 'UTC', '2026-10-19T12:00:00Z', ['2026-10-19T00:00:00.000Z', '2026-10-20T00:00:00.000Z']],
+    ['week', 'UTC', '2026-10-19T00:00:00Z', ['2026-10-19T00:00:00.000Z', '2026-10-26T00:00:00.000Z']],
+    ['week', 'UTC', '2026-10-18T23:59:59Z', ['2026-10-12T00:00:00.000Z', '2026-10-19T00:00:00.000Z']],
+    ['month', 'UTC', '2026-10-19T12:00:00Z', ['2026-10-01T00:00:00.000Z', '2026-11-01T00:00:00.000Z']],
+    ['month', 'UTC', '2026-12-31T23:59:59Z', ['2026-12-01T00:00:00.000Z', '2027-01-01T00:00:00.000Z']],
+    ['month', 'Asia/Tokyo', '2026-10-31T16:00:00Z', ['2026-10-31T15:00:00.000Z', '2026-11-30T15:00:00.000Z']]
+  ])('aligns a %s in %s', (period, timeZone, now, expected) => {
+    expect(window(period, timeZone, now)).toEqual(expected)
+  })
+
+  test('follows daylight saving time changes', () => {
+    // 23 hours on the day clocks go forward, 25 hours on the day they go back
+    expect(window('day', 'America/New_York', '2026-03-08T12:00:00Z')).toEqual(['2026-03-08T05:00:00.000Z', '2026-03-09T04:00:00.000Z'])
+    expect(window('day', 'America/New_York', '2026-11-01T12:00:00Z')).toEqual(['2026-11-01T04:00:00.000Z', '2026-11-02T05:00:00.000Z'])
+  })
+})
+
+describe('isCalendarPeriod', () => {
+  test('accepts day, week and month only', () => {
+    expect(['day', 'week', 'month', 'year', 60].map(isCalendarPeriod)).toEqual([true, true, true, false, false])
+  })
+})
+
+describe('assertTimeZone', () => {
+  test.each([['UTC'], ['Europe/Paris']])('accepts %s', (timeZone) => {
+    expect(() => assertTimeZone(timeZone, 'options.timeZone')).not.toThrow()
+  })
+
+  test.each([['Mars/Olympus'], [1]])('throws for %s', (timeZone) => {
+    expect(() => assertTimeZone(timeZone, 'options.timeZone')).toThrow('options.timeZone must be an IANA time zone, e.g. UTC or America/New_York')
+  })
+})
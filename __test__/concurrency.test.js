@@ -0,0 +1,42 @@
+import { acquireSlot, releaseSlot } from '../src/concurrency.js'
+import { MemoryStore } from '../src/stores/MemoryStore.js'
+
+/**
+ * Tests for the concurrency slots shared by ConcurrencyLimiter and the Durable Object
+ */
+
+describe('acquireSlot', () => {
+  test('takes slots up to limit', async () => {
+    const store = new MemoryStore()
+    const options = { limit: 2, lease: 60, now: 0 }
+    expect(await acquireSlot(store, 'key', { ...options, id: 'a' })).toEqual({ success: true, limit: 2, remaining: 1, reset: 60, lease: 'a' })
+    expect(await acquireSlot(store, 'key', { ...options, id: 'b' })).toEqual({ success: true, limit: 2, remaining: 0, reset: 60, lease: 'b' })
+    expect(await acquireSlot(store, 'key', { ...options, id: 'c', now: 15000 })).toEqual({ success: false, limit: 2, remaining: 0, reset: 45 })
+  })
+
+  test('frees slots whose lease expired', async () => {
+    const store = new MemoryStore()
+    await acquireSlot(store, 'key', { limit: 1, lease: 60, id: 'a', now: 0 })
+    expect(await acquireSlot(store, 'key', { limit: 1, lease: 60, id: 'b', now: 60000 })).toMatchObject({ success: true, lease: 'b' })
+  })
+})
+
+describe('releaseSlot', () => {
+  test('gives the slot of the lease back', async () => {
+    const store = new MemoryStore()
+    await acquireSlot(store, 'key', { limit: 2, lease: 60, id: 'a' })
+    await acquireSlot(store, 'key', { limit: 2, lease: 60, id: 'b' })
+    await releaseSlot(store, 'key', { id: 'a' })
+    expect((await store.get('key')).map(([id]) => id)).toEqual(['b'])
+    expect(await acquireSlot(store, 'key', { limit: 2, lease: 60, id: 'c' })).toMatchObject({ success: true, remaining: 0 })
+  })
+
+  test('resets the key once no slot is taken', async () => {
+    const store = new MemoryStore()
+    await acquireSlot(store, 'key', { limit: 1, lease: 60, id: 'a' })
+    await releaseSlot(store, 'key', { id: 'a' })
+    expect(store.entries.has('key')).toBe(false)
+    await releaseSlot(store, 'key', { id: 'a' })
+    expect(store.entries.has('key')).toBe(false)
+  })
+})
@@ -0,0 +1,185 @@
+import { jest } from '@jest/globals'
+import { createErrorHandler, createSuccessHandler, negotiateFormat, rateLimitHeaders } from '../src/handlers.js'
+
+/**
+ * Tests for the default handlers and the rate limit header formats
+ */
+
+const info = {
+  key: 'ip',
+  success: true,
+  limit: 10,
+  remaining: 0,
+  reset: 1,
+  policy: { limit: 10, period: 1, id: '1' },
+  results: [
+    { success: true, limit: 10, remaining: 0, reset: 1, policy: { limit: 10, period: 1, id: '1' } },
+    { success: true, limit: 1000, remaining: 990, reset: 3000, policy: { limit: 1000, period: 3600, id: '3600' } }
+  ]
+}
+
+describe('rateLimitHeaders', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1_000_000 })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('legacy reports the reset as epoch seconds', () => {
+    expect(rateLimitHeaders('legacy', 10, 0, 1, info)).toEqual({
+      'X-RateLimit-Limit': '10',
+      'X-RateLimit-Remaining': '0',
+      'X-RateLimit-Reset': '1001'
+    })
+  })
+
+  test('draft-6 reports the reset as delta seconds and lists every policy', () => {
+    expect(rateLimitHeaders('draft-6', 10, 0, 1, info)).toEqual({
+      'RateLimit-Limit': '10',
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': '1',
+      'RateLimit-Policy': '10;w=1, 1000;w=3600'
+    })
+  })
+
+  test('draft-8 names every policy with its quota unit', () => {
+    expect(rateLimitHeaders('draft-8', 10, 0, 1, info, 'content-bytes')).toEqual({
+      'RateLimit-Policy': '"10-in-1s";q=10;w=1;qu="content-bytes", "1000-in-3600s";q=1000;w=3600;qu="content-bytes"',
+      RateLimit: '"10-in-1s";r=0;t=1, "1000-in-3600s";r=990;t=3000'
+    })
+  })
+
+  test('draft-8 falls back to the reported values without policies', () => {
+    expect(rateLimitHeaders('draft-8', 5, 4, 60)).toEqual({
+      'RateLimit-Policy': '"default";q=5;qu="requests"',
+      RateLimit: '"default";r=4;t=60'
+    })
+  })
+
+  test('leaves out unknown values', () => {
+    expect(rateLimitHeaders('legacy', 5, undefined, undefined)).toEqual({ 'X-RateLimit-Limit': '5' })
+    expect(rateLimitHeaders('draft-6', 5, undefined, undefined, { policy: { limit: 5, period: 60 } })).toEqual({ 'RateLimit-Limit': '5', 'RateLimit-Policy': '5;w=60' })
+    expect(rateLimitHeaders('draft-8', 5, undefined, undefined, { policy: { limit: 5, period: 60 } })).toEqual({ 'RateLimit-Policy': '"5-in-60s";q=5;w=60;qu="requests"' })
+  })
+
+  test('reports the delay of a request held back by delay mode', () => {
+    expect(rateLimitHeaders('legacy', 5, 4, undefined, { delay: 1000 })).toEqual({ 'X-RateLimit-Limit': '5', 'X-RateLimit-Remaining': '4', 'X-RateLimit-Delay': '1000' })
+    expect(rateLimitHeaders('draft-6', 5, 4, 60, { delay: 1000 })['RateLimit-Delay']).toBe('1000')
+    expect(rateLimitHeaders('draft-8', 5, 4, 60, { delay: 1000 })['RateLimit-Delay']).toBe('1000')
+    expect(rateLimitHeaders('none', 5, 4, 60, { delay: 1000 })).toEqual({})
+  })
+
+  test('reports calendar periods without a window', () => {
+    const info = { policy: { limit: 50000, period: 'month', timeZone: 'UTC' } }
+    expect(rateLimitHeaders('draft-8', 50000, 10, 3600, info)).toEqual({
+      'RateLimit-Policy': '"50000-per-month";q=50000;qu="requests"',
+      RateLimit: '"50000-per-month";r=10;t=3600'
+    })
+    expect(rateLimitHeaders('draft-6', 50000, 10, 3600, info)).toEqual({ 'RateLimit-Limit': '50000', 'RateLimit-Remaining': '10', 'RateLimit-Reset': '3600' })
+    expect(rateLimitHeaders('draft-8', undefined, undefined, undefined)).toEqual({})
+  })
+
+  test('none sets no headers', () => {
+    expect(rateLimitHeaders('none', 10, 0, 1, info)).toEqual({})
+  })
+})
+
+describe('default handlers', () => {
+  test('success handler sets the headers of the selected mode', () => {
+    const ctx = { res: { set: jest.fn() } }
+    createSuccessHandler('draft-6', 'requests')(ctx, 5, 4, 60, { key: 'ip', success: true, limit: 5, remaining: 4, reset: 60 })
+    expect(ctx.res.set).toHaveBeenCalledWith({ 'RateLimit-Limit': '5', 'RateLimit-Remaining': '4', 'RateLimit-Reset': '60' })
+  })
+
+  test('success handler leaves the response alone without headers', () => {
+    const ctx = { res: { set: jest.fn() } }
+    createSuccessHandler('none', 'requests')(ctx, 5, 4, 60, { key: 'ip', success: true, limit: 5, remaining: 4, reset: 60 })
+    expect(ctx.res.set).not.toHaveBeenCalled()
+  })
+
+  test('error handler throws 429 with Retry-After', () => {
+    const ctx = { throw: jest.fn() }
+    createErrorHandler('none', 'requests')(ctx, 5, 0, 30, { key: 'ip', success: false, limit: 5, remaining: 0, reset: 30 })
+    expect(ctx.throw).toHaveBeenCalledWith(429, 'Too Many Requests', { headers: { 'Retry-After': '30' } })
+  })
+
+  test('error handler omits Retry-After when the reset is unknown', () => {
+    const ctx = { throw: jest.fn() }
+    createErrorHandler('legacy', 'requests')(ctx, undefined, undefined, undefined, { key: 'ip', success: false })
+    expect(ctx.throw).toHaveBeenCalledWith(429, 'Too Many Requests', { headers: {} })
+  })
+})
+
+describe('error response formats', () => {
+  const rejected = { ...info, success: false }
+  const createCtx = (accept) => ({
+    req: { get: (name) => name === 'Accept' ? accept : null },
+    res: { set: jest.fn() },
+    throw: jest.fn()
+  })
+
+  test('json answers RFC 9457 problem details', async () => {
+    const ctx = createCtx()
+    await createErrorHandler('none', 'requests', 'json')(ctx, 10, 0, 1, rejected)
+    expect(ctx.throw).not.toHaveBeenCalled()
+    expect(ctx.res.status).toBe(429)
+    expect(JSON.parse(ctx.res.body)).toEqual({ type: 'about:blank', title: 'Too Many Requests', status: 429, detail: 'Too Many Requests', retryAfter: 1, policy: '10-in-1s' })
+    expect(ctx.res.set).toHaveBeenCalledWith({ 'Retry-After': '1', 'Content-Type': 'application/problem+json; charset=utf-8' })
+  })
+
+  test('json leaves out what is unknown', async () => {
+    const ctx = createCtx()
+    await createErrorHandler('none', 'requests', 'json')(ctx, undefined, undefined, undefined, { key: 'ip', success: false })
+    expect(JSON.parse(ctx.res.body)).toEqual({ type: 'about:blank', title: 'Too Many Requests', status: 429, detail: 'Too Many Requests' })
+  })
+
+  test('html escapes the message', async () => {
+    const ctx = createCtx()
+    await createErrorHandler('legacy', 'requests', 'html', '<b>Slow down</b> & retry')(ctx, 10, 0, 1, rejected)
+    expect(ctx.res.status).toBe(429)
+    expect(ctx.res.body).toContain('<p>&#60;b&#62;Slow down&#60;/b&#62; &#38; retry</p>')
+    expect(ctx.res.set).toHaveBeenCalledWith(expect.objectContaining({ 'X-RateLimit-Limit': '10', 'Retry-After': '1', 'Content-Type': 'text/html; charset=utf-8' }))
+  })
+
+  test('message may be a function of the request and info', async () => {
+    const ctx = createCtx()
+    const message = jest.fn(async (ctx, info) => `Retry in ${info.reset}s`)
+    await createErrorHandler('none', 'requests', 'text', message)(ctx, 10, 0, 1, rejected)
+    expect(message).toHaveBeenCalledWith(ctx, rejected)
+    expect(ctx.throw).toHaveBeenCalledWith(429, 'Retry in 1s', { headers: { 'Retry-After': '1' } })
+  })
+
+  test.each([
+    [undefined, 'text'],
+    ['application/json', 'json'],
+    ['text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8', 'html']
+  ])('auto picks the format from Accept %s', async (accept, format) => {
+    const ctx = createCtx(accept)
+    await createErrorHandler('none', 'requests', 'auto')(ctx, 10, 0, 1, rejected)
+    if (format === 'text') {
+      expect(ctx.throw).toHaveBeenCalledWith(429, 'Too Many Requests', { headers: { 'Retry-After': '1' } })
+    } else {
+      expect(ctx.res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': expect.stringContaining(format) }))
+    }
+  })
+})
+
+describe('negotiateFormat', () => {
+  test.each([
+    [null, 'text'],
+    ['', 'text'],
+    ['*/*', 'text'],
+    ['application/problem+json', 'json'],
+    ['application/*', 'json'],
+    ['text/html', 'html'],
+    ['text/*', 'text'],
+    ['text/plain;q=0.5, application/json', 'json'],
+    ['application/json;q=0, text/html', 'html'],
+    ['application/json, text/html', 'json'],
+    ['image/png', 'text']
+  ])('%s is answered with %s', (accept, format) => {
+    expect(negotiateFormat(accept)).toBe(format)
+  })
+})
@@ -0,0 +1,93 @@
+import { cidrContains, clientIp, formatIp, maskIp, parseCidr, parseIp } from '../src/ip.js'
+
+/**
+ * Tests for IP address and CIDR range parsing
+ */
+
+describe('parseIp', () => {
+  test.each([
+    ['192.0.2.1', { version: 4, value: 0xc0000201n }],
+    ['2001:db8::1', { version: 6, value: 0x20010db8000000000000000000000001n }],
+    ['::', { version: 6, value: 0n }],
+    ['fe80::1%eth0', { version: 6, value: 0xfe800000000000000000000000000001n }],
+    ['1:2:3:4:5:6:7:8', { version: 6, value: 0x00010002000300040005000600070008n }],
+    ['::ffff:192.0.2.1', { version: 4, value: 0xc0000201n }],
+    ['64:ff9b::192.0.2.1', { version: 6, value: 0x0064ff9b0000000000000000c0000201n }]
+  ])('parses %s', (address, expected) => {
+    expect(parseIp(address)).toEqual(expected)
+  })
+
+  test.each([
+    [undefined],
+    [''],
+    ['256.0.0.1'],
+    ['1.2.3'],
+    ['1::2::3'],
+    ['1:2:3:4:5:6:7'],
+    ['1:2:3:4:5:6:7:8:9'],
+    ['1:2:3:4::5:6:7:8'],
+    ['12345::'],
+    ['1.2.3.4::'],
+    ['::1.2.3.256']
+  ])('rejects %s', (address) => {
+    expect(parseIp(address)).toBeNull()
+  })
+})
+
+describe('parseCidr', () => {
+  test('parses ranges and single addresses', () => {
+    expect(parseCidr('10.1.2.3/8')).toEqual({ version: 4, value: 0x0a000000n, prefix: 8 })
+    expect(parseCidr('2001:db8::/32')).toEqual({ version: 6, value: 0x20010db8000000000000000000000000n, prefix: 32 })
+    expect(parseCidr('192.0.2.1')).toEqual({ version: 4, value: 0xc0000201n, prefix: 32 })
+  })
+
+  test.each([
+    [null],
+    ['10.0.0.0/33'],
+    ['::/129'],
+    ['10.0.0.0/'],
+    ['10.0.0.0/8/8'],
+    ['example.com/8']
+  ])('rejects %s', (cidr) => {
+    expect(parseCidr(cidr)).toBeNull()
+  })
+})
+
+describe('cidrContains', () => {
+  test('matches addresses of the same version within the range', () => {
+    const cidr = parseCidr('2001:db8::/32')
+    expect(cidrContains(cidr, parseIp('2001:db8:ffff::1'))).toBe(true)
+    expect(cidrContains(cidr, parseIp('2001:db9::1'))).toBe(false)
+    expect(cidrContains(parseCidr('0.0.0.0/0'), parseIp('::1'))).toBe(false)
+    expect(cidrContains(parseCidr('0.0.0.0/0'), parseIp('::ffff:10.0.0.1'))).toBe(true)
+  })
+})
+
+describe('maskIp', () => {
+  test('keeps the prefix bits', () => {
+    expect(maskIp(parseIp('2001:db8:1:2:3:4:5:6'), 64)).toEqual(parseIp('2001:db8:1:2::'))
+    expect(maskIp(parseIp('192.0.2.200'), 24)).toEqual(parseIp('192.0.2.0'))
+  })
+})
+
+describe('formatIp', () => {
+  test.each([
+    ['192.0.2.1', '192.0.2.1'],
+    ['::', '::'],
+    ['::1', '::1'],
+    ['2001:DB8:0:0:0:0:0:1', '2001:db8::1'],
+    ['1:0:0:1:0:0:0:1', '1:0:0:1::1'],
+    ['1:0:1:0:1:0:1:0', '1:0:1:0:1:0:1:0'],
+    ['2001:db8:0:0:1:0:0:1', '2001:db8::1:0:0:1']
+  ])('formats %s as %s', (address, expected) => {
+    expect(formatIp(parseIp(address))).toBe(expected)
+  })
+})
+
+describe('clientIp', () => {
+  test('prefers CF-Connecting-IP over ctx.req.ip', () => {
+    expect(clientIp({ req: { ip: '10.0.0.1', get: () => '192.0.2.1' } })).toBe('192.0.2.1')
+    expect(clientIp({ req: { ip: '10.0.0.1', get: () => undefined } })).toBe('10.0.0.1')
+    expect(clientIp({ req: { ip: '10.0.0.1' } })).toBe('10.0.0.1')
+  })
+})
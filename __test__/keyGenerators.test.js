@@ -0,0 +1,144 @@
+import { byBearerToken, byCookie, byHeader, byIp, byRoute, combine } from '../src/keyGenerators.js'
+
+/**
+ * Tests for the built-in key generators
+ */
+
+function createCtx ({ ip, headers = {}, method = 'GET', pathname = '/' } = {}) {
+  return {
+    req: {
+      ip,
+      method,
+      pathname,
+      get: (name) => headers[name.toLowerCase()]
+    }
+  }
+}
+
+const SHA256_SECRET = '2bb80d537b1da3e38bd30361aa855686bde0eacd7162fef6a25fe97bf527a25b'
+
+describe('byIp', () => {
+  test('keys IPv4 clients by address', () => {
+    expect(byIp()(createCtx({ ip: '192.0.2.1' }))).toBe('ip:192.0.2.1')
+  })
+
+  test('masks IPv6 clients to their /64 by default', () => {
+    const keyGenerator = byIp()
+    expect(keyGenerator(createCtx({ ip: '2001:db8:1:2:aaaa::1' }))).toBe('ip:2001:db8:1:2::/64')
+    expect(keyGenerator(createCtx({ ip: '2001:db8:1:2:bbbb::2' }))).toBe('ip:2001:db8:1:2::/64')
+  })
+
+  test('uses the configured prefixes', () => {
+    const keyGenerator = byIp({ ipv6Prefix: 128, ipv4Prefix: 24 })
+    expect(keyGenerator(createCtx({ ip: '2001:DB8::0:1' }))).toBe('ip:2001:db8::1')
+    expect(keyGenerator(createCtx({ ip: '192.0.2.77' }))).toBe('ip:192.0.2.0/24')
+  })
+
+  test('prefers CF-Connecting-IP', () => {
+    expect(byIp()(createCtx({ ip: '10.0.0.1', headers: { 'cf-connecting-ip': '192.0.2.1' } }))).toBe('ip:192.0.2.1')
+  })
+
+  test('keeps unparsable addresses and skips unknown ones', () => {
+    expect(byIp()(createCtx({ ip: 'unix:/tmp/socket' }))).toBe('ip:unix:/tmp/socket')
+    expect(byIp()(createCtx())).toBeUndefined()
+  })
+
+  test.each([
+    ['ipv6Prefix', { ipv6Prefix: 129 }, 'options.ipv6Prefix must be an integer between 0 and 128'],
+    ['ipv4Prefix', { ipv4Prefix: -1 }, 'options.ipv4Prefix must be an integer between 0 and 32']
+  ])('throws when %s is invalid', (field, options, expectedError) => {
+    expect(() => byIp(options)).toThrow(expectedError)
+  })
+})
+
+describe('byHeader', () => {
+  test('keys by header value', async () => {
+    expect(await byHeader('X-API-Key')(createCtx({ headers: { 'x-api-key': 'secret' } }))).toBe('header:x-api-key:secret')
+    expect(await byHeader('X-API-Key')(createCtx())).toBeUndefined()
+  })
+
+  test('hashes the value', async () => {
+    expect(await byHeader('x-api-key', { hash: true })(createCtx({ headers: { 'x-api-key': 'secret' } }))).toBe(`header:x-api-key:${SHA256_SECRET}`)
+  })
+
+  test.each([
+    ['name', [''], 'name must be a non-empty string'],
+    ['hash', ['x-api-key', { hash: 'yes' }], 'options.hash must be a boolean']
+  ])('throws when %s is invalid', (field, args, expectedError) => {
+    expect(() => byHeader(...args)).toThrow(expectedError)
+  })
+})
+
+describe('byBearerToken', () => {
+  test('keys by the hashed bearer token', async () => {
+    expect(await byBearerToken()(createCtx({ headers: { authorization: 'Bearer secret' } }))).toBe(`bearer:${SHA256_SECRET}`)
+    expect(await byBearerToken({ hash: false })(createCtx({ headers: { authorization: 'bearer secret' } }))).toBe('bearer:secret')
+  })
+
+  test('skips requests without a bearer token', async () => {
+    expect(await byBearerToken()(createCtx({ headers: { authorization: 'Basic dXNlcjpwYXNz' } }))).toBeUndefined()
+    expect(await byBearerToken()(createCtx())).toBeUndefined()
+  })
+
+  test('throws when hash is invalid', () => {
+    expect(() => byBearerToken({ hash: 1 })).toThrow('options.hash must be a boolean')
+  })
+})
+
+describe('byCookie', () => {
+  test('keys by cookie value', async () => {
+    const ctx = createCtx({ headers: { cookie: 'theme=dark; sid=abc=123; lang=en' } })
+    expect(await byCookie('sid')(ctx)).toBe('cookie:sid:abc=123')
+    expect(await byCookie('theme', { hash: true })(createCtx({ headers: { cookie: 'theme=secret' } }))).toBe(`cookie:theme:${SHA256_SECRET}`)
+  })
+
+  test('skips requests without the cookie', async () => {
+    expect(await byCookie('sid')(createCtx({ headers: { cookie: 'theme=dark; sid=' } }))).toBeUndefined()
+    expect(await byCookie('sid')(createCtx())).toBeUndefined()
+  })
+
+  test.each([
+    ['name', [null], 'name must be a non-empty string'],
+    ['hash', ['sid', { hash: 'no' }], 'options.hash must be a boolean']
+  ])('throws when %s is invalid', (field, args, expectedError) => {
+    expect(() => byCookie(...args)).toThrow(expectedError)
+  })
+})
+
+describe('byRoute', () => {
+  test('keys by method and path', () => {
+    expect(byRoute()(createCtx({ method: 'POST', pathname: '/login' }))).toBe('route:POST /login')
+  })
+})
+
+describe('combine', () => {
+  test('joins the parts', async () => {
+    const keyGenerator = combine(byIp(), byRoute(), byHeader('x-api-key'))
+    expect(await keyGenerator(createCtx({ ip: '192.0.2.1', pathname: '/users', headers: { 'x-api-key': 'k' } }))).toBe('ip:192.0.2.1|route:GET /users|header:x-api-key:k')
+  })
+
+  test('joins the keys of objects and keeps their policy and cost', async () => {
+    const ctx = createCtx({ ip: '192.0.2.1' })
+    expect(await combine(byIp(), async () => ({ key: 'user-1', policy: 'pro' }))(ctx)).toEqual({ key: 'ip:192.0.2.1|user-1', policy: 'pro', cost: undefined })
+    expect(await combine(() => ({ key: 'user-1', cost: 3 }), byIp())(ctx)).toEqual({ key: 'user-1|ip:192.0.2.1', policy: undefined, cost: 3 })
+    expect(await combine(byIp(), () => ({ key: null, policy: 'pro' }))(ctx)).toBeUndefined()
+  })
+
+  test.each([
+    ['an array', () => ['a', 'b'], 'combine() expects key generators returning a single key, not an array'],
+    ['two policies', () => ({ key: 'user-1', policy: 'pro' }), 'combine() expects a policy and a cost from one key generator at most']
+  ])('throws when a part returns %s', async (name, generator, message) => {
+    await expect(combine(generator, generator)(createCtx())).rejects.toThrow(message)
+  })
+
+  test('skips when any part is missing', async () => {
+    expect(await combine(byIp(), byHeader('x-api-key'))(createCtx({ ip: '192.0.2.1' }))).toBeUndefined()
+  })
+
+  test.each([
+    ['no generators', []],
+    ['a non function', [byIp(), 'route']]
+  ])('throws for %s', (name, generators) => {
+    expect(() => combine(...generators)).toThrow('combine() expects key generator functions')
+  })
+})
@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals'
+import { createLocalCache } from '../src/localCache.js'
+import { MemoryStore } from '../src/stores/MemoryStore.js'
+import { fixedWindow, tokenBucket } from '../src/algorithms.js'
+
+/**
+ * Tests for the in-isolate cache of KVRateLimiter
+ */
+
+function spyStore () {
+  const store = new MemoryStore()
+  for (const method of ['get', 'set', 'increment', 'reset']) jest.spyOn(store, method)
+  return store
+}
+
+describe('createLocalCache', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1_000_000 })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('answers blocked keys until their reset', () => {
+    const cache = createLocalCache(true)
+    const result = { success: false, limit: 5, remaining: 0, reset: 3 }
+    cache.block('ip', result)
+    cache.block('zero', { ...result, reset: 0 })
+    expect(cache.blocked('zero')).toBeNull()
+    jest.advanceTimersByTime(1500)
+    expect(cache.blocked('ip')).toEqual({ ...result, reset: 2 })
+    jest.advanceTimersByTime(1500)
+    expect(cache.blocked('ip')).toBeNull()
+    expect(cache.blocked('other')).toBeNull()
+  })
+
+  test('sums up increments within ttl and writes them with the next read', async () => {
+    const inner = spyStore()
+    const store = createLocalCache({ ttl: 2 }).wrap(inner)
+    expect(await store.increment('k', 1, 60)).toBe(1)
+    expect(await store.increment('k', 2, 60)).toBe(3)
+    expect(await store.get('k')).toBe(3)
+    expect(inner.increment).toHaveBeenCalledTimes(1)
+    expect(await inner.get('k')).toBe(1)
+
+    jest.advanceTimersByTime(2000)
+    expect(await store.increment('k', 1, 60)).toBe(4)
+    expect(inner.increment).toHaveBeenLastCalledWith('k', 3, 60)
+
+    jest.advanceTimersByTime(2000)
+    expect(await store.get('k')).toBe(4)
+    await store.increment('k', 5, 60)
+    jest.advanceTimersByTime(2000)
+    expect(await store.get('k')).toBe(9)
+    expect(inner.increment).toHaveBeenLastCalledWith('k', 5, 60)
+  })
+
+  test('counts from 0 for missing keys', async () => {
+    const store = createLocalCache(true).wrap(spyStore())
+    expect(await store.get('k')).toBeNull()
+    expect(await store.increment('k', 2, 60)).toBe(2)
+  })
+
+  test('reads through once per ttl and writes sets through', async () => {
+    const inner = spyStore()
+    const store = createLocalCache(true).wrap(inner)
+    await store.set('k', { tokens: 1 }, 60)
+    const value = await store.get('k')
+    value.tokens = 2
+    expect(await store.get('k')).toEqual({ tokens: 1 })
+    expect(inner.get).not.toHaveBeenCalled()
+    jest.advanceTimersByTime(1000)
+    await store.get('k')
+    expect(inner.get).toHaveBeenCalledTimes(1)
+    await store.reset('k')
+    expect(await store.get('k')).toBeNull()
+  })
+
+  test('batches increment-based algorithms only', async () => {
+    const options = { limit: 10, period: 60 }
+    const counters = spyStore()
+    const counted = createLocalCache(true).wrap(counters)
+    const buckets = spyStore()
+    const bucketed = createLocalCache(true).wrap(buckets)
+    for (let i = 0; i < 3; i++) {
+      await fixedWindow.consume(counted, 'k', options)
+      await tokenBucket.consume(bucketed, 'k', options)
+    }
+    expect(counters.increment).toHaveBeenCalledTimes(1)
+    expect(buckets.set).toHaveBeenCalledTimes(3)
+    expect((await tokenBucket.consume(bucketed, 'k', options)).remaining).toBe(6)
+  })
+
+  test('shares state between the stores it wraps', async () => {
+    const cache = createLocalCache(true)
+    const inner = spyStore()
+    await cache.wrap(inner).increment('k', 1, 60)
+    expect(await cache.wrap(spyStore()).increment('k', 1, 60)).toBe(2)
+  })
+
+  test('drops the oldest keys past maxKeys', async () => {
+    const inner = spyStore()
+    const store = createLocalCache({ maxKeys: 1 }).wrap(inner)
+    await store.get('a')
+    await store.get('b')
+    await store.get('a')
+    expect(inner.get).toHaveBeenCalledTimes(3)
+  })
+
+  test.each([
+    ['cache', 'yes', 'options.cache must be true or an object'],
+    ['ttl', { ttl: 0 }, 'options.cache.ttl must be > 0 (seconds)'],
+    ['maxKeys', { maxKeys: 1.5 }, 'options.cache.maxKeys must be an integer >= 1']
+  ])('throws when %s is invalid', (name, options, message) => {
+    expect(() => createLocalCache(options)).toThrow(message)
+  })
+})
@@ -0,0 +1,765 @@
+import { jest } from '@jest/globals'
+import { rateLimitMiddleware } from '../src/middleware.js'
+import { ConfigurationError } from '../src/utils.js'
+
+/**
+ * Tests for the request flow shared by the rate limiter middlewares
+ */
+
+function createCtx () {
+  return { req: {}, res: {} }
+}
+
+function createOptions (overrides = {}) {
+  return {
+    keyGenerator: () => 'ip',
+    successHandler: jest.fn(),
+    errorHandler: jest.fn(),
+    ...overrides
+  }
+}
+
+describe('rateLimitMiddleware keys', () => {
+  const allowed = { success: true, limit: 5, remaining: 4, reset: 1 }
+
+  test('awaits async key generators', async () => {
+    const consume = jest.fn(async () => allowed)
+    const options = createOptions({ keyGenerator: async () => 'owner' })
+    await rateLimitMiddleware(options, { consume })(createCtx(), async () => {})
+    expect(consume).toHaveBeenCalledWith(expect.any(Object), 'owner', { cost: 1, now: expect.any(Number) }, undefined)
+  })
+
+  test('takes key, policy and cost from an object', async () => {
+    const consume = jest.fn(async () => allowed)
+    const resolvePolicies = jest.fn(async (ctx, policy) => [{ limit: policy === 'pro' ? 1000 : 10, period: 60 }])
+    const options = createOptions({ keyGenerator: async () => ({ key: 'owner', policy: 'pro', cost: 3 }) })
+    const ctx = createCtx()
+    await rateLimitMiddleware(options, { consume, policies: () => resolvePolicies })(ctx, async () => {})
+    expect(resolvePolicies).toHaveBeenCalledWith(ctx, 'pro')
+    expect(consume).toHaveBeenCalledWith(ctx, 'owner', { cost: 3, now: expect.any(Number) }, [{ limit: 1000, period: 60 }])
+  })
+
+  test('charges the cost of an object after next when deferred', async () => {
+    const consume = jest.fn(async () => allowed)
+    const options = createOptions({ keyGenerator: () => ({ key: 'owner', cost: 4 }), cost: 2, deferCost: true })
+    await rateLimitMiddleware(options, { consume })(createCtx(), async () => {})
+    expect(consume.mock.calls.map(([, , charge]) => charge)).toEqual([{ cost: 1, now: expect.any(Number) }, { cost: 3, force: true }])
+  })
+
+  test('checks every key of an array together and skips falsy ones', async () => {
+    const consume = jest.fn(async (ctx, key) => ({ ...allowed, success: key !== 'tenant', remaining: key === 'tenant' ? 0 : 4 }))
+    const refund = jest.fn(async () => {})
+    const options = createOptions({ keyGenerator: () => ['user', null, { key: 'tenant' }, { key: '' }] })
+    const next = jest.fn()
+    await rateLimitMiddleware(options, { consume, refund })(createCtx(), next)
+    expect(consume.mock.calls.map(([, key]) => key)).toEqual(['user', 'tenant'])
+    expect(refund).toHaveBeenCalledWith(expect.any(Object), 'user', { cost: 1, now: expect.any(Number) }, undefined)
+    expect(next).not.toHaveBeenCalled()
+    expect(options.errorHandler).toHaveBeenCalledWith(expect.any(Object), 5, 0, 1, expect.objectContaining({ key: 'tenant', success: false }))
+  })
+
+  test('skips rate limiting when every key of an object or array is falsy', async () => {
+    const consume = jest.fn()
+    const next = jest.fn(async () => {})
+    for (const key of [[], [null, ''], { key: null, cost: 2 }]) {
+      await rateLimitMiddleware(createOptions({ keyGenerator: () => key }), { consume })(createCtx(), next)
+    }
+    expect(consume).not.toHaveBeenCalled()
+    expect(next).toHaveBeenCalledTimes(3)
+  })
+
+  test('applies the highest cost returned by scope key generators', async () => {
+    const consume = jest.fn(async () => allowed)
+    const scopes = {
+      user: { keyGenerator: () => ({ key: 'alice', cost: 2 }) },
+      tenant: { keyGenerator: () => ({ key: 'acme', cost: 5 }) },
+      global: { keyGenerator: () => 'all' }
+    }
+    await rateLimitMiddleware(createOptions({ scopes }), { consume, policies: () => async () => [] })(createCtx(), async () => {})
+    expect(consume.mock.calls.map(([, key, charge]) => [key, charge.cost])).toEqual([['user:alice', 5], ['tenant:acme', 5], ['global:all', 5]])
+  })
+
+  test.each([
+    ['a number', () => 1, 'options.keyGenerator must return a string, a { key, policy, cost } object or an array of keys'],
+    ['a non-string key', () => ({ key: 1 }), 'options.keyGenerator must return a string, a { key, policy, cost } object or an array of keys'],
+    ['a cost in an array', () => [{ key: 'a', cost: 2 }], 'options.keyGenerator can only return a cost along with a single key'],
+    ['an invalid cost', () => ({ key: 'a', cost: -1 }), 'the cost returned by options.keyGenerator must be a number >= 0'],
+    ['a policy without policies', () => ({ key: 'a', policy: 'pro' }), 'options.keyGenerator cannot return a policy with this rate limiter']
+  ])('throws when keyGenerator returns %s', async (name, keyGenerator, message) => {
+    const middleware = rateLimitMiddleware(createOptions({ keyGenerator }), { consume: async () => allowed })
+    await expect(middleware(createCtx(), async () => {})).rejects.toThrow(message)
+  })
+})
+
+describe('rateLimitMiddleware cost', () => {
+  test('consumes one unit by default', async () => {
+    const consume = jest.fn(async () => ({ success: true, limit: 5, remaining: 4, reset: 1 }))
+    const options = createOptions()
+    await rateLimitMiddleware(options, { consume })(createCtx(), async () => {})
+    expect(consume).toHaveBeenCalledWith(expect.any(Object), 'ip', { cost: 1, now: expect.any(Number) }, undefined)
+    expect(options.successHandler).toHaveBeenCalledWith(expect.any(Object), 5, 4, 1, { key: 'ip', success: true, limit: 5, remaining: 4, reset: 1 })
+  })
+
+  test('resolves cost from the context before next', async () => {
+    const consume = jest.fn(async (ctx, key, { cost }) => ({ success: cost <= 5, limit: 5, remaining: 0, reset: 1 }))
+    const options = createOptions({ cost: async (ctx) => ctx.req.cost })
+    const next = jest.fn(async () => {})
+    const ctx = createCtx()
+    ctx.req.cost = 6
+    await rateLimitMiddleware(options, { consume })(ctx, next)
+    expect(consume).toHaveBeenCalledWith(ctx, 'ip', { cost: 6, now: expect.any(Number) }, undefined)
+    expect(next).not.toHaveBeenCalled()
+    expect(options.errorHandler).toHaveBeenCalledWith(ctx, 5, 0, 1, expect.objectContaining({ key: 'ip', success: false }))
+  })
+
+  test('reserves one unit and charges the rest after next when deferred', async () => {
+    const consume = jest.fn(async (ctx, key, { cost }) => ({ success: !ctx.res.cost, limit: 10, remaining: 10 - cost, reset: 1 }))
+    const options = createOptions({ cost: (ctx) => ctx.res.cost, deferCost: true })
+    const ctx = createCtx()
+    await rateLimitMiddleware(options, { consume })(ctx, async () => { ctx.res.cost = 7 })
+    expect(consume.mock.calls.map(([, , charge]) => charge)).toEqual([{ cost: 1, now: expect.any(Number) }, { cost: 6, force: true }])
+    expect(options.successHandler).toHaveBeenCalledWith(ctx, 10, 4, 1, expect.objectContaining({ success: true }))
+  })
+
+  test('resolves the policies once per request', async () => {
+    const policies = [{ limit: 10, period: 60 }]
+    const resolvePolicies = jest.fn(async () => policies)
+    const consume = jest.fn(async () => ({ success: true, limit: 10, remaining: 9, reset: 1 }))
+    const options = createOptions({ cost: () => 3, deferCost: true })
+    await rateLimitMiddleware(options, { consume, policies: () => resolvePolicies })(createCtx(), async () => {})
+    expect(resolvePolicies).toHaveBeenCalledTimes(1)
+    expect(consume.mock.calls.map(([, , , resolved]) => resolved)).toEqual([policies, policies])
+  })
+
+  test('does not charge again when the deferred cost is covered by the reservation', async () => {
+    const consume = jest.fn(async () => ({ success: true, limit: 10, remaining: 9, reset: 1 }))
+    const options = createOptions({ cost: () => 0, deferCost: true })
+    await rateLimitMiddleware(options, { consume })(createCtx(), async () => {})
+    expect(consume).toHaveBeenCalledTimes(1)
+  })
+
+  test('throws when cost resolves to an invalid number', async () => {
+    const consume = jest.fn()
+    const mw = rateLimitMiddleware(createOptions({ cost: () => -1 }), { consume })
+    await expect(mw(createCtx(), async () => {})).rejects.toThrow('options.cost must resolve to a number >= 0')
+    expect(consume).not.toHaveBeenCalled()
+  })
+
+  test.each([
+    ['cost', { cost: -1 }, 'options.cost must be a number >= 0 or a function'],
+    ['deferCost', { deferCost: 'yes' }, 'options.deferCost must be a boolean'],
+    ['headers', { headers: 'draft-7' }, 'options.headers must be one of legacy, draft-6, draft-8, none'],
+    ['quotaUnit', { quotaUnit: 'Bytes "total"' }, 'options.quotaUnit must be a lowercase token such as requests'],
+    ['responseFormat', { responseFormat: 'xml' }, 'options.responseFormat must be one of text, json, html, auto'],
+    ['message', { message: 429 }, 'options.message must be a string or a function'],
+    ['onStoreError', { onStoreError: 'ignore' }, "options.onStoreError must be 'open', 'closed' or a function"],
+    ['timeout', { timeout: 0 }, 'options.timeout must be > 0 (milliseconds)'],
+    ['allow', { allow: ['localhost'] }, 'options.allow[0] must be an IP address'],
+    ['deny', { deny: { country: 'France' } }, 'options.deny.country must be an ISO country code']
+  ])('throws when %s is invalid', (field, overrides, expectedError) => {
+    expect(() => rateLimitMiddleware(createOptions(overrides), { consume: async () => {} })).toThrow(expectedError)
+  })
+})
+
+describe('rateLimitMiddleware allow and deny', () => {
+  function createRuleCtx (ip) {
+    const ctx = { req: { ip }, res: {}, thrown: null, throw: (status, message) => { ctx.thrown = { status, message } } }
+    return ctx
+  }
+
+  test('skips rate limiting for allowed requests', async () => {
+    const consume = jest.fn()
+    const next = jest.fn(async () => {})
+    const options = createOptions({ allow: ['10.0.0.0/8'] })
+    await rateLimitMiddleware(options, { consume })(createRuleCtx('10.1.2.3'), next)
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(consume).not.toHaveBeenCalled()
+    expect(options.successHandler).not.toHaveBeenCalled()
+  })
+
+  test('rejects denied requests with 403 before allow', async () => {
+    const consume = jest.fn()
+    const next = jest.fn(async () => {})
+    const keyGenerator = jest.fn(() => 'ip')
+    const ctx = createRuleCtx('10.1.2.3')
+    await rateLimitMiddleware(createOptions({ allow: ['10.0.0.0/8'], deny: '10.1.2.3', keyGenerator }), { consume })(ctx, next)
+    expect(ctx.thrown).toEqual({ status: 403, message: 'Forbidden' })
+    expect(next).not.toHaveBeenCalled()
+    expect(keyGenerator).not.toHaveBeenCalled()
+    expect(consume).not.toHaveBeenCalled()
+  })
+
+  test('limits requests matching no rule', async () => {
+    const consume = jest.fn(async () => ({ success: true, limit: 5, remaining: 4, reset: 1 }))
+    const ctx = createRuleCtx('192.0.2.1')
+    await rateLimitMiddleware(createOptions({ allow: ['10.0.0.0/8'], deny: () => false }), { consume })(ctx, async () => {})
+    expect(ctx.thrown).toBeNull()
+    expect(consume).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('rateLimitMiddleware store errors', () => {
+  function createErrorCtx () {
+    const ctx = { req: {}, res: {}, thrown: null, throw: (status, message) => { ctx.thrown = { status, message } } }
+    return ctx
+  }
+
+  const failing = async () => { throw new Error('KV unavailable') }
+
+  test('rethrows by default', async () => {
+    const next = jest.fn(async () => {})
+    await expect(rateLimitMiddleware(createOptions(), { consume: failing })(createErrorCtx(), next)).rejects.toThrow('KV unavailable')
+    expect(next).not.toHaveBeenCalled()
+  })
+
+  test('throws configuration errors even when failing open', async () => {
+    const misconfigured = async () => { throw new ConfigurationError('options.binding must be a KV binding name') }
+    const onEvent = jest.fn()
+    const next = jest.fn(async () => {})
+    for (const onStoreError of ['open', 'closed', () => true]) {
+      const mw = rateLimitMiddleware(createOptions({ onStoreError, onEvent }), { consume: misconfigured })
+      await expect(mw(createErrorCtx(), next)).rejects.toThrow('options.binding must be a KV binding name')
+    }
+    expect(next).not.toHaveBeenCalled()
+    expect(onEvent).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'storeError' }), expect.any(Object))
+  })
+
+  test('fails open on the TypeErrors of the store', async () => {
+    const lost = async () => { throw new TypeError('Network connection lost') }
+    const onEvent = jest.fn()
+    const next = jest.fn(async () => {})
+    await rateLimitMiddleware(createOptions({ onStoreError: 'open', onEvent }), { consume: lost })(createErrorCtx(), next)
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'storeError', error: new TypeError('Network connection lost'), open: true }), expect.any(Object))
+  })
+
+  test('lets the request through when failing open', async () => {
+    const next = jest.fn(async () => {})
+    const options = createOptions({ onStoreError: 'open' })
+    await rateLimitMiddleware(options, { consume: failing })(createErrorCtx(), next)
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(options.successHandler).not.toHaveBeenCalled()
+  })
+
+  test('rejects with 503 when failing closed', async () => {
+    const next = jest.fn(async () => {})
+    const ctx = createErrorCtx()
+    await rateLimitMiddleware(createOptions({ onStoreError: 'closed' }), { consume: failing })(ctx, next)
+    expect(ctx.thrown).toEqual({ status: 503, message: 'Service Unavailable' })
+    expect(next).not.toHaveBeenCalled()
+  })
+
+  test('lets the callback decide', async () => {
+    const onStoreError = jest.fn(async (ctx) => ctx.req.trusted)
+    const next = jest.fn(async () => {})
+    const mw = rateLimitMiddleware(createOptions({ onStoreError }), { consume: failing })
+    const trusted = createErrorCtx()
+    trusted.req.trusted = true
+    await mw(trusted, next)
+    const untrusted = createErrorCtx()
+    await mw(untrusted, next)
+    expect(onStoreError).toHaveBeenCalledWith(trusted, expect.objectContaining({ message: 'KV unavailable' }))
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(untrusted.thrown?.status).toBe(503)
+  })
+
+  test('fails the store call after timeout', async () => {
+    jest.useFakeTimers()
+    try {
+      const onStoreError = jest.fn(() => true)
+      const next = jest.fn(async () => {})
+      const slow = () => new Promise(() => {})
+      const pending = rateLimitMiddleware(createOptions({ onStoreError, timeout: 50 }), { consume: slow })(createErrorCtx(), next)
+      await jest.advanceTimersByTimeAsync(50)
+      await pending
+      expect(onStoreError).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ message: 'Rate limit store did not respond within 50ms' }))
+      expect(next).toHaveBeenCalledTimes(1)
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  test('returns the result when the store answers in time', async () => {
+    const consume = jest.fn(async () => ({ success: true, limit: 5, remaining: 4, reset: 1 }))
+    const options = createOptions({ timeout: 1000 })
+    await rateLimitMiddleware(options, { consume })(createErrorCtx(), async () => {})
+    expect(options.successHandler).toHaveBeenCalledWith(expect.any(Object), 5, 4, 1, expect.objectContaining({ success: true }))
+  })
+
+  test('keeps the reserved result when the deferred charge fails', async () => {
+    const consume = jest.fn()
+      .mockResolvedValueOnce({ success: true, limit: 10, remaining: 9, reset: 1 })
+      .mockRejectedValueOnce(new Error('KV unavailable'))
+    const onStoreError = jest.fn(() => false)
+    const options = createOptions({ cost: () => 5, deferCost: true, onStoreError })
+    const ctx = createErrorCtx()
+    await rateLimitMiddleware(options, { consume })(ctx, async () => {})
+    expect(onStoreError).toHaveBeenCalledTimes(1)
+    expect(ctx.thrown).toBeNull()
+    expect(options.successHandler).toHaveBeenCalledWith(ctx, 10, 9, 1, expect.objectContaining({ success: true }))
+  })
+})
+
+describe('rateLimitMiddleware scopes', () => {
+  const scopes = {
+    tenant: { keyGenerator: () => 'acme' },
+    user: { keyGenerator: () => 'alice' }
+  }
+
+  test('checks scopes one by one without refund', async () => {
+    const consume = jest.fn(async (ctx, key) => ({ success: key !== 'tenant:acme', limit: 5, remaining: 0, reset: 1 }))
+    const options = createOptions({ scopes })
+    await rateLimitMiddleware(options, { consume, policies: () => undefined })(createCtx(), async () => {})
+    expect(consume.mock.calls.map(([, key]) => key)).toEqual(['tenant:acme'])
+    expect(options.errorHandler).toHaveBeenCalledWith(expect.any(Object), 5, 0, 1, expect.objectContaining({ key: 'tenant:acme', scope: 'tenant' }))
+  })
+
+  test('charges every scope when forced', async () => {
+    const consume = jest.fn(async () => ({ success: false, limit: 5, remaining: 0, reset: 1 }))
+    const refund = jest.fn()
+    const options = createOptions({ scopes, cost: () => 3, deferCost: true })
+    consume.mockResolvedValueOnce({ success: true, limit: 5, remaining: 4, reset: 1 }).mockResolvedValueOnce({ success: true, limit: 5, remaining: 4, reset: 1 })
+    await rateLimitMiddleware(options, { consume, refund, policies: () => undefined })(createCtx(), async () => {})
+    expect(consume.mock.calls.map(([, key, charge]) => [key, charge])).toEqual([
+      ['tenant:acme', { cost: 1, now: expect.any(Number) }],
+      ['user:alice', { cost: 1, now: expect.any(Number) }],
+      ['tenant:acme', { cost: 2, force: true }],
+      ['user:alice', { cost: 2, force: true }]
+    ])
+    expect(refund).not.toHaveBeenCalled()
+  })
+
+  test('charges every scope when forced without refund', async () => {
+    const consume = jest.fn(async () => ({ success: false, limit: 5, remaining: 0, reset: 1 }))
+    consume.mockResolvedValueOnce({ success: true, limit: 5, remaining: 4, reset: 1 }).mockResolvedValueOnce({ success: true, limit: 5, remaining: 4, reset: 1 })
+    await rateLimitMiddleware(createOptions({ scopes, cost: () => 3, deferCost: true }), { consume, policies: () => undefined })(createCtx(), async () => {})
+    expect(consume).toHaveBeenCalledTimes(4)
+  })
+
+  test('throws when the backend has no policies', () => {
+    expect(() => rateLimitMiddleware(createOptions({ scopes }), { consume: async () => {} })).toThrow('options.scopes is not supported by this rate limiter')
+  })
+})
+
+describe('rateLimitMiddleware outcome', () => {
+  const consume = async () => ({ success: true, limit: 5, remaining: 3, reset: 1 })
+
+  function createStatusCtx (status) {
+    return { req: {}, res: { status } }
+  }
+
+  test.each([
+    [200, { skipSuccessfulRequests: true }, true],
+    [401, { skipSuccessfulRequests: true }, false],
+    [200, { skipFailedRequests: true }, false],
+    [500, { skipFailedRequests: true }, true],
+    [200, { skipSuccessfulRequests: true, skipFailedRequests: true }, true],
+    [404, { skipSuccessfulRequests: true, skipFailedRequests: true }, true]
+  ])('gives back the units of a %s response with %j: %s', async (status, overrides, refunded) => {
+    const refund = jest.fn()
+    const options = createOptions(overrides)
+    const ctx = createStatusCtx(status)
+    await rateLimitMiddleware(options, { consume, refund })(ctx, async () => {})
+    expect(refund.mock.calls).toEqual(refunded ? [[ctx, 'ip', { cost: 1, now: expect.any(Number) }, undefined]] : [])
+    expect(options.successHandler).toHaveBeenCalledWith(ctx, 5, refunded ? 4 : 3, 1, expect.objectContaining({ success: true }))
+  })
+
+  test('counts an error thrown by next as failed', async () => {
+    const refund = jest.fn()
+    const options = createOptions({ skipFailedRequests: true })
+    const error = new Error('boom')
+    await expect(rateLimitMiddleware(options, { consume, refund })(createStatusCtx(200), async () => { throw error })).rejects.toBe(error)
+    expect(refund).toHaveBeenCalledTimes(1)
+    expect(options.successHandler).toHaveBeenCalledTimes(1)
+  })
+
+  test('passes the error of next to shouldCount', async () => {
+    const refund = jest.fn()
+    const shouldCount = jest.fn(async (ctx) => ctx.res.status === 401)
+    const ctx = createStatusCtx(200)
+    await rateLimitMiddleware(createOptions({ shouldCount }), { consume, refund })(ctx, async () => {})
+    expect(shouldCount).toHaveBeenCalledWith(ctx, undefined)
+    expect(refund).toHaveBeenCalledTimes(1)
+
+    const error = new Error('boom')
+    await expect(rateLimitMiddleware(createOptions({ shouldCount }), { consume, refund })(ctx, async () => { throw error })).rejects.toBe(error)
+    expect(shouldCount).toHaveBeenLastCalledWith(ctx, error)
+  })
+
+  test('gives back every scope', async () => {
+    const refund = jest.fn()
+    const scopes = { tenant: { keyGenerator: () => 'acme' }, user: { keyGenerator: () => 'alice' } }
+    await rateLimitMiddleware(createOptions({ scopes, skipSuccessfulRequests: true }), { consume, refund, policies: () => undefined })(createStatusCtx(200), async () => {})
+    expect(refund.mock.calls.map(([, key]) => key)).toEqual(['tenant:acme', 'user:alice'])
+  })
+
+  test('skips the deferred charge of a request that does not count', async () => {
+    const charge = jest.fn(consume)
+    const refund = jest.fn()
+    const options = createOptions({ cost: () => 3, deferCost: true, skipFailedRequests: true })
+    await rateLimitMiddleware(options, { consume: charge, refund })(createStatusCtx(500), async () => {})
+    expect(charge).toHaveBeenCalledTimes(1)
+    expect(refund).toHaveBeenCalledWith(expect.any(Object), 'ip', { cost: 1, now: expect.any(Number) }, undefined)
+  })
+
+  test('keeps the result when the refund fails', async () => {
+    const refund = jest.fn(async () => { throw new Error('KV unavailable') })
+    const onStoreError = jest.fn(() => true)
+    const options = createOptions({ skipSuccessfulRequests: true, onStoreError })
+    await rateLimitMiddleware(options, { consume, refund })(createStatusCtx(200), async () => {})
+    expect(onStoreError).toHaveBeenCalledTimes(1)
+    expect(options.successHandler).toHaveBeenCalledWith(expect.any(Object), 5, 3, 1, expect.objectContaining({ success: true }))
+  })
+
+  test.each([
+    ['skipSuccessfulRequests', { skipSuccessfulRequests: 'yes' }, 'options.skipSuccessfulRequests must be a boolean'],
+    ['skipFailedRequests', { skipFailedRequests: 1 }, 'options.skipFailedRequests must be a boolean'],
+    ['shouldCount', { shouldCount: true }, 'options.shouldCount must be a function'],
+    ['shouldCount with skip', { shouldCount: () => true, skipFailedRequests: true }, 'options.shouldCount cannot be combined with options.skipSuccessfulRequests or options.skipFailedRequests']
+  ])('throws for invalid %s', (name, overrides, message) => {
+    expect(() => rateLimitMiddleware(createOptions(overrides), { consume, refund: jest.fn() })).toThrow(message)
+  })
+
+  test('throws when the backend cannot give units back', () => {
+    expect(() => rateLimitMiddleware(createOptions({ skipSuccessfulRequests: true }), { consume })).toThrow('require a rate limiter that can give units back')
+  })
+})
+
+describe('rateLimitMiddleware bans', () => {
+  function createBackend (ban) {
+    return {
+      consume: jest.fn(async () => ({ success: false, limit: 5, remaining: 0, reset: 1 })),
+      bans: {
+        get: jest.fn(async (ctx, key) => key === 'banned' ? { level: 2, until: 0, reset: 600 } : null),
+        strike: jest.fn(async () => ban),
+        lift: jest.fn()
+      }
+    }
+  }
+
+  test('rejects a banned key without consuming', async () => {
+    const backend = createBackend(null)
+    const options = createOptions({ ban: {}, keyGenerator: () => 'banned' })
+    await rateLimitMiddleware(options, backend)(createCtx(), async () => {})
+    expect(backend.consume).not.toHaveBeenCalled()
+    expect(backend.bans.strike).not.toHaveBeenCalled()
+    expect(options.errorHandler).toHaveBeenCalledWith(expect.any(Object), undefined, 0, 600, expect.objectContaining({ key: 'banned', ban: { level: 2, until: 0, reset: 600 } }))
+  })
+
+  test('reports the policies of a banned key', async () => {
+    const backend = createBackend(null)
+    backend.policies = () => async () => [{ limit: 5, period: 1 }, { limit: 100, period: 60 }]
+    const options = createOptions({ ban: {}, keyGenerator: () => 'banned' })
+    await rateLimitMiddleware(options, backend)(createCtx(), async () => {})
+    expect(options.errorHandler).toHaveBeenCalledWith(expect.any(Object), 5, 0, 600, expect.objectContaining({
+      key: 'banned',
+      policy: { limit: 5, period: 1 },
+      results: [
+        { success: false, limit: 5, remaining: 0, reset: 600, policy: { limit: 5, period: 1 } },
+        { success: false, limit: 100, remaining: 0, reset: 600, policy: { limit: 100, period: 60 } }
+      ]
+    }))
+  })
+
+  test('strikes a rejected key and reports the ban it starts', async () => {
+    const backend = createBackend({ level: 1, until: 0, reset: 60 })
+    const options = createOptions({ ban: {} })
+    await rateLimitMiddleware(options, backend)(createCtx(), async () => {})
+    expect(backend.bans.strike).toHaveBeenCalledWith(expect.any(Object), 'ip')
+    expect(options.errorHandler).toHaveBeenCalledWith(expect.any(Object), 5, 0, 60, expect.objectContaining({ key: 'ip', ban: { level: 1, until: 0, reset: 60 } }))
+  })
+
+  test('keeps the rejection when no ban starts', async () => {
+    const backend = createBackend(null)
+    const options = createOptions({ ban: {} })
+    await rateLimitMiddleware(options, backend)(createCtx(), async () => {})
+    expect(options.errorHandler).toHaveBeenCalledWith(expect.any(Object), 5, 0, 1, { key: 'ip', success: false, limit: 5, remaining: 0, reset: 1 })
+  })
+
+  test('does not strike in dryRun', async () => {
+    const backend = createBackend({ level: 1, until: 0, reset: 60 })
+    const onLimitReached = jest.fn()
+    const next = jest.fn(async () => {})
+    await rateLimitMiddleware(createOptions({ ban: {}, mode: 'dryRun', onLimitReached }), backend)(createCtx(), next)
+    expect(backend.bans.strike).not.toHaveBeenCalled()
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(onLimitReached).toHaveBeenCalledWith(expect.any(Object), { key: 'ip', success: false, limit: 5, remaining: 0, reset: 1 })
+  })
+
+  test('strikes the scope that rejected the request', async () => {
+    const backend = createBackend(null)
+    backend.consume.mockImplementation(async (ctx, key) => ({ success: key !== 'user:alice', limit: 5, remaining: 0, reset: 1 }))
+    backend.policies = () => undefined
+    const scopes = { tenant: { keyGenerator: () => 'acme' }, user: { keyGenerator: () => 'alice' } }
+    await rateLimitMiddleware(createOptions({ scopes, ban: {} }), backend)(createCtx(), async () => {})
+    expect(backend.bans.get.mock.calls.map(([, key]) => key)).toEqual(['tenant:acme', 'user:alice'])
+    expect(backend.bans.strike).toHaveBeenCalledWith(expect.any(Object), 'user:alice')
+  })
+
+  test('exposes get and lift', () => {
+    const backend = createBackend(null)
+    const middleware = rateLimitMiddleware(createOptions({ ban: {} }), backend)
+    expect(middleware.bans).toEqual({ get: backend.bans.get, lift: backend.bans.lift })
+    expect(rateLimitMiddleware(createOptions(), { consume: backend.consume }).bans).toBeUndefined()
+  })
+
+  test('throws when the backend cannot ban', () => {
+    expect(() => rateLimitMiddleware(createOptions({ ban: {} }), { consume: async () => {} })).toThrow('options.ban is not supported by this rate limiter')
+  })
+})
+
+describe('rateLimitMiddleware mode', () => {
+  const rejected = { success: false, limit: 5, remaining: 0, reset: 9 }
+
+  test('lets rejected requests through in dryRun', async () => {
+    const consume = jest.fn(async () => rejected)
+    const onLimitReached = jest.fn()
+    const options = createOptions({ mode: 'dryRun', onLimitReached })
+    const next = jest.fn(async () => {})
+    const ctx = createCtx()
+    await rateLimitMiddleware(options, { consume })(ctx, next)
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(onLimitReached).toHaveBeenCalledWith(ctx, { key: 'ip', ...rejected })
+    expect(options.errorHandler).not.toHaveBeenCalled()
+    expect(options.successHandler).toHaveBeenCalledWith(ctx, 5, 0, 9, { key: 'ip', ...rejected })
+  })
+
+  test('calls onLimitReached before the error handler when enforcing', async () => {
+    const calls = []
+    const options = createOptions({
+      onLimitReached: () => calls.push('onLimitReached'),
+      errorHandler: () => calls.push('errorHandler')
+    })
+    const next = jest.fn()
+    await rateLimitMiddleware(options, { consume: async () => rejected })(createCtx(), next)
+    expect(calls).toEqual(['onLimitReached', 'errorHandler'])
+    expect(next).not.toHaveBeenCalled()
+  })
+
+  test('does not call onLimitReached for allowed requests', async () => {
+    const onLimitReached = jest.fn()
+    await rateLimitMiddleware(createOptions({ mode: 'dryRun', onLimitReached }), { consume: async () => ({ success: true, limit: 5, remaining: 4, reset: 9 }) })(createCtx(), async () => {})
+    expect(onLimitReached).not.toHaveBeenCalled()
+  })
+
+  test('neither gives back nor charges what a dryRun request did not consume', async () => {
+    const consume = jest.fn(async () => rejected)
+    const refund = jest.fn()
+    const options = createOptions({ mode: 'dryRun', skipSuccessfulRequests: true })
+    await rateLimitMiddleware(options, { consume, refund })({ req: {}, res: { status: 200 } }, async () => {})
+    await rateLimitMiddleware(createOptions({ mode: 'dryRun', cost: () => 3, deferCost: true }), { consume, refund })(createCtx(), async () => {})
+    expect(refund).not.toHaveBeenCalled()
+    expect(consume).toHaveBeenCalledTimes(2)
+  })
+
+  test.each([
+    ['mode', { mode: 'shadow' }, "options.mode must be 'enforce', 'dryRun' or 'delay'"],
+    ['maxWait', { mode: 'delay' }, 'options.maxWait must be > 0 (milliseconds) in delay mode'],
+    ['maxWait without delay', { maxWait: 1000 }, "options.maxWait requires options.mode 'delay'"],
+    ['onLimitReached', { onLimitReached: 'log' }, 'options.onLimitReached must be a function']
+  ])('throws when %s is invalid', (name, overrides, message) => {
+    expect(() => rateLimitMiddleware(createOptions(overrides), { consume: async () => {} })).toThrow(message)
+  })
+})
+
+describe('rateLimitMiddleware usage', () => {
+  const peeked = { success: true, limit: 5, remaining: 3, reset: 9 }
+
+  test('peeks the keys of a request without consuming', async () => {
+    const consume = jest.fn()
+    const peek = jest.fn(async () => peeked)
+    const resolvePolicies = jest.fn(async () => [{ limit: 5, period: 60 }])
+    const middleware = rateLimitMiddleware(createOptions(), { consume, peek, policies: () => resolvePolicies })
+    const ctx = createCtx()
+    expect(await middleware.usage(ctx)).toEqual({ ...peeked, key: 'ip', scope: undefined })
+    expect(peek).toHaveBeenCalledWith(ctx, 'ip', [{ limit: 5, period: 60 }])
+    expect(consume).not.toHaveBeenCalled()
+  })
+
+  test('reports the most restrictive of several keys', async () => {
+    const peek = jest.fn(async (ctx, key) => ({ ...peeked, remaining: key === 'tenant:acme' ? 1 : 3 }))
+    const scopes = { user: { keyGenerator: () => 'alice' }, tenant: { keyGenerator: () => 'acme' } }
+    const usage = await rateLimitMiddleware(createOptions({ scopes }), { consume: jest.fn(), peek, policies: () => async () => [] }).usage(createCtx())
+    expect(usage).toMatchObject({ key: 'tenant:acme', scope: 'tenant', remaining: 1 })
+    expect(usage.scopes.map(({ key }) => key)).toEqual(['user:alice', 'tenant:acme'])
+  })
+
+  test('returns null without key', async () => {
+    const middleware = rateLimitMiddleware(createOptions({ keyGenerator: () => null }), { consume: jest.fn(), peek: jest.fn() })
+    expect(await middleware.usage(createCtx())).toBeNull()
+  })
+
+  test('is only exposed when the backend can peek', () => {
+    expect(rateLimitMiddleware(createOptions(), { consume: jest.fn() }).usage).toBeUndefined()
+  })
+})
+
+describe('rateLimitMiddleware release', () => {
+  const acquired = { success: true, limit: 5, remaining: 4, reset: 9, lease: 'a' }
+
+  test('releases every target with its consume result after next', async () => {
+    const calls = []
+    const release = jest.fn(async () => { calls.push('release') })
+    const options = createOptions({ successHandler: () => calls.push('successHandler') })
+    const ctx = createCtx()
+    await rateLimitMiddleware(options, { consume: async () => acquired, release })(ctx, async () => { calls.push('next') })
+    expect(release).toHaveBeenCalledWith(ctx, 'ip', acquired)
+    expect(calls).toEqual(['next', 'release', 'successHandler'])
+  })
+
+  test('releases when next throws', async () => {
+    const release = jest.fn(async () => {})
+    const middleware = rateLimitMiddleware(createOptions(), { consume: async () => acquired, release })
+    await expect(middleware(createCtx(), async () => { throw new Error('boom') })).rejects.toThrow('boom')
+    expect(release).toHaveBeenCalledTimes(1)
+  })
+
+  test('does not release rejected requests', async () => {
+    const release = jest.fn(async () => {})
+    const rejected = { success: false, limit: 5, remaining: 0, reset: 9 }
+    await rateLimitMiddleware(createOptions(), { consume: async () => rejected, release })(createCtx(), async () => {})
+    await rateLimitMiddleware(createOptions({ mode: 'dryRun' }), { consume: async () => rejected, release })(createCtx(), async () => {})
+    expect(release).not.toHaveBeenCalled()
+  })
+
+  test('handles release errors like other store errors', async () => {
+    const onStoreError = jest.fn(() => true)
+    const options = createOptions({ onStoreError })
+    await rateLimitMiddleware(options, { consume: async () => acquired, release: async () => { throw new Error('down') } })(createCtx(), async () => {})
+    expect(onStoreError).toHaveBeenCalledWith(expect.any(Object), new Error('down'))
+    expect(options.successHandler).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('rateLimitMiddleware delay', () => {
+  const rejected = { success: false, limit: 5, remaining: 0, reset: 2 }
+  const allowed = { success: true, limit: 5, remaining: 4, reset: 60 }
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('waits for the reset and lets the request through', async () => {
+    const consume = jest.fn().mockResolvedValueOnce(rejected).mockResolvedValueOnce(rejected).mockResolvedValue(allowed)
+    const onEvent = jest.fn()
+    const options = createOptions({ mode: 'delay', maxWait: 5000, onEvent })
+    const next = jest.fn(async () => {})
+    const running = rateLimitMiddleware(options, { consume })(createCtx(), next)
+
+    await jest.advanceTimersByTimeAsync(2000)
+    expect(consume).toHaveBeenCalledTimes(2)
+    expect(next).not.toHaveBeenCalled()
+    await jest.advanceTimersByTimeAsync(2000)
+    await running
+
+    expect(consume).toHaveBeenCalledTimes(3)
+    expect(next).toHaveBeenCalledTimes(1)
+    expect(options.successHandler).toHaveBeenCalledWith(expect.any(Object), 5, 4, 60, { key: 'ip', ...allowed, delay: 4000 })
+    expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'allowed', delay: 4000 }), expect.any(Object))
+    expect(options.errorHandler).not.toHaveBeenCalled()
+  })
+
+  test('rejects at once when the reset is past maxWait', async () => {
+    const consume = jest.fn(async () => ({ ...rejected, reset: 30 }))
+    const onLimitReached = jest.fn()
+    const options = createOptions({ mode: 'delay', maxWait: 5000, onLimitReached })
+    const next = jest.fn()
+    await rateLimitMiddleware(options, { consume })(createCtx(), next)
+    expect(consume).toHaveBeenCalledTimes(1)
+    expect(next).not.toHaveBeenCalled()
+    expect(onLimitReached).toHaveBeenCalledTimes(1)
+    expect(options.errorHandler).toHaveBeenCalledWith(expect.any(Object), 5, 0, 30, { key: 'ip', ...rejected, reset: 30 })
+  })
+
+  test('rejects with the time waited once maxWait is used up', async () => {
+    const consume = jest.fn(async () => rejected)
+    const options = createOptions({ mode: 'delay', maxWait: 5000 })
+    const running = rateLimitMiddleware(options, { consume })(createCtx(), jest.fn())
+    await jest.advanceTimersByTimeAsync(4000)
+    await running
+    expect(consume).toHaveBeenCalledTimes(3)
+    expect(options.errorHandler).toHaveBeenCalledWith(expect.any(Object), 5, 0, 2, { key: 'ip', ...rejected, delay: 4000 })
+  })
+
+  test('does not wait out bans', async () => {
+    const ban = { level: 1, until: 0, reset: 1 }
+    const bans = { get: jest.fn(async () => ban), strike: jest.fn(), lift: jest.fn() }
+    const consume = jest.fn()
+    const options = createOptions({ mode: 'delay', maxWait: 5000, ban: {} })
+    await rateLimitMiddleware(options, { consume, bans })(createCtx(), jest.fn())
+    expect(consume).not.toHaveBeenCalled()
+    expect(options.errorHandler).toHaveBeenCalledWith(expect.any(Object), undefined, 0, 1, expect.objectContaining({ ban }))
+  })
+})
+
+describe('rateLimitMiddleware events', () => {
+  const allowed = { success: true, limit: 5, remaining: 4, reset: 9, policy: { limit: 5, period: 60 } }
+
+  function createRouteCtx () {
+    return { req: { method: 'GET', pathname: '/api', ip: '192.0.2.1' }, res: {}, throw: jest.fn() }
+  }
+
+  test('reports allowed and limited decisions', async () => {
+    const onEvent = jest.fn()
+    const consume = jest.fn().mockResolvedValueOnce(allowed).mockResolvedValueOnce({ ...allowed, success: false, remaining: 0 })
+    const middleware = rateLimitMiddleware(createOptions({ onEvent }), { consume })
+    const ctx = createRouteCtx()
+    await middleware(ctx, async () => {})
+    await middleware(ctx, async () => {})
+    expect(onEvent.mock.calls).toEqual([
+      [expect.objectContaining({ type: 'allowed', route: 'GET /api', key: 'ip', policy: allowed.policy, limit: 5, remaining: 4, reset: 9, latency: expect.any(Number) }), ctx],
+      [expect.objectContaining({ type: 'limited', reason: 'limit', key: 'ip', remaining: 0, dryRun: false }), ctx]
+    ])
+  })
+
+  test('reports bans, dryRun and scopes', async () => {
+    const onEvent = jest.fn()
+    const backend = {
+      consume: async (ctx, key) => ({ ...allowed, success: key !== 'user:alice' }),
+      policies: () => undefined,
+      bans: { get: async (ctx, key) => key === 'user:alice' ? { level: 1, until: 0, reset: 60 } : null, strike: jest.fn() }
+    }
+    const scopes = { tenant: { keyGenerator: () => 'acme' }, user: { keyGenerator: () => 'alice' } }
+    await rateLimitMiddleware(createOptions({ scopes, ban: {}, mode: 'dryRun', onEvent }), backend)(createRouteCtx(), async () => {})
+    expect(backend.bans.strike).not.toHaveBeenCalled()
+    expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'limited', reason: 'ban', key: 'user:alice', scope: 'user', reset: 60, dryRun: true }), expect.any(Object))
+  })
+
+  test('reports skipped and denied requests', async () => {
+    const onEvent = jest.fn()
+    const consume = jest.fn()
+    const ctx = createRouteCtx()
+    await rateLimitMiddleware(createOptions({ onEvent, keyGenerator: () => null }), { consume })(ctx, async () => {})
+    await rateLimitMiddleware(createOptions({ onEvent, allow: '192.0.2.1' }), { consume })(ctx, async () => {})
+    await rateLimitMiddleware(createOptions({ onEvent, deny: '192.0.2.1' }), { consume })(ctx, async () => {})
+    expect(onEvent.mock.calls.map(([event]) => [event.type, event.reason])).toEqual([['skipped', 'key'], ['skipped', 'allow'], ['limited', 'deny']])
+    expect(consume).not.toHaveBeenCalled()
+  })
+
+  test('reports store errors with the decision', async () => {
+    const onEvent = jest.fn()
+    const error = new Error('KV unavailable')
+    const consume = async () => { throw error }
+    const ctx = createRouteCtx()
+    await rateLimitMiddleware(createOptions({ onEvent, onStoreError: 'open' }), { consume })(ctx, async () => {})
+    await expect(rateLimitMiddleware(createOptions({ onEvent }), { consume })(ctx, async () => {})).rejects.toBe(error)
+    expect(onEvent.mock.calls.map(([event]) => [event.type, event.key, event.error, event.open])).toEqual([['storeError', 'ip', error, true], ['storeError', 'ip', error, false]])
+  })
+
+  test('hashes keys with hashEventKeys', async () => {
+    const onEvent = jest.fn()
+    await rateLimitMiddleware(createOptions({ onEvent, hashEventKeys: true }), { consume: async () => allowed })(createRouteCtx(), async () => {})
+    expect(onEvent.mock.calls[0][0].key).toBe('bb9af5d1915da1fbc132ced081325efcd2e63e4804f96890f42e9739677237a4')
+  })
+
+  test.each([
+    ['onEvent', { onEvent: {} }, 'options.onEvent must be a function'],
+    ['hashEventKeys', { hashEventKeys: 'yes' }, 'options.hashEventKeys must be a boolean']
+  ])('throws when %s is invalid', (name, overrides, message) => {
+    expect(() => rateLimitMiddleware(createOptions(overrides), { consume: async () => {} })).toThrow(message)
+  })
+})
@@ -0,0 +1,289 @@
+import { jest } from '@jest/globals'
+import { algorithms, fixedWindow } from '../src/algorithms.js'
+import { MemoryStore } from '../src/stores/MemoryStore.js'
+import { assertCalendarPolicies, consumePolicies, createPolicyResolver, parsePolicies, peekPolicies, policyKey, policyName, refundPolicies, resetPolicies, summarize } from '../src/policies.js'
+
+describe('parsePolicies', () => {
+  test('parses limit and period as a single policy', () => {
+    expect(parsePolicies({ limit: '5', period: '60', burst: 2 }, 1, '>= 1 second')).toEqual([
+      { limit: 5, period: 60, burst: 2, refillRate: undefined }
+    ])
+  })
+
+  test('parses stacked limits with shared burst and refillRate', () => {
+    const policies = parsePolicies({ limits: [{ limit: 10, period: 1 }, { limit: 1000, period: 3600, refillRate: 1 }], refillRate: 2 }, 1, '>= 1 second')
+    expect(policies).toEqual([
+      { limit: 10, period: 1, burst: undefined, refillRate: 2, id: '1' },
+      { limit: 1000, period: 3600, burst: undefined, refillRate: 1, id: '3600' }
+    ])
+  })
+
+  test('parses calendar periods with their time zone', () => {
+    expect(parsePolicies({ limit: 50000, period: 'month' }, 60, '>= 60 seconds')).toEqual([
+      { limit: 50000, period: 'month', timeZone: 'UTC', burst: undefined, refillRate: undefined }
+    ])
+    expect(parsePolicies({ limits: [{ limit: 10, period: 60 }, { limit: 1000, period: 'day' }], timeZone: 'Europe/Paris' }, 60, '>= 60 seconds')).toEqual([
+      { limit: 10, period: 60, burst: undefined, refillRate: undefined, id: '60' },
+      { limit: 1000, period: 'day', timeZone: 'Europe/Paris', burst: undefined, refillRate: undefined, id: 'day' }
+    ])
+  })
+
+  test.each([
+    ['limit', { limit: 0, period: 60 }, 'options.limit must be >= 1'],
+    ['period (unknown)', { limit: 1, period: 'year' }, 'options.period must be >= 60 seconds, or one of day, week, month'],
+    ['timeZone', { limit: 1, period: 'day', timeZone: 'Mars/Olympus' }, 'options.timeZone must be an IANA time zone'],
+    ['limits (calendar duplicate)', { limits: [{ limit: 1, period: 'day' }, { limit: 2, period: 'day', timeZone: 'Asia/Tokyo' }] }, 'options.limits must have distinct periods'],
+    ['period', { limit: 1, period: 30 }, 'options.period must be >= 60 seconds'],
+    ['limits (empty)', { limits: [] }, 'options.limits must be a non-empty array'],
+    ['limits (entry)', { limits: [null] }, 'options.limits[0] must be an object'],
+    ['limits (limit)', { limits: [{ limit: 1, period: 60 }, { limit: 0, period: 120 }] }, 'options.limits[1].limit must be >= 1'],
+    ['limits (period)', { limits: [{ limit: 1, period: 1 }] }, 'options.limits[0].period must be >= 60 seconds'],
+    ['limits (burst)', { limits: [{ limit: 1, period: 60 }], burst: 0 }, 'options.limits[0].burst must be >= 1'],
+    ['limits (duplicate period)', { limits: [{ limit: 1, period: 60 }, { limit: 2, period: 60 }] }, 'options.limits must have distinct periods']
+  ])('throws when %s is invalid', (field, options, expectedError) => {
+    expect(() => parsePolicies(options, 60, '>= 60 seconds')).toThrow(expectedError)
+  })
+})
+
+describe('assertCalendarPolicies', () => {
+  test('allows calendar periods with fixed-window only', () => {
+    const policies = parsePolicies({ limit: 1, period: 'week' }, 1, '>= 1 second')
+    expect(() => assertCalendarPolicies(policies, true)).not.toThrow()
+    expect(() => assertCalendarPolicies(parsePolicies({ limit: 1, period: 60 }, 1, '>= 1 second'), false)).not.toThrow()
+    expect(() => assertCalendarPolicies(policies, false)).toThrow('calendar periods (day, week, month) require the fixed-window algorithm')
+  })
+})
+
+describe('policyName', () => {
+  test('names policies after their quota and window', () => {
+    expect(policyName({ limit: 100, period: 60 })).toBe('100-in-60s')
+    expect(policyName({ limit: 50000, period: 'month' })).toBe('50000-per-month')
+  })
+})
+
+describe('createPolicyResolver', () => {
+  const ctx = { req: { plan: 'pro' } }
+
+  test('parses static policies once', async () => {
+    const validate = jest.fn()
+    const resolve = createPolicyResolver({ limit: 5, period: 60 }, 1, '>= 1 second', validate)
+    expect(validate).toHaveBeenCalledTimes(1)
+    expect(await resolve(ctx)).toBe(await resolve(ctx))
+    expect(validate).toHaveBeenCalledTimes(1)
+  })
+
+  test('resolves limit and period functions per request', async () => {
+    const resolve = createPolicyResolver({ limit: async (ctx) => ctx.req.plan === 'pro' ? 1000 : 100, period: 60 }, 1, '>= 1 second')
+    expect(await resolve(ctx)).toEqual([{ limit: 1000, period: 60, burst: undefined, refillRate: undefined }])
+    expect(await resolve({ req: {} })).toEqual([{ limit: 100, period: 60, burst: undefined, refillRate: undefined }])
+  })
+
+  test('resolves a limits function per request', async () => {
+    const resolve = createPolicyResolver({ limits: () => [{ limit: 10, period: 1 }, { limit: 100, period: 60 }] }, 1, '>= 1 second')
+    expect((await resolve(ctx)).map((policy) => policy.id)).toEqual(['1', '60'])
+  })
+
+  test('validates resolved values', async () => {
+    const validate = jest.fn()
+    const resolve = createPolicyResolver({ limit: () => 0, period: 60 }, 1, '>= 1 second', validate)
+    expect(validate).not.toHaveBeenCalled()
+    await expect(resolve(ctx)).rejects.toThrow('options.limit must be >= 1')
+  })
+
+  test('picks the policies of the resolved tier', async () => {
+    const resolve = createPolicyResolver({
+      tier: async (ctx) => ctx.req.plan || 'free',
+      tiers: {
+        free: { limit: 100, period: 3600 },
+        pro: { limits: [{ limit: 10, period: 1 }, { limit: 10000, period: 3600 }] }
+      },
+      burst: 5
+    }, 1, '>= 1 second')
+    expect(await resolve({ req: {} })).toEqual([{ limit: 100, period: 3600, burst: 5, refillRate: undefined, tier: 'free' }])
+    expect(await resolve(ctx)).toEqual([
+      { limit: 10, period: 1, burst: 5, refillRate: undefined, id: '1', tier: 'pro' },
+      { limit: 10000, period: 3600, burst: 5, refillRate: undefined, id: '3600', tier: 'pro' }
+    ])
+    await expect(resolve({ req: { plan: 'enterprise' } })).rejects.toThrow('options.tier must resolve to one of free, pro')
+  })
+
+  test.each([
+    ['tier', { tier: 'pro', tiers: { pro: { limit: 1, period: 1 } } }, 'options.tier must be a function'],
+    ['tier with limit', { tier: () => 'pro', tiers: { pro: { limit: 1, period: 1 } }, limit: 1 }, 'options.tier cannot be combined with options.limit, options.period or options.limits'],
+    ['tiers', { tier: () => 'pro', tiers: {} }, 'options.tiers must be a non-empty object'],
+    ['tiers entry', { tier: () => 'pro', tiers: { pro: 1 } }, 'options.tiers.pro must be an object'],
+    ['tiers entry limit', { tier: () => 'pro', tiers: { pro: { limit: 0, period: 1 } } }, 'options.tiers.pro.limit must be >= 1'],
+    ['tiers entry limits', { tier: () => 'pro', tiers: { pro: { limits: [] } } }, 'options.tiers.pro.limits must be a non-empty array']
+  ])('throws when %s is invalid', (field, options, expectedError) => {
+    expect(() => createPolicyResolver(options, 1, '>= 1 second')).toThrow(expectedError)
+  })
+})
+
+describe('createPolicyResolver config', () => {
+  const createCtx = (document) => ({ env: { POLICY: document } })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('replaces the configured policies while the document is set', async () => {
+    const validate = jest.fn()
+    const resolve = createPolicyResolver({ limit: 100, period: 60, burst: 5, config: { env: 'POLICY', refresh: 1 } }, 1, '>= 1 second', validate)
+    expect(await resolve(createCtx({ limits: [{ limit: 1, period: 1 }, { limit: 10, period: 60 }] }))).toEqual([
+      { limit: 1, period: 1, burst: 5, refillRate: undefined, id: '1' },
+      { limit: 10, period: 60, burst: 5, refillRate: undefined, id: '60' }
+    ])
+    expect(validate).toHaveBeenCalledTimes(2)
+    expect(await resolve({}, { limit: 3, period: 60 })).toEqual([{ limit: 3, period: 60, burst: 5, refillRate: undefined }])
+  })
+
+  test('falls back to the configured policies without document', async () => {
+    const resolve = createPolicyResolver({ limit: 100, period: 60, config: { env: 'POLICY' } }, 1, '>= 1 second')
+    expect(await resolve(createCtx())).toEqual([{ limit: 100, period: 60, burst: undefined, refillRate: undefined }])
+  })
+
+  test('validates the document like the options', async () => {
+    const onError = jest.fn()
+    const resolve = createPolicyResolver({ limit: 100, period: 60, config: { env: 'POLICY', onError } }, 60, '>= 60 seconds')
+    expect(await resolve(createCtx({ limit: 10, period: 1 }))).toEqual([expect.objectContaining({ limit: 100 })])
+    expect(onError).toHaveBeenCalledWith(new TypeError('options.config document.period must be >= 60 seconds, or one of day, week, month'))
+  })
+
+  test('reads the document within the timeout of the rate limiter', async () => {
+    jest.useFakeTimers()
+    const onError = jest.fn()
+    const KV = { get: () => new Promise(() => {}) }
+    const resolve = createPolicyResolver({ limit: 100, period: 60, timeout: 200, config: { binding: 'KV', key: 'policy', onError } }, 1, '>= 1 second')
+    const resolved = resolve({ env: { KV } })
+    await jest.advanceTimersByTimeAsync(200)
+    expect(await resolved).toEqual([expect.objectContaining({ limit: 100 })])
+    expect(onError).toHaveBeenCalledWith(new Error('options.config document was not read within 200ms'))
+  })
+
+  test('cannot be combined with tier', () => {
+    expect(() => createPolicyResolver({ tier: () => 'free', tiers: { free: { limit: 1, period: 60 } }, config: { env: 'POLICY' } }, 1, '>= 1 second'))
+      .toThrow('options.config cannot be combined with options.tier')
+  })
+})
+
+describe('createPolicyResolver policy from keyGenerator', () => {
+  const tiers = { free: { limit: 100, period: 3600 }, pro: { limit: 1000, period: 3600 } }
+
+  test('picks the tier named by keyGenerator over tier', async () => {
+    const resolve = createPolicyResolver({ tier: () => 'free', tiers }, 1, '>= 1 second')
+    expect(await resolve({}, 'pro')).toEqual([{ limit: 1000, period: 3600, burst: undefined, refillRate: undefined, tier: 'pro' }])
+    expect(await resolve({})).toEqual([expect.objectContaining({ tier: 'free' })])
+    await expect(resolve({}, 'enterprise')).rejects.toThrow('the policy returned by options.keyGenerator must resolve to one of free, pro')
+  })
+
+  test('parses limits returned by keyGenerator', async () => {
+    const validate = jest.fn()
+    const resolve = createPolicyResolver({ limit: 10, period: 60, burst: 2 }, 1, '>= 1 second', validate)
+    expect(await resolve({}, { limit: 5, period: 1 })).toEqual([{ limit: 5, period: 1, burst: 2, refillRate: undefined }])
+    expect(validate).toHaveBeenLastCalledWith([{ limit: 5, period: 1, burst: 2, refillRate: undefined }])
+    await expect(resolve({}, { limit: 0, period: 1 })).rejects.toThrow('the policy returned by options.keyGenerator.limit must be >= 1')
+    await expect(resolve({}, 1)).rejects.toThrow('the policy returned by options.keyGenerator must be a tier name or an object')
+    await expect(resolve({}, 'pro')).rejects.toThrow('the policy returned by options.keyGenerator is a tier name, which requires options.tiers')
+  })
+
+  test('requires a policy from keyGenerator with tiers but without tier', async () => {
+    const resolve = createPolicyResolver({ tiers }, 1, '>= 1 second', undefined, 'options.scopes.user')
+    expect(await resolve({}, 'free')).toEqual([expect.objectContaining({ limit: 100, tier: 'free' })])
+    await expect(resolve({})).rejects.toThrow('options.scopes.user.keyGenerator must return a policy when options.scopes.user.tiers is set without options.scopes.user.tier')
+  })
+})
+
+describe('consumePolicies', () => {
+  const policies = parsePolicies({ limits: [{ limit: 2, period: 60 }, { limit: 3, period: 3600 }] }, 1, '>= 1 second')
+
+  test('consumes every policy under its own key', async () => {
+    const store = new MemoryStore()
+    const result = await consumePolicies(fixedWindow, store, 'ip', policies, { cost: 1 })
+    expect(result).toMatchObject({ success: true, limit: 2, remaining: 1, policy: policies[0] })
+    expect(result.results).toHaveLength(2)
+    expect([...store.entries.keys()].map((key) => key.split(':').slice(0, 2).join(':'))).toEqual(['ip:60', 'ip:3600'])
+  })
+
+  test('refunds the other policies when one rejects', async () => {
+    const store = new MemoryStore()
+    await consumePolicies(fixedWindow, store, 'ip', policies, { cost: 2 })
+    const result = await consumePolicies(fixedWindow, store, 'ip', policies, { cost: 1 })
+    expect(result).toMatchObject({ success: false, limit: 2, remaining: 0 })
+    // The hourly window keeps only the first request's units
+    expect(await consumePolicies(fixedWindow, store, 'ip', [policies[1]], { cost: 1 })).toMatchObject({ success: true, remaining: 0 })
+  })
+
+  test('does not refund forced consumption', async () => {
+    const store = new MemoryStore()
+    await consumePolicies(fixedWindow, store, 'ip', policies, { cost: 3, force: true })
+    expect(await consumePolicies(fixedWindow, store, 'ip', [policies[1]], { cost: 1 })).toMatchObject({ success: false })
+  })
+})
+
+describe('refundPolicies', () => {
+  test('gives back units to every policy', async () => {
+    const store = new MemoryStore()
+    const policies = parsePolicies({ limits: [{ limit: 2, period: 60 }, { limit: 3, period: 3600 }] }, 1, '>= 1 second')
+    await consumePolicies(fixedWindow, store, 'ip', policies, { cost: 2 })
+    await refundPolicies(fixedWindow, store, 'ip', policies, { cost: 2 })
+    expect(await consumePolicies(fixedWindow, store, 'ip', policies, { cost: 2 })).toMatchObject({ success: true, remaining: 0 })
+  })
+
+  test('ignores algorithms without refund', async () => {
+    const store = new MemoryStore()
+    await refundPolicies({ consume: async () => {} }, store, 'ip', [{ limit: 1, period: 1 }], { cost: 1 })
+    expect(store.entries.size).toBe(0)
+  })
+})
+
+describe('peekPolicies', () => {
+  const policies = parsePolicies({ limits: [{ limit: 2, period: 60 }, { limit: 3, period: 3600 }] }, 1, '>= 1 second')
+
+  test.each(Object.entries(algorithms))('%s reports what is left without consuming', async (name, algorithm) => {
+    const store = new MemoryStore()
+    expect(await peekPolicies(algorithm, store, 'ip', policies)).toMatchObject({ success: true, limit: 2, remaining: 2 })
+    expect(store.entries.size).toBe(0)
+    await consumePolicies(algorithm, store, 'ip', policies, { cost: 2 })
+    const entries = JSON.stringify([...store.entries])
+    expect(await peekPolicies(algorithm, store, 'ip', policies)).toMatchObject({ limit: 2, remaining: 0 })
+    expect(JSON.stringify([...store.entries])).toBe(entries)
+  })
+})
+
+describe('resetPolicies', () => {
+  const policies = parsePolicies({ limits: [{ limit: 2, period: 60 }, { limit: 3, period: 3600 }] }, 1, '>= 1 second')
+
+  test.each(Object.entries(algorithms))('%s clears every policy', async (name, algorithm) => {
+    const store = new MemoryStore()
+    await consumePolicies(algorithm, store, 'ip', policies, { cost: 2 })
+    await resetPolicies(algorithm, store, 'ip', policies)
+    expect(store.entries.size).toBe(0)
+  })
+})
+
+describe('policyKey', () => {
+  test('suffixes stacked policies only', () => {
+    expect(policyKey('ip', { limit: 1, period: 60 })).toBe('ip')
+    expect(policyKey('ip', { limit: 1, period: 60, id: '60' })).toBe('ip:60')
+  })
+})
+
+describe('summarize', () => {
+  test('reports the fewest remaining, then the latest reset', () => {
+    const results = [
+      { success: true, limit: 10, remaining: 3, reset: 1 },
+      { success: true, limit: 100, remaining: 3, reset: 3000 },
+      { success: true, limit: 1000, remaining: 500, reset: 80000 }
+    ]
+    expect(summarize(results)).toEqual({ ...results[1], results })
+  })
+
+  test('reports the first rejecting policy', () => {
+    const results = [
+      { success: true, limit: 10, remaining: 0, reset: 1 },
+      { success: false, limit: 100, remaining: 0, reset: 30 },
+      { success: false, limit: 1000, remaining: 0, reset: 800 }
+    ]
+    expect(summarize(results)).toEqual({ ...results[1], results })
+  })
+})
@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals'
+import { createPolicyConfig } from '../src/policyConfig.js'
+
+/**
+ * Tests for the policy document loader of the config option
+ */
+
+function createKV (documents = {}) {
+  return {
+    get: jest.fn(async (key, type) => {
+      const value = documents[key]
+      if (value === undefined) return null
+      return type === 'json' ? JSON.parse(value) : value
+    })
+  }
+}
+
+const parse = (document, path) => {
+  if (!(document.limit >= 1)) throw new TypeError(`${path}.limit must be >= 1`)
+  return [{ limit: document.limit, period: document.period }]
+}
+
+describe('createPolicyConfig', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1_000_000 })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('reads the document from KV and keeps it for refresh seconds', async () => {
+    const KV = createKV({ policy: '{"limit":10,"period":60}' })
+    const load = createPolicyConfig({ binding: 'KV', key: 'policy', refresh: 10 }, parse, 'options.config')
+    const ctx = { env: { KV } }
+
+    expect(await load(ctx)).toEqual([{ limit: 10, period: 60 }])
+    expect(KV.get).toHaveBeenCalledWith('policy', 'json')
+
+    jest.advanceTimersByTime(9_999)
+    expect(await load(ctx)).toEqual([{ limit: 10, period: 60 }])
+    expect(KV.get).toHaveBeenCalledTimes(1)
+
+    KV.get.mockResolvedValue({ limit: 2, period: 60 })
+    jest.advanceTimersByTime(1)
+    expect(await load(ctx)).toEqual([{ limit: 2, period: 60 }])
+    expect(KV.get).toHaveBeenCalledTimes(2)
+  })
+
+  test('reads once for concurrent requests', async () => {
+    const KV = createKV({ policy: '{"limit":10,"period":60}' })
+    const load = createPolicyConfig({ binding: 'KV', key: 'policy' }, parse, 'options.config')
+    const ctx = { env: { KV } }
+
+    const loaded = await Promise.all([load(ctx), load(ctx), load(ctx)])
+    expect(loaded).toEqual([[{ limit: 10, period: 60 }], [{ limit: 10, period: 60 }], [{ limit: 10, period: 60 }]])
+    expect(KV.get).toHaveBeenCalledTimes(1)
+  })
+
+  test('resolves to null without document', async () => {
+    const load = createPolicyConfig({ binding: 'KV', key: 'policy' }, parse, 'options.config')
+    expect(await load({ env: { KV: createKV() } })).toBeNull()
+  })
+
+  test('reads the document from an environment variable', async () => {
+    const load = createPolicyConfig({ env: 'RATE_LIMIT_POLICY', refresh: 1 }, parse, 'options.config')
+    expect(await load({ env: { RATE_LIMIT_POLICY: '{"limit":10,"period":60}' } })).toEqual([{ limit: 10, period: 60 }])
+    jest.advanceTimersByTime(1000)
+    expect(await load({ env: { RATE_LIMIT_POLICY: { limit: 5, period: 60 } } })).toEqual([{ limit: 5, period: 60 }])
+    jest.advanceTimersByTime(1000)
+    expect(await load({ env: {} })).toBeNull()
+  })
+
+  test('keeps the last valid document and reports errors', async () => {
+    const KV = createKV({ policy: '{"limit":10,"period":60}' })
+    const onError = jest.fn()
+    const load = createPolicyConfig({ binding: 'KV', key: 'policy', refresh: 1, onError }, parse, 'options.config')
+    const ctx = { env: { KV } }
+    await load(ctx)
+
+    KV.get.mockResolvedValueOnce({ limit: 0, period: 60 })
+    jest.advanceTimersByTime(1000)
+    expect(await load(ctx)).toEqual([{ limit: 10, period: 60 }])
+    expect(onError).toHaveBeenLastCalledWith(new TypeError('options.config document.limit must be >= 1'))
+
+    KV.get.mockResolvedValueOnce([{ limit: 5, period: 60 }])
+    jest.advanceTimersByTime(1000)
+    expect(await load(ctx)).toEqual([{ limit: 10, period: 60 }])
+    expect(onError).toHaveBeenLastCalledWith(new TypeError('options.config document must be an object'))
+
+    KV.get.mockRejectedValueOnce(new Error('KV is down'))
+    jest.advanceTimersByTime(1000)
+    expect(await load(ctx)).toEqual([{ limit: 10, period: 60 }])
+    expect(onError).toHaveBeenLastCalledWith(new Error('KV is down'))
+  })
+
+  test('gives up a read outlasting timeout and keeps the last document', async () => {
+    const KV = createKV({ policy: '{"limit":10,"period":60}' })
+    const onError = jest.fn()
+    const load = createPolicyConfig({ binding: 'KV', key: 'policy', refresh: 1, onError }, parse, 'options.config', 50)
+    const ctx = { env: { KV } }
+    await load(ctx)
+
+    KV.get.mockReturnValueOnce(new Promise(() => {}))
+    jest.advanceTimersByTime(1000)
+    const loaded = Promise.all([load(ctx), load(ctx)])
+    await jest.advanceTimersByTimeAsync(50)
+    expect(await loaded).toEqual([[{ limit: 10, period: 60 }], [{ limit: 10, period: 60 }]])
+    expect(onError).toHaveBeenCalledWith(new Error('options.config document was not read within 50ms'))
+    expect(await load(ctx)).toEqual([{ limit: 10, period: 60 }])
+    expect(KV.get).toHaveBeenCalledTimes(2)
+  })
+
+  test('prefers its own timeout to the timeout of the rate limiter', async () => {
+    const KV = { get: jest.fn(() => new Promise(() => {})) }
+    const onError = jest.fn()
+    const load = createPolicyConfig({ binding: 'KV', key: 'policy', timeout: 10, onError }, parse, 'options.config', 1000)
+    const loaded = load({ env: { KV } })
+    await jest.advanceTimersByTimeAsync(10)
+    expect(await loaded).toBeNull()
+    expect(onError).toHaveBeenCalledWith(new Error('options.config document was not read within 10ms'))
+  })
+
+  test('ignores an invalid document without onError', async () => {
+    const load = createPolicyConfig({ env: 'RATE_LIMIT_POLICY' }, parse, 'options.config')
+    expect(await load({ env: { RATE_LIMIT_POLICY: '{"limit":' } })).toBeNull()
+  })
+
+  test('throws when the binding is not a KV namespace', async () => {
+    const load = createPolicyConfig({ binding: 'KV', key: 'policy' }, parse, 'options.config')
+    await expect(load({ env: {} })).rejects.toThrow('options.config.binding must be a KV binding name that resolves to a Cloudflare KV namespace')
+  })
+
+  test.each([
+    ['options', null, 'options.config must be an object'],
+    ['source', {}, 'options.config.binding or options.config.env is required, but not both'],
+    ['both sources', { binding: 'KV', key: 'policy', env: 'POLICY' }, 'options.config.binding or options.config.env is required, but not both'],
+    ['binding', { binding: 1, key: 'policy' }, 'options.config.binding must be a string'],
+    ['key', { binding: 'KV' }, 'options.config.key must be a non-empty string'],
+    ['env', { env: '' }, 'options.config.env must be a non-empty string'],
+    ['refresh', { env: 'POLICY', refresh: 0 }, 'options.config.refresh must be > 0 (seconds)'],
+    ['timeout', { env: 'POLICY', timeout: -1 }, 'options.config.timeout must be > 0 (milliseconds)'],
+    ['onError', { env: 'POLICY', onError: 'log' }, 'options.config.onError must be a function']
+  ])('throws when %s is invalid', (field, options, expectedError) => {
+    expect(() => createPolicyConfig(options, parse, 'options.config')).toThrow(expectedError)
+  })
+})
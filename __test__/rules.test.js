@@ -0,0 +1,52 @@
+import { createRuleMatcher } from '../src/rules.js'
+
+/**
+ * Tests for the allow and deny rules
+ */
+
+function createCtx (ip, cf) {
+  return { req: { ip, cf } }
+}
+
+describe('createRuleMatcher', () => {
+  test('returns null without rules', () => {
+    expect(createRuleMatcher(undefined, 'allow')).toBeNull()
+  })
+
+  test('matches IP addresses and CIDR ranges', async () => {
+    const matches = createRuleMatcher(['192.0.2.1', '10.0.0.0/8', '2001:db8::/32'], 'allow')
+    expect(await matches(createCtx('192.0.2.1'))).toBe(true)
+    expect(await matches(createCtx('10.20.30.40'))).toBe(true)
+    expect(await matches(createCtx('2001:db8:abcd::1'))).toBe(true)
+    expect(await matches(createCtx('::ffff:10.0.0.1'))).toBe(true)
+    expect(await matches(createCtx('192.0.2.2'))).toBe(false)
+    expect(await matches(createCtx(undefined))).toBe(false)
+  })
+
+  test('matches ASNs and countries from cf properties', async () => {
+    const matches = createRuleMatcher([{ asn: [13335, 15169] }, { country: 'cn' }], 'deny')
+    expect(await matches(createCtx('192.0.2.1', { asn: 15169, country: 'US' }))).toBe(true)
+    expect(await matches(createCtx('192.0.2.1', { asn: 64512, country: 'CN' }))).toBe(true)
+    expect(await matches(createCtx('192.0.2.1', { asn: 64512, country: 'US' }))).toBe(false)
+    expect(await matches(createCtx('192.0.2.1'))).toBe(false)
+  })
+
+  test('accepts a single rule and async predicates', async () => {
+    const matches = createRuleMatcher(async (ctx) => ctx.req.ip === 'internal', 'allow')
+    expect(await matches(createCtx('internal'))).toBe(true)
+    expect(await matches(createCtx('192.0.2.1'))).toBe(false)
+  })
+
+  test.each([
+    ['an invalid address', 'localhost', 'options.allow must be an IP address, a CIDR range, { asn }, { country } or a function'],
+    ['an invalid range', ['10.0.0.0/33'], 'options.allow[0] must be an IP address, a CIDR range, { asn }, { country } or a function'],
+    ['null', [null], 'options.allow[0] must be an IP address, a CIDR range, { asn }, { country } or a function'],
+    ['an unknown property', [{ city: 'Paris' }], 'options.allow[0] must be an IP address, a CIDR range, { asn }, { country } or a function'],
+    ['several properties', [{ asn: 1, country: 'FR' }], 'options.allow[0] must be an IP address, a CIDR range, { asn }, { country } or a function'],
+    ['an invalid asn', [{ asn: 'AS13335' }], 'options.allow[0].asn must be an integer or an array of integers'],
+    ['an empty asn list', [{ asn: [] }], 'options.allow[0].asn must be an integer or an array of integers'],
+    ['an invalid country', [{ country: 'France' }], 'options.allow[0].country must be an ISO country code or an array of codes']
+  ])('throws for %s', (name, rules, expectedError) => {
+    expect(() => createRuleMatcher(rules, 'allow')).toThrow(expectedError)
+  })
+})
@@ -0,0 +1,60 @@
+import { jest } from '@jest/globals'
+import { CacheStore } from '../../src/stores/CacheStore.js'
+
+function createMemoryCache () {
+  const responses = new Map()
+  return {
+    responses,
+    async match (url) { return responses.get(url)?.clone() },
+    async put (url, response) { responses.set(url, response) },
+    async delete (url) { return responses.delete(url) }
+  }
+}
+
+describe('CacheStore', () => {
+  let now
+
+  beforeEach(() => {
+    now = jest.spyOn(Date, 'now').mockReturnValue(0)
+  })
+
+  afterEach(() => {
+    now.mockRestore()
+    delete globalThis.caches
+  })
+
+  test('stores values as cached responses', async () => {
+    const cache = createMemoryCache()
+    const store = new CacheStore({ cache })
+    await store.set('rate:key', { tokens: 1 }, 10)
+    expect(await store.get('rate:key')).toEqual({ tokens: 1 })
+    const response = cache.responses.get('https://ratelimit.invalid/rate%3Akey')
+    expect(response.headers.get('Cache-Control')).toBe('max-age=10')
+  })
+
+  test('increments keeping the first expiry and checks expiry on read', async () => {
+    const cache = createMemoryCache()
+    const store = new CacheStore({ cache, baseUrl: 'https://example.com/limits/' })
+    expect(await store.increment('key', 1, 10)).toBe(1)
+    now.mockReturnValue(4_000)
+    expect(await store.increment('key', 1, 10)).toBe(2)
+    expect(cache.responses.get('https://example.com/limits/key').headers.get('Cache-Control')).toBe('max-age=6')
+    now.mockReturnValue(10_000)
+    expect(await store.get('key')).toBeNull()
+  })
+
+  test('resets keys', async () => {
+    const store = new CacheStore({ cache: createMemoryCache() })
+    await store.set('key', 1, 10)
+    await store.reset('key')
+    expect(await store.get('key')).toBeNull()
+  })
+
+  test('defaults to caches.default', async () => {
+    const cache = createMemoryCache()
+    globalThis.caches = { default: cache }
+    const store = new CacheStore()
+    await store.set('key', 1, 10)
+    expect(cache.responses.size).toBe(1)
+  })
+})
@@ -0,0 +1,75 @@
+import { jest } from '@jest/globals'
+import { D1Store } from '../../src/stores/D1Store.js'
+
+// Records statements and answers first() with the queued rows
+function createMockD1 (rows = []) {
+  const statements = []
+  return {
+    statements,
+    prepare (sql) {
+      const statement = { sql, params: [] }
+      statements.push(statement)
+      return {
+        bind (...params) { statement.params = params; return this },
+        async first () { return rows.shift() ?? null },
+        async run () { return { success: true } }
+      }
+    }
+  }
+}
+
+describe('D1Store', () => {
+  let now
+
+  beforeEach(() => {
+    now = jest.spyOn(Date, 'now').mockReturnValue(1_000)
+  })
+
+  afterEach(() => {
+    now.mockRestore()
+  })
+
+  test('creates the table and purges expired rows', async () => {
+    const db = createMockD1()
+    const store = new D1Store(db, { table: 'limits' })
+    await store.setup()
+    await store.purge()
+    expect(db.statements[0].sql).toBe('CREATE TABLE IF NOT EXISTS limits (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER NOT NULL)')
+    expect(db.statements[1]).toEqual({ sql: 'DELETE FROM limits WHERE expires_at <= ?', params: [1_000] })
+  })
+
+  test('reads unexpired JSON values', async () => {
+    const db = createMockD1([{ value: '{"tokens":1}' }])
+    const store = new D1Store(db)
+    expect(await store.get('key')).toEqual({ tokens: 1 })
+    expect(await store.get('key')).toBeNull()
+    expect(db.statements[0]).toEqual({ sql: 'SELECT value FROM rate_limits WHERE key = ? AND expires_at > ?', params: ['key', 1_000] })
+  })
+
+  test('upserts values with expiry', async () => {
+    const db = createMockD1()
+    await new D1Store(db).set('key', [1, 2], 10)
+    expect(db.statements[0].sql).toMatch(/^INSERT INTO rate_limits .* ON CONFLICT\(key\) DO UPDATE/)
+    expect(db.statements[0].params).toEqual(['key', '[1,2]', 11_000])
+  })
+
+  test('increments atomically and returns the new value', async () => {
+    const db = createMockD1([{ value: '3' }])
+    expect(await new D1Store(db).increment('key', 2, 10)).toBe(3)
+    expect(db.statements[0].sql).toMatch(/RETURNING value$/)
+    expect(db.statements[0].params).toEqual(['key', 2, 11_000, 1_000])
+  })
+
+  test('deletes keys on reset', async () => {
+    const db = createMockD1()
+    await new D1Store(db).reset('key')
+    expect(db.statements[0]).toEqual({ sql: 'DELETE FROM rate_limits WHERE key = ?', params: ['key'] })
+  })
+
+  test.each([
+    ['database', [{}], 'database must be a Cloudflare D1 database'],
+    ['table', [createMockD1(), { table: 'rate limits; --' }], 'options.table must be a valid table name']
+  ])('throws when %s is invalid', (field, args, expectedError) => {
+    expect(() => new D1Store(...args)).toThrow(expectedError)
+  })
+})
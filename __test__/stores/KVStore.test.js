@@ -0,0 +1,65 @@
+import { jest } from '@jest/globals'
+import { KVStore } from '../../src/stores/KVStore.js'
+
+function createMemoryKV () {
+  const data = new Map()
+  return {
+    data,
+    async get (key, type) {
+      const value = data.has(key) ? data.get(key).value : null
+      return type === 'json' && value !== null ? JSON.parse(value) : value
+    },
+    async put (key, value, options) { data.set(key, { value, options }) },
+    async delete (key) { data.delete(key) }
+  }
+}
+
+describe('KVStore', () => {
+  let now
+
+  beforeEach(() => {
+    now = jest.spyOn(Date, 'now').mockReturnValue(0)
+  })
+
+  afterEach(() => {
+    now.mockRestore()
+  })
+
+  test('stores JSON values with at least the KV minimum TTL', async () => {
+    const kv = createMemoryKV()
+    const store = new KVStore(kv)
+    await store.set('key', { tokens: 1 }, 10)
+    expect(await store.get('key')).toEqual({ tokens: 1 })
+    expect(kv.data.get('key').options).toEqual({ expirationTtl: 60 })
+    await store.set('key', 1, 120)
+    expect(kv.data.get('key').options).toEqual({ expirationTtl: 120 })
+  })
+
+  test('checks expiry on read', async () => {
+    const store = new KVStore(createMemoryKV())
+    await store.set('key', 1, 10)
+    now.mockReturnValue(10_000)
+    expect(await store.get('key')).toBeNull()
+  })
+
+  test('increments keeping the first expiry', async () => {
+    const kv = createMemoryKV()
+    const store = new KVStore(kv)
+    expect(await store.increment('key', 1, 100)).toBe(1)
+    now.mockReturnValue(50_000)
+    expect(await store.increment('key', 1, 100)).toBe(2)
+    expect(JSON.parse(kv.data.get('key').value)).toEqual({ value: 2, expiresAt: 100_000 })
+    expect(kv.data.get('key').options).toEqual({ expirationTtl: 60 })
+  })
+
+  test('resets keys', async () => {
+    const store = new KVStore(createMemoryKV())
+    await store.set('key', 1, 10)
+    await store.reset('key')
+    expect(await store.get('key')).toBeNull()
+  })
+
+  test('throws when namespace is not a KV namespace', () => {
+    expect(() => new KVStore(/** @type {any} */ ({}))).toThrow('namespace must be a Cloudflare KV namespace')
+  })
+})
@@ -0,0 +1,52 @@
+import { jest } from '@jest/globals'
+import { MemoryStore } from '../../src/stores/MemoryStore.js'
+
+describe('MemoryStore', () => {
+  let now
+
+  beforeEach(() => {
+    now = jest.spyOn(Date, 'now').mockReturnValue(0)
+  })
+
+  afterEach(() => {
+    now.mockRestore()
+  })
+
+  test('gets and sets values until they expire', async () => {
+    const store = new MemoryStore()
+    await store.set('key', { tokens: 1 }, 10)
+    expect(await store.get('key')).toEqual({ tokens: 1 })
+    now.mockReturnValue(10_000)
+    expect(await store.get('key')).toBeNull()
+    expect(store.entries.size).toBe(0)
+  })
+
+  test('returns copies of stored values', async () => {
+    const store = new MemoryStore()
+    const value = [1]
+    await store.set('key', value, 10)
+    value.push(2)
+    const stored = await store.get('key')
+    stored.push(3)
+    expect(await store.get('key')).toEqual([1])
+  })
+
+  test('increments keeping the first expiry', async () => {
+    const store = new MemoryStore()
+    expect(await store.increment('key', 2, 10)).toBe(2)
+    now.mockReturnValue(5_000)
+    expect(await store.increment('key', 3, 10)).toBe(5)
+    now.mockReturnValue(10_000)
+    expect(await store.increment('key', 1, 10)).toBe(1)
+  })
+
+  test('resets and clears keys', async () => {
+    const store = new MemoryStore()
+    await store.set('a', 1, 10)
+    await store.set('b', 1, 10)
+    await store.reset('a')
+    expect(await store.get('a')).toBeNull()
+    store.clear()
+    expect(await store.get('b')).toBeNull()
+  })
+})
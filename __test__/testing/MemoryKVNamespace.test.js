@@ -0,0 +1,100 @@
+import { MemoryKVNamespace } from '../../src/testing/MemoryKVNamespace.js'
+import { installClock } from '../../src/testing/clock.js'
+import { KVStore } from '../../src/stores/KVStore.js'
+
+/**
+ * Tests for the in-memory KV namespace
+ */
+
+describe('MemoryKVNamespace', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = installClock(1_000_000)
+  })
+
+  afterEach(() => {
+    clock.uninstall()
+  })
+
+  test('reads values as text, json or arrayBuffer', async () => {
+    const kv = new MemoryKVNamespace()
+    await kv.put('doc', '{"limit":10}', { metadata: { by: 'ops' } })
+    expect(await kv.get('doc')).toBe('{"limit":10}')
+    expect(await kv.get('doc', 'json')).toEqual({ limit: 10 })
+    expect(await kv.get('doc', { type: 'json' })).toEqual({ limit: 10 })
+    expect(new TextDecoder().decode(await kv.get('doc', 'arrayBuffer'))).toBe('{"limit":10}')
+    expect(await kv.getWithMetadata('doc', 'json')).toEqual({ value: { limit: 10 }, metadata: { by: 'ops' } })
+    expect(await kv.getWithMetadata('missing')).toEqual({ value: null, metadata: null })
+  })
+
+  test('stores binary values', async () => {
+    const kv = new MemoryKVNamespace()
+    await kv.put('view', new TextEncoder().encode('abc').subarray(1))
+    await kv.put('buffer', new TextEncoder().encode('xyz').buffer)
+    expect(await kv.get('view')).toBe('bc')
+    expect(new Uint8Array(await kv.get('buffer', 'arrayBuffer'))).toEqual(new TextEncoder().encode('xyz'))
+  })
+
+  test('expires keys', async () => {
+    const kv = new MemoryKVNamespace()
+    await kv.put('ttl', 'a', { expirationTtl: 60 })
+    await kv.put('at', 'b', { expiration: 1_000 + 120 })
+    await kv.put('forever', 'c')
+
+    clock.advance(60_000)
+    expect(await kv.get('ttl')).toBeNull()
+    expect(await kv.get('at')).toBe('b')
+    clock.advance(60_000)
+    expect(await kv.get('at')).toBeNull()
+    expect(await kv.get('forever')).toBe('c')
+  })
+
+  test('deletes keys', async () => {
+    const kv = new MemoryKVNamespace()
+    await kv.put('a', '1')
+    await kv.put('b', '2')
+    await kv.delete('a')
+    expect(await kv.get('a')).toBeNull()
+    kv.clear()
+    expect(await kv.get('b')).toBeNull()
+  })
+
+  test('lists live keys by prefix in pages', async () => {
+    const kv = new MemoryKVNamespace()
+    await kv.put('rl:b', '1', { expirationTtl: 60, metadata: { n: 1 } })
+    await kv.put('rl:a', '1')
+    await kv.put('rl:c', '1')
+    await kv.put('other', '1')
+
+    const first = await kv.list({ prefix: 'rl:', limit: 2 })
+    expect(first).toEqual({
+      keys: [{ name: 'rl:a', expiration: undefined, metadata: undefined }, { name: 'rl:b', expiration: 1_060, metadata: { n: 1 } }],
+      list_complete: false,
+      cursor: '2'
+    })
+    expect(await kv.list({ prefix: 'rl:', limit: 2, cursor: first.cursor })).toEqual({ keys: [{ name: 'rl:c', expiration: undefined, metadata: undefined }], list_complete: true })
+
+    clock.advance(60_000)
+    expect((await kv.list()).keys.map((key) => key.name)).toEqual(['other', 'rl:a', 'rl:c'])
+  })
+
+  test('backs KVStore', async () => {
+    const store = new KVStore(new MemoryKVNamespace())
+    expect(await store.increment('hits', 1, 10)).toBe(1)
+    expect(await store.increment('hits', 1, 10)).toBe(2)
+    clock.advance(10_000)
+    expect(await store.get('hits')).toBeNull()
+  })
+
+  test.each([
+    ['key', () => new MemoryKVNamespace().put('', 'a'), 'key must be a non-empty string'],
+    ['value', () => new MemoryKVNamespace().put('a', { a: 1 }), 'value must be a string, an ArrayBuffer or an ArrayBufferView'],
+    ['expirationTtl', () => new MemoryKVNamespace().put('a', 'a', { expirationTtl: 30 }), 'expirationTtl must be at least 60 seconds'],
+    ['expiration', () => new MemoryKVNamespace().put('a', 'a', { expiration: 1_030 }), 'expiration must be at least 60 seconds in the future'],
+    ['type', () => new MemoryKVNamespace().get('a', 'stream'), 'type must be one of text, json, arrayBuffer'],
+    ['limit', () => new MemoryKVNamespace().list({ limit: 0 }), 'limit must be between 1 and 1000']
+  ])('rejects an invalid %s', async (field, run, expectedError) => {
+    await expect(run()).rejects.toThrow(expectedError)
+  })
+})
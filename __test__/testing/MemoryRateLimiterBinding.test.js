@@ -0,0 +1,55 @@
+import { MemoryRateLimiterBinding } from '../../src/testing/MemoryRateLimiterBinding.js'
+import { installClock } from '../../src/testing/clock.js'
+import { RateLimiter } from '../../src/RateLimiter.js'
+
+/**
+ * Tests for the in-memory Rate Limiting binding
+ */
+
+describe('MemoryRateLimiterBinding', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = installClock(0)
+  })
+
+  afterEach(() => {
+    clock.uninstall()
+  })
+
+  test('allows limit calls per key and period', async () => {
+    const binding = new MemoryRateLimiterBinding({ limit: 2, period: 10 })
+    expect(await binding.limit({ key: 'a' })).toEqual({ success: true })
+    expect(await binding.limit({ key: 'a' })).toEqual({ success: true })
+    expect(await binding.limit({ key: 'a' })).toEqual({ success: false })
+    expect(await binding.limit({ key: 'b' })).toEqual({ success: true })
+
+    clock.advance(10_000)
+    expect(await binding.limit({ key: 'a' })).toEqual({ success: true })
+
+    binding.clear()
+    expect(binding.windows.size).toBe(0)
+  })
+
+  test('backs RateLimiter like the Cloudflare binding', async () => {
+    const env = { RATE_LIMITER: new MemoryRateLimiterBinding({ limit: 1, period: 60 }) }
+    const mw = RateLimiter({ binding: 'RATE_LIMITER', limit: 1, period: 60, keyGenerator: () => 'ip' })
+    const thrown = []
+    const ctx = () => ({ env, req: {}, res: { set: () => {} }, throw: (status) => thrown.push(status) })
+    await mw(ctx(), async () => {})
+    await mw(ctx(), async () => {})
+    expect(thrown).toEqual([429])
+  })
+
+  test.each([
+    ['limit', { limit: 0, period: 60 }, 'options.limit must be >= 1'],
+    ['period', { limit: 1, period: 30 }, 'options.period must be 10 or 60 seconds'],
+    ['options', undefined, 'options.limit must be >= 1']
+  ])('throws when %s is invalid', (field, options, expectedError) => {
+    expect(() => new MemoryRateLimiterBinding(options)).toThrow(expectedError)
+  })
+
+  test('throws when the key is not a string', async () => {
+    await expect(new MemoryRateLimiterBinding({ limit: 1, period: 10 }).limit()).rejects.toThrow('key must be a string')
+  })
+})
@@ -0,0 +1,58 @@
+import { installClock } from '../../src/testing/clock.js'
+import { MemoryStore } from '../../src/stores/MemoryStore.js'
+import { StoreRateLimiter } from '../../src/StoreRateLimiter.js'
+
+/**
+ * Tests for the fake clock
+ */
+
+describe('installClock', () => {
+  let clock
+
+  afterEach(() => {
+    clock?.uninstall()
+    clock = undefined
+  })
+
+  test('replaces Date.now() until uninstalled', () => {
+    const now = Date.now
+    clock = installClock(1_000)
+    expect(Date.now()).toBe(1_000)
+    expect(clock.advance(500)).toBe(1_500)
+    expect(Date.now()).toBe(1_500)
+    expect(clock.set(new Date('2026-10-19T00:00:00Z'))).toBe(Date.parse('2026-10-19T00:00:00Z'))
+    expect(clock.now()).toBe(Date.now())
+    clock.uninstall()
+    expect(Date.now).toBe(now)
+  })
+
+  test('starts at the current time by default', () => {
+    const before = Date.now()
+    clock = installClock()
+    expect(clock.now()).toBeGreaterThanOrEqual(before)
+  })
+
+  test('moves rate limit windows', async () => {
+    clock = installClock(0)
+    const ctx = () => ({ req: {}, res: { set: () => {} }, thrown: null, throw (status) { this.thrown = status } })
+    const mw = StoreRateLimiter({ store: new MemoryStore(), limit: 1, period: 60, keyGenerator: () => 'ip' })
+
+    await mw(ctx(), async () => {})
+    const rejected = ctx()
+    await mw(rejected, async () => {})
+    expect(rejected.thrown).toBe(429)
+
+    clock.advance(60_000)
+    const allowed = ctx()
+    await mw(allowed, async () => {})
+    expect(allowed.thrown).toBeNull()
+  })
+
+  test.each([
+    ['start time', () => installClock('now'), 'time must be a number of milliseconds or a Date'],
+    ['advance', () => { clock = installClock(0); clock.advance(-1) }, 'ms must be >= 0'],
+    ['set', () => { clock = installClock(0); clock.set(NaN) }, 'time must be a number of milliseconds or a Date']
+  ])('throws when %s is invalid', (field, run, expectedError) => {
+    expect(run).toThrow(expectedError)
+  })
+})
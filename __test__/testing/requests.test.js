@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals'
+import { assertHeaders, assertLimited, fire } from '../../src/testing/requests.js'
+import { MemoryRateLimiterBinding } from '../../src/testing/MemoryRateLimiterBinding.js'
+
+/**
+ * Tests for the request helpers
+ */
+
+// Workers style app answering 429 past the limit of its binding
+function createApp () {
+  return {
+    fetch: jest.fn(async (request, env, executionCtx) => {
+      const { success } = await env.RATE_LIMITER.limit({ key: new URL(request.url).pathname })
+      executionCtx.passThroughOnException()
+      executionCtx.waitUntil(Promise.resolve())
+      return success ? new Response('ok') : new Response('Too Many Requests', { status: 429, headers: { 'Retry-After': '60' } })
+    })
+  }
+}
+
+describe('fire', () => {
+  test('sends count requests one after the other', async () => {
+    const app = createApp()
+    const env = { RATE_LIMITER: new MemoryRateLimiterBinding({ limit: 2, period: 60 }) }
+    const responses = await fire(app, '/api', { count: 3, env })
+    expect(responses.map((response) => response.status)).toEqual([200, 200, 429])
+    expect(app.fetch).toHaveBeenCalledWith(expect.any(Request), env, expect.objectContaining({ waitUntil: expect.any(Function) }))
+    expect(app.fetch.mock.calls[0][0].url).toBe('http://localhost/api')
+    expect(app.fetch.mock.calls[0][0].headers.get('CF-Connecting-IP')).toBe('127.0.0.1')
+  })
+
+  test('awaits the promises passed to waitUntil', async () => {
+    let written = false
+    const app = {
+      fetch: async (request, env, executionCtx) => {
+        executionCtx.waitUntil(new Promise((resolve) => setTimeout(resolve, 1)).then(() => { written = true }))
+        return new Response('ok')
+      }
+    }
+    await fire(app)
+    expect(written).toBe(true)
+  })
+
+  test('clones a Request, or builds one per index', async () => {
+    const app = createApp()
+    const env = { RATE_LIMITER: new MemoryRateLimiterBinding({ limit: 1, period: 60 }) }
+    const request = new Request('https://example.com/a', { method: 'POST', body: 'x', headers: { 'CF-Connecting-IP': '203.0.113.7' } })
+    expect((await fire(app, request, { count: 2, env })).map((response) => response.status)).toEqual([200, 429])
+    expect(await app.fetch.mock.calls[1][0].text()).toBe('x')
+    expect(app.fetch.mock.calls[1][0].headers.get('CF-Connecting-IP')).toBe('203.0.113.7')
+
+    const executionCtx = { waitUntil: jest.fn(), passThroughOnException: () => {} }
+    const responses = await fire(app, (i) => `/user/${i}`, { count: 2, env, executionCtx })
+    expect(responses.map((response) => response.status)).toEqual([200, 200])
+    expect(executionCtx.waitUntil).toHaveBeenCalledTimes(2)
+  })
+
+  test.each([
+    ['app', () => fire({}), 'app must expose fetch(request, env, executionCtx), e.g. a Hoa app'],
+    ['count', () => fire(createApp(), '/', { count: 0 }), 'options.count must be an integer >= 1'],
+    ['request', () => fire(createApp(), 1), 'request must be a URL, a Request or a function returning one']
+  ])('rejects an invalid %s', async (field, run, expectedError) => {
+    await expect(run()).rejects.toThrow(expectedError)
+  })
+})
+
+describe('assertLimited', () => {
+  const responses = [new Response('ok'), new Response('ok'), new Response('', { status: 429 })]
+
+  test('passes when the rest of the responses got 429', () => {
+    expect(() => assertLimited(responses, 2)).not.toThrow()
+  })
+
+  test('names the first response that does not match', () => {
+    expect(() => assertLimited(responses, 3)).toThrow('Expected request 3 of 3 to be allowed, it got 429')
+    expect(() => assertLimited(responses, 1)).toThrow('Expected request 2 of 3 to get 429, it got 200')
+  })
+
+  test('validates its arguments', () => {
+    expect(() => assertLimited(responses[0], 1)).toThrow('responses must be an array of Response')
+    expect(() => assertLimited(responses, 4)).toThrow('allowed must be an integer between 0 and the number of responses')
+  })
+})
+
+describe('assertHeaders', () => {
+  const response = new Response('', { status: 429, headers: { 'Retry-After': '60', 'X-RateLimit-Remaining': '0' } })
+
+  test('matches values, patterns and absent headers', () => {
+    expect(() => assertHeaders(response, { 'Retry-After': 60, 'X-RateLimit-Remaining': '0', 'x-ratelimit-reset': null })).not.toThrow()
+    expect(() => assertHeaders(response, { 'Retry-After': /^\d+$/ })).not.toThrow()
+  })
+
+  test('names the first header that does not match', () => {
+    expect(() => assertHeaders(response, { 'Retry-After': '30' })).toThrow('Expected header Retry-After to be 30, it is 60')
+    expect(() => assertHeaders(response, { 'RateLimit-Policy': /w=60/ })).toThrow('Expected header RateLimit-Policy to be /w=60/, it is absent')
+    expect(() => assertHeaders(response, { 'Retry-After': null })).toThrow('Expected header Retry-After to be absent, it is 60')
+    expect(() => assertHeaders({}, {})).toThrow('response must be a Response')
+  })
+})
@@ -0,0 +1,88 @@
+import { assert, isStore } from './utils.js'
+import { acquireSlot, releaseSlot } from './concurrency.js'
+import { createDurableObjectClient } from './durableObjectClient.js'
+import { rateLimitMiddleware } from './middleware.js'
+
+/**
+ * @typedef {Object} ConcurrencyLimiterOwnOptions
+ * @property {RateLimitStore | ((ctx: HoaContext) => RateLimitStore)} [store] - Store holding the slots, or a function returning one per request
+ * @property {string} [binding] - Durable Object namespace binding name (bound to RateLimiterDurableObject), instead of store
+ * @property {string} [prefix="concurrency:"] - Store key prefix, or prefix of the Durable Object name
+ * @property {number} limit - Max requests in flight per key
+ * @property {number} [lease=60] - Seconds after which a slot that was not released (e.g. the isolate crashed) frees itself
+ * @property {KeyGenerator} keyGenerator - Return falsy (or a promise of it) to skip limiting, see keyGenerators.js
+ */
+
+/** @typedef {RateLimitMiddlewareOptions & ConcurrencyLimiterOwnOptions} ConcurrencyLimiterOptions */
+
+/**
+ * Concurrency Limiter for Hoa: caps the requests of a key executing at the same time.
+ * A slot is taken before next() and released once the request is done.
+ *
+ * @param {ConcurrencyLimiterOptions} options
+ * @returns {HoaMiddleware} Hoa middleware
+ */
+export function ConcurrencyLimiter (options = {}) {
+  const {
+    store,
+    binding,
+    prefix = 'concurrency:',
+    lease = 60
+  } = options
+
+  assert((store === undefined) !== (binding === undefined), 'options.store or options.binding is required, but not both')
+  assert(store === undefined || typeof store === 'function' || isStore(store), 'options.store must be a store exposing get(), set(), increment() and reset(), or a function returning one')
+  assert(binding === undefined || typeof binding === 'string', 'options.binding must be a string')
+  assert(typeof prefix === 'string' && prefix.length > 0, 'options.prefix must be a non-empty string')
+  const limit = parseInt(options.limit)
+  assert(Number.isFinite(limit) && limit >= 1, 'options.limit must be >= 1')
+  assert(Number.isFinite(lease) && lease >= 1, 'options.lease must be >= 1 second')
+  assert(options.cost === undefined && options.deferCost === undefined, 'options.cost is not supported by ConcurrencyLimiter')
+
+  // One slot per request, whatever keyGenerator returns
+  const assertCost = ({ cost }) => {
+    assert(cost === 1, 'a cost returned by keyGenerator is not supported by ConcurrencyLimiter')
+  }
+
+  if (binding !== undefined) {
+    const send = createDurableObjectClient(binding, prefix)
+    return rateLimitMiddleware(options, {
+      consume: (ctx, key, charge) => {
+        assertCost(charge)
+        return send(ctx, key, 'acquire', { limit, lease, id: crypto.randomUUID() })
+      },
+      release: async (ctx, key, { lease: id }) => {
+        await send(ctx, key, 'release', { id })
+      }
+    })
+  }
+
+  const resolveStore = (ctx) => {
+    const resolvedStore = typeof store === 'function' ? store(ctx) : store
+    assert(isStore(resolvedStore), 'options.store must resolve to a store exposing get(), set(), increment() and reset()')
+    return resolvedStore
+  }
+
+  // Slots are read, updated and written back, so the requests of a key are queued within
+  // the isolate. Other isolates sharing the store are not, only a Durable Object is exact
+  const queues = new Map()
+  const serialize = (key, fn) => {
+    const result = (queues.get(key) || Promise.resolve()).then(fn)
+    const queue = result.catch(() => {})
+    queues.set(key, queue)
+    queue.then(() => {
+      if (queues.get(key) === queue) queues.delete(key)
+    })
+    return result
+  }
+
+  return rateLimitMiddleware(options, {
+    consume: (ctx, key, charge) => {
+      assertCost(charge)
+      return serialize(prefix + key, () => acquireSlot(resolveStore(ctx), prefix + key, { limit, lease, id: crypto.randomUUID() }))
+    },
+    release: (ctx, key, { lease: id }) => serialize(prefix + key, () => releaseSlot(resolveStore(ctx), prefix + key, { id }))
+  })
+}
+
+export default ConcurrencyLimiter
@@ -0,0 +1,222 @@
+import { assert } from './utils.js'
+import { algorithms, fixedWindow, resolveAlgorithm } from './algorithms.js'
+import { assertCalendarPolicies, consumePolicies, createPolicyResolver, peekPolicies, refundPolicies } from './policies.js'
+import { acquireSlot, releaseSlot } from './concurrency.js'
+import { createDurableObjectClient } from './durableObjectClient.js'
+import { rateLimitMiddleware } from './middleware.js'
+
+/**
+ * @typedef {Object} DurableObjectRateLimiterOwnOptions
+ * @property {string} binding - Durable Object namespace binding name (bound to RateLimiterDurableObject)
+ * @property {string} [prefix="ratelimit:"] - Prefix for the Durable Object name derived from the key
+ * @property {number | ((ctx: HoaContext) => number | Promise<number>)} [limit] - Max requests per period
+ * @property {number | 'day' | 'week' | 'month' | ((ctx: HoaContext) => number | string | Promise<number | string>)} [period] - Period length in seconds, or a calendar period (fixed-window algorithm)
+ * @property {string} [timeZone="UTC"] - IANA time zone of calendar periods, e.g. America/New_York
+ * @property {Array<RateLimitPolicy> | ((ctx: HoaContext) => RateLimitPolicy[] | Promise<RateLimitPolicy[]>)} [limits] - Stacked limits checked together, instead of limit and period
+ * @property {(ctx: HoaContext) => string | Promise<string>} [tier] - Name of the tiers entry applied to the request
+ * @property {Object<string, Object>} [tiers] - limit and period, or limits, per tier
+ * @property {PolicyConfigOptions} [config] - Policy document read at runtime from a KV key or env var, replacing limit and period or limits while it is set
+ * @property {'fixed-window' | 'sliding-window' | 'sliding-log' | 'token-bucket' | 'gcra'} [algorithm="fixed-window"] - Counting algorithm
+ * @property {number} [burst] - Bucket capacity for token-bucket and gcra, defaults to limit
+ * @property {number} [refillRate] - Tokens added per second for token-bucket, defaults to limit / period
+ * @property {KeyGenerator} [keyGenerator] - Return falsy (or a promise of it) to skip rate limiting, see keyGenerators.js. Required without scopes
+ * @property {Object<string, Object>} [scopes] - Named scopes checked together, each with its own keyGenerator and limit and period, limits or tier
+ * @property {number | ((ctx: HoaContext) => number | Promise<number>)} [cost=1] - Units consumed per request
+ * @property {boolean} [deferCost=false] - Resolve cost after next(), e.g. from the response
+ * @property {boolean} [skipSuccessfulRequests=false] - Give the units back when the response status is < 400
+ * @property {boolean} [skipFailedRequests=false] - Give the units back when the response status is >= 400 or next() throws
+ * @property {(ctx: HoaContext, error?: unknown) => boolean | Promise<boolean>} [shouldCount] - Called after next() with its error if any, false gives the units back
+ */
+
+/** @typedef {RateLimitMiddlewareOptions & DurableObjectRateLimiterOwnOptions} DurableObjectRateLimiterOptions */
+
+/**
+ * Cloudflare Durable Object Rate Limiter for Hoa.
+ * Each key is routed to its own RateLimiterDurableObject instance, so counters are strongly consistent.
+ *
+ * @param {DurableObjectRateLimiterOptions} options
+ * @returns {HoaMiddleware} Hoa middleware
+ */
+export function DurableObjectRateLimiter (options = {}) {
+  const {
+    binding,
+    prefix = 'ratelimit:',
+    algorithm = 'fixed-window'
+  } = options
+
+  assert(typeof binding === 'string', 'options.binding must be a string')
+  assert(typeof prefix === 'string' && prefix.length > 0, 'options.prefix must be a non-empty string')
+  // The algorithm runs inside the Durable Object, so only built-in algorithms can be used
+  assert(typeof algorithm === 'string' && Object.hasOwn(algorithms, algorithm), `options.algorithm must be one of ${Object.keys(algorithms).join(', ')}`)
+
+  const send = createDurableObjectClient(binding, prefix)
+
+  return rateLimitMiddleware(options, {
+    policies: (source, path) => createPolicyResolver(source, 1, '>= 1 second', (resolved) => assertCalendarPolicies(resolved, algorithms[algorithm] === fixedWindow), path),
+    consume: (ctx, key, charge, policies) => send(ctx, key, 'limit', { algorithm, policies, ...charge }),
+    refund: async (ctx, key, charge, policies) => {
+      await send(ctx, key, 'refund', { algorithm, policies, ...charge })
+    },
+    peek: (ctx, key, policies) => send(ctx, key, 'peek', { algorithm, policies })
+  })
+}
+
+/**
+ * Durable Object holding the counter of a single rate limit key.
+ * Export it from your Worker entry and bind it in wrangler.toml:
+ *
+ *   [[durable_objects.bindings]]
+ *   name = "RATE_LIMITER_DO"
+ *   class_name = "RateLimiterDurableObject"
+ *
+ * A Durable Object processes one event at a time, so increments are exact and atomic.
+ */
+export class RateLimiterDurableObject {
+  /**
+   * @param {DurableObjectState} state
+   * @param {any} env
+   */
+  constructor (state, env) {
+    this.state = state
+    this.env = env
+  }
+
+  /**
+   * @param {Request} request
+   * @returns {Promise<Response>}
+   */
+  async fetch (request) {
+    const { pathname } = new URL(request.url)
+    if (request.method === 'POST' && pathname === '/limit') {
+      return Response.json(await this.limit(await request.json()))
+    }
+    if (request.method === 'POST' && pathname === '/refund') {
+      await this.refund(await request.json())
+      return Response.json({ success: true })
+    }
+    if (request.method === 'POST' && pathname === '/peek') {
+      return Response.json(await this.peek(await request.json()))
+    }
+    if (request.method === 'POST' && pathname === '/acquire') {
+      return Response.json(await this.acquire(await request.json()))
+    }
+    if (request.method === 'POST' && pathname === '/release') {
+      await this.release(await request.json())
+      return Response.json({ success: true })
+    }
+
+    return new Response('Not Found', { status: 404 })
+  }
+
+  /**
+   * Consume units from every policy for the key held by this Durable Object.
+   *
+   * @param {Object} options
+   * @param {RateLimitPolicy[]} options.policies - Policies checked together
+   * @param {string} [options.algorithm="fixed-window"] - Built-in algorithm name
+   * @param {number} [options.cost=1]
+   * @param {boolean} [options.force]
+   * @param {number} [options.now] - Time of the consumption in milliseconds, defaults to Date.now()
+   * @returns {Promise<PoliciesResult>}
+   */
+  async limit ({ algorithm = 'fixed-window', policies, cost = 1, force, now }) {
+    return consumePolicies(resolveAlgorithm(algorithm), this.store(), 'counter', policies, { cost, force, now })
+  }
+
+  /**
+   * Give units back to every policy, e.g. when another scope rejected the request.
+   *
+   * @param {Object} options
+   * @param {RateLimitPolicy[]} options.policies
+   * @param {string} [options.algorithm="fixed-window"] - Built-in algorithm name
+   * @param {number} [options.cost=1]
+   * @param {number} [options.now] - Time of the consumption given back, defaults to Date.now()
+   * @returns {Promise<void>}
+   */
+  async refund ({ algorithm = 'fixed-window', policies, cost = 1, now }) {
+    await refundPolicies(resolveAlgorithm(algorithm), this.store(), 'counter', policies, { cost, now })
+  }
+
+  /**
+   * Report what is left for the policies of the key held by this Durable Object, without consuming.
+   *
+   * @param {Object} options
+   * @param {RateLimitPolicy[]} options.policies
+   * @param {string} [options.algorithm="fixed-window"] - Built-in algorithm name
+   * @returns {Promise<PoliciesResult>}
+   */
+  async peek ({ algorithm = 'fixed-window', policies }) {
+    return peekPolicies(resolveAlgorithm(algorithm), this.store(), 'counter', policies)
+  }
+
+  /**
+   * Take a concurrency slot for the key held by this Durable Object (ConcurrencyLimiter).
+   *
+   * @param {Object} options
+   * @param {number} options.limit - Max requests in flight
+   * @param {number} options.lease - Seconds after which an unreleased slot frees itself
+   * @param {string} options.id - Lease id
+   * @returns {Promise<RateLimitResult & { lease?: string }>}
+   */
+  async acquire ({ limit, lease, id }) {
+    return acquireSlot(this.store(), 'slots', { limit, lease, id })
+  }
+
+  /**
+   * Give a concurrency slot back.
+   *
+   * @param {Object} options
+   * @param {string} options.id - Lease id returned by acquire()
+   * @returns {Promise<void>}
+   */
+  async release ({ id }) {
+    await releaseSlot(this.store(), 'slots', { id })
+  }
+
+  async alarm () {
+    // The alarm is set to the latest expiry, so every stored entry is stale by now
+    await this.state.storage.deleteAll()
+  }
+
+  /**
+   * Durable Object storage as a rate limit store. Entries expire logically
+   * and are removed by the alarm once the last one is stale.
+   *
+   * @returns {RateLimitStore}
+   */
+  store () {
+    const storage = this.state.storage
+
+    const read = async (key) => {
+      const entry = await storage.get(key)
+      return entry && entry.expiresAt > Date.now() ? entry : null
+    }
+
+    const write = async (key, value, expiresAt) => {
+      await storage.put(key, { value, expiresAt })
+      const alarm = await storage.getAlarm()
+      if (!alarm || alarm < expiresAt) await storage.setAlarm(expiresAt)
+    }
+
+    return {
+      async get (key) {
+        const entry = await read(key)
+        return entry ? entry.value : null
+      },
+      async set (key, value, ttl) {
+        await write(key, value, Date.now() + ttl * 1000)
+      },
+      async increment (key, amount, ttl) {
+        const entry = await read(key)
+        const value = (entry ? entry.value : 0) + amount
+        await write(key, value, entry ? entry.expiresAt : Date.now() + ttl * 1000)
+        return value
+      },
+      async reset (key) {
+        await storage.delete(key)
+      }
+    }
+  }
+}
+
+export default DurableObjectRateLimiter
@@ -1,92 +1,122 @@
 import CloudflareKVRateLimiter from 'cloudflare-kv-rate-limit'
 import { assert } from './utils.js'
+import { fixedWindow, gcra, resolveAlgorithm, slidingLog, tokenBucket } from './algorithms.js'
+import { assertCalendarPolicies, consumePolicies, createPolicyResolver, peekPolicies, policyKey, refundPolicies, summarize } from './policies.js'
+import { KVStore } from './stores/KVStore.js'
+import { createBans } from './bans.js'
+import { createLocalCache } from './localCache.js'
+import { rateLimitMiddleware } from './middleware.js'
 
 /**
- * @typedef {Object} KVRateLimiterOptions
+ * @typedef {Object} KVRateLimiterOwnOptions
  * @property {string} binding - KV namespace name
  * @property {string} [prefix="ratelimit:"] - KV key prefix
- * @property {number} limit - Max requests per period
- * @property {number} period - Period length in seconds
+ * @property {number | ((ctx: HoaContext) => number | Promise<number>)} [limit] - Max requests per period
+ * @property {number | 'day' | 'week' | 'month' | ((ctx: HoaContext) => number | string | Promise<number | string>)} [period] - Period length in seconds, or a calendar period (fixed-window algorithm)
+ * @property {string} [timeZone="UTC"] - IANA time zone of calendar periods, e.g. America/New_York
+ * @property {Array<RateLimitPolicy> | ((ctx: HoaContext) => RateLimitPolicy[] | Promise<RateLimitPolicy[]>)} [limits] - Stacked limits checked together, instead of limit and period
+ * @property {(ctx: HoaContext) => string | Promise<string>} [tier] - Name of the tiers entry applied to the request
+ * @property {Object<string, Object>} [tiers] - limit and period, or limits, per tier
+ * @property {PolicyConfigOptions} [config] - Policy document read at runtime from a KV key or env var, replacing limit and period or limits while it is set
  * @property {number} [interval=0] - Optional sub-interval seconds (used for header reset rounding)
- * @property {(ctx: HoaContext) => (string | null | undefined | false)} keyGenerator - Return falsy to skip rate limiting
- * @property {(ctx: HoaContext, limit: number, remaining: number, reset: number) => void} [successHandler]
- * @property {(ctx: HoaContext, limit: number, remaining: number, reset: number) => void} [errorHandler]
+ * @property {'fixed-window' | 'sliding-window' | 'sliding-log' | 'token-bucket' | 'gcra' | RateLimitAlgorithm} [algorithm] - Counting algorithm, defaults to cloudflare-kv-rate-limit's
+ * @property {number} [burst] - Bucket capacity for token-bucket and gcra, defaults to limit
+ * @property {number} [refillRate] - Tokens added per second for token-bucket, defaults to limit / period
+ * @property {KeyGenerator} [keyGenerator] - Return falsy (or a promise of it) to skip rate limiting, see keyGenerators.js. Required without scopes
+ * @property {Object<string, Object>} [scopes] - Named scopes checked together, each with its own keyGenerator and limit and period, limits or tier
+ * @property {number | ((ctx: HoaContext) => number | Promise<number>)} [cost=1] - Units consumed per request (requires algorithm)
+ * @property {boolean} [deferCost=false] - Resolve cost after next(), e.g. from the response
+ * @property {boolean} [skipSuccessfulRequests=false] - Give the units back when the response status is < 400 (requires algorithm)
+ * @property {boolean} [skipFailedRequests=false] - Give the units back when the response status is >= 400 or next() throws (requires algorithm)
+ * @property {(ctx: HoaContext, error?: unknown) => boolean | Promise<boolean>} [shouldCount] - Called after next() with its error if any, false gives the units back (requires algorithm)
+ * @property {boolean | LocalCacheOptions} [cache=false] - Cache counters and rejected keys in the isolate, trading accuracy for fewer KV reads and writes, with fixed-window or sliding-window
+ * @property {BanOptions} [ban] - Ban keys rejected threshold times within lookback for escalating durations, stored in the same namespace
  */
 
+/** @typedef {RateLimitMiddlewareOptions & KVRateLimiterOwnOptions} KVRateLimiterOptions */
+
 /**
  * Cloudflare KV Rate Limiter for Hoa.
  *
  * @param {KVRateLimiterOptions} options
- * @returns {HoaMiddleware} Hoa middleware
+ * @returns {HoaMiddleware} Hoa middleware, with bans.get(ctx, key) and bans.lift(ctx, key) when ban is set
  */
 export function KVRateLimiter (options = {}) {
   let {
     binding,
     prefix = 'ratelimit:',
-    limit,
-    period,
     interval = 0,
-    keyGenerator,
-    successHandler = defaultSuccessHandler,
-    errorHandler = defaultErrorHandler
+    algorithm,
+    cost,
+    cache = false
   } = options
 
-  limit = parseInt(limit)
-  period = parseInt(period)
   interval = parseInt(interval)
 
   assert(typeof binding === 'string', 'options.binding must be a string')
   assert(typeof prefix === 'string' && prefix.length > 0, 'options.prefix must be a non-empty string')
-  assert(Number.isFinite(limit) && limit >= 1, 'options.limit must be >= 1')
-  assert(Number.isFinite(period) && period >= 60, 'options.period must be >= 60 seconds (Cloudflare KV TTL minimum)')
   assert(Number.isFinite(interval) && interval >= 0, 'options.interval must be >= 0')
-  assert(interval <= period, 'options.interval must be <= options.period')
-  assert(typeof keyGenerator === 'function', 'options.keyGenerator must be a function')
-  assert(typeof successHandler === 'function', 'options.successHandler must be a function')
-  assert(typeof errorHandler === 'function', 'options.errorHandler must be a function')
+  // cloudflare-kv-rate-limit counts one hit per call
+  assert(cost === undefined || algorithm !== undefined, 'options.cost requires options.algorithm')
 
-  return async function kvRateLimiter (ctx, next) {
-    const key = keyGenerator(ctx)
+  if (algorithm !== undefined) algorithm = resolveAlgorithm(algorithm)
+  // The cache batches increments, these algorithms write their whole state on every request
+  assert(cache === false || ![slidingLog, tokenBucket, gcra].includes(algorithm), 'options.cache requires the fixed-window or sliding-window algorithm, token-bucket, gcra and sliding-log write KV on every request')
 
-    // Skip rate limit when key is falsy
-    if (!key) {
-      await next()
-      return
-    }
+  const createResolver = (source, path) => createPolicyResolver(source, 60, '>= 60 seconds (Cloudflare KV TTL minimum)', (resolved) => {
+    // cloudflare-kv-rate-limit counts periods in seconds
+    assertCalendarPolicies(resolved, algorithm === fixedWindow)
+    assert(resolved.every(({ period }) => typeof period !== 'number' || interval <= period), 'options.interval must be <= options.period')
+  }, path)
 
-    const ratelimiter = CloudflareKVRateLimiter({ binding, prefix, limit, period, interval })
+  const resolveStore = (ctx) => {
+    const namespace = ctx.env[binding]
+    assert(namespace && typeof namespace.get === 'function' && typeof namespace.put === 'function', 'options.binding must be a KV binding name that resolves to a Cloudflare KV namespace')
+    return new KVStore(namespace)
+  }
 
-    const { success, remaining, reset } = await ratelimiter(key)
+  const bans = options.ban === undefined ? undefined : createBans(options.ban, resolveStore, prefix)
 
-    if (!success) {
-      await errorHandler(ctx, limit, remaining, reset)
-      return
-    }
+  const localCache = cache === false ? null : createLocalCache(cache)
+  const counterStore = (ctx) => localCache ? localCache.wrap(resolveStore(ctx)) : resolveStore(ctx)
 
-    try {
-      await next()
-    } finally {
-      await successHandler(ctx, limit, remaining, reset)
+  // Keys known to be rejected are answered from the isolate until their reset
+  const withCache = (consume) => localCache
+    ? async (ctx, key, charge, policies) => {
+      const blocked = !charge.force && localCache.blocked(key)
+      if (blocked) return blocked
+      const result = await consume(ctx, key, charge, policies)
+      if (!result.success && !charge.force) localCache.block(key, result)
+      return result
     }
-  }
-}
+    : consume
 
-function defaultSuccessHandler (ctx, limit, remaining, reset) {
-  ctx.res.set({
-    'X-RateLimit-Limit': String(limit),
-    'X-RateLimit-Remaining': String(remaining),
-    'X-RateLimit-Reset': String(Math.ceil(Date.now() / 1000 + reset))
-  })
-}
+  if (algorithm) {
+    return rateLimitMiddleware(options, {
+      policies: createResolver,
+      consume: withCache((ctx, key, charge, policies) => consumePolicies(algorithm, counterStore(ctx), prefix + key, policies, charge)),
+      refund: (ctx, key, charge, policies) => refundPolicies(algorithm, counterStore(ctx), prefix + key, policies, charge),
+      peek: (ctx, key, policies) => peekPolicies(algorithm, resolveStore(ctx), prefix + key, policies),
+      bans
+    })
+  }
 
-function defaultErrorHandler (ctx, limit, remaining, reset) {
-  ctx.throw(429, 'Too Many Requests', {
-    headers: {
-      'X-RateLimit-Limit': String(limit),
-      'X-RateLimit-Remaining': String(remaining),
-      'X-RateLimit-Reset': String(Math.ceil(Date.now() / 1000 + reset)),
-      'Retry-After': String(reset)
-    }
+  // cloudflare-kv-rate-limit cannot refund, so check the policies one by one
+  return rateLimitMiddleware(options, {
+    policies: createResolver,
+    consume: withCache(async (ctx, key, charge, policies) => {
+      assert(charge.cost === 1, 'a cost returned by keyGenerator requires options.algorithm')
+      const results = []
+      for (const policy of policies) {
+        const { limit, period } = policy
+        const ratelimiter = CloudflareKVRateLimiter({ binding, prefix, limit, period, interval })
+        const result = { limit, ...await ratelimiter(policyKey(key, policy)), policy }
+        results.push(result)
+        if (!result.success) break
+      }
+      return summarize(results)
+    }),
+    bans
   })
 }
 
@@ -0,0 +1,110 @@
+import { assert, isStore } from './utils.js'
+import { fixedWindow, resolveAlgorithm } from './algorithms.js'
+import { assertCalendarPolicies, consumePolicies, parsePolicies, peekPolicies, refundPolicies, resetPolicies } from './policies.js'
+
+/**
+ * @typedef {Object} LimiterOptions
+ * @property {RateLimitStore} store - MemoryStore, KVStore, CacheStore, D1Store or your own
+ * @property {string} [prefix="ratelimit:"] - Store key prefix
+ * @property {number} [limit] - Max units per period
+ * @property {number | 'day' | 'week' | 'month'} [period] - Period length in seconds, or a calendar period (fixed-window algorithm)
+ * @property {string} [timeZone="UTC"] - IANA time zone of calendar periods
+ * @property {Array<RateLimitPolicy>} [limits] - Stacked limits checked together, instead of limit and period
+ * @property {'fixed-window' | 'sliding-window' | 'sliding-log' | 'token-bucket' | 'gcra' | RateLimitAlgorithm} [algorithm="fixed-window"]
+ * @property {number} [burst] - Bucket capacity for token-bucket and gcra, defaults to limit
+ * @property {number} [refillRate] - Tokens added per second for token-bucket, defaults to limit / period
+ */
+
+/**
+ * Rate limiter usable outside of a Hoa request, e.g. in queue consumers, scheduled
+ * handlers or WebSocket message loops. With the same store, prefix, algorithm and
+ * limits, it shares its counters with StoreRateLimiter and KVRateLimiter (with
+ * algorithm), so it can also inspect or clear the counter of a middleware key.
+ */
+export class Limiter {
+  /**
+   * @param {LimiterOptions} options
+   */
+  constructor (options = {}) {
+    const {
+      store,
+      prefix = 'ratelimit:',
+      algorithm = 'fixed-window'
+    } = options
+
+    assert(isStore(store), 'options.store must be a store exposing get(), set(), increment() and reset()')
+    assert(typeof prefix === 'string' && prefix.length > 0, 'options.prefix must be a non-empty string')
+
+    this.store = store
+    this.prefix = prefix
+    this.algorithm = resolveAlgorithm(algorithm)
+    this.policies = parsePolicies(options, 1, '>= 1 second')
+    assertCalendarPolicies(this.policies, this.algorithm === fixedWindow)
+  }
+
+  /**
+   * Consume one unit, like a request through the middleware.
+   *
+   * @param {string} key
+   * @returns {Promise<PoliciesResult>}
+   */
+  async check (key) {
+    return this.consume(key, 1)
+  }
+
+  /**
+   * Consume cost units. Nothing is consumed when the result is unsuccessful.
+   *
+   * @param {string} key
+   * @param {number} [cost=1]
+   * @returns {Promise<PoliciesResult>}
+   */
+  async consume (key, cost = 1) {
+    assertCost(cost)
+    return consumePolicies(this.algorithm, this.store, this.storeKey(key), this.policies, { cost })
+  }
+
+  /**
+   * Units left without consuming. success is false while the key is over its limit.
+   *
+   * @param {string} key
+   * @returns {Promise<PoliciesResult>}
+   */
+  async peek (key) {
+    return peekPolicies(this.algorithm, this.store, this.storeKey(key), this.policies)
+  }
+
+  /**
+   * Clear the counters of a key.
+   *
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async reset (key) {
+    await resetPolicies(this.algorithm, this.store, this.storeKey(key), this.policies)
+  }
+
+  /**
+   * Give back units consumed in the current period.
+   *
+   * @param {string} key
+   * @param {number} [cost=1]
+   * @returns {Promise<void>}
+   */
+  async refund (key, cost = 1) {
+    assertCost(cost)
+    assert(typeof this.algorithm.refund === 'function', 'options.algorithm does not support refund()')
+    await refundPolicies(this.algorithm, this.store, this.storeKey(key), this.policies, { cost })
+  }
+
+  storeKey (key) {
+    assert(typeof key === 'string' && key.length > 0, 'key must be a non-empty string')
+    return this.prefix + key
+  }
+}
+
+function assertCost (cost) {
+  assert(Number.isFinite(cost) && cost >= 0, 'cost must be a number >= 0')
+}
+
+export default Limiter
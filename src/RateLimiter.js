@@ -1,16 +1,26 @@
 import { assert } from './utils.js'
+import { rateLimitMiddleware } from './middleware.js'
 
 /**
- * @typedef {Object} RateLimiterOptions
+ * @typedef {Object} RateLimiterOwnOptions
  * @property {string} binding - Rate Limiter binding name
- * @property {(ctx: HoaContext) => (string | null | undefined | false)} keyGenerator - Return falsy to skip rate limiting
- * @property {(ctx: HoaContext) => void} [successHandler]
- * @property {(ctx: HoaContext) => void} [errorHandler]
+ * @property {KeyGenerator} keyGenerator - Return falsy (or a promise of it) to skip rate limiting, see keyGenerators.js
+ * @property {number | ((ctx: HoaContext) => number | Promise<number>)} [cost=1] - Units consumed per request, one limit() call each up to limit
+ * @property {boolean} [deferCost=false] - Resolve cost after next(), e.g. from the response
+ * @property {number} [limit] - Limit configured on the binding, reported in the headers and waited for in delay mode
+ * @property {number} [period] - Period configured on the binding (10 or 60 seconds), reported in the headers and waited for in delay mode
+ * @property {'legacy' | 'draft-6' | 'draft-8' | 'none'} [headers="none"] - Headers set by the default handlers
+ * @property {(ctx: HoaContext, limit: number | undefined, remaining: number | undefined, reset: number | undefined, info: RateLimitInfo) => void} [successHandler]
+ * @property {(ctx: HoaContext, limit: number | undefined, remaining: number | undefined, reset: number | undefined, info: RateLimitInfo) => void} [errorHandler]
  */
 
+/** @typedef {RateLimitMiddlewareOptions & RateLimiterOwnOptions} RateLimiterOptions */
+
 /**
  * Cloudflare Rate Limiter for Hoa (using native Cloudflare Rate Limiting API).
- * Note: limit and period are configured in wrangler.toml, not in code.
+ * Note: limit and period are configured in wrangler.toml, not in code. Pass them as
+ * options too to report them in the headers: the native API does not expose the
+ * remaining count, so it is only reported (as 0) when the request is rejected.
  *
  * @param {RateLimiterOptions} options
  * @returns {HoaMiddleware} Hoa middleware
@@ -18,52 +28,46 @@ import { assert } from './utils.js'
 export function RateLimiter (options = {}) {
   const {
     binding,
-    keyGenerator,
-    successHandler = defaultSuccessHandler,
-    errorHandler = defaultErrorHandler
+    limit,
+    period,
+    headers = 'none'
   } = options
 
   assert(typeof binding === 'string', 'options.binding must be a string')
-  assert(typeof keyGenerator === 'function', 'options.keyGenerator must be a function')
-  assert(typeof successHandler === 'function', 'options.successHandler must be a function')
-  assert(typeof errorHandler === 'function', 'options.errorHandler must be a function')
-
-  return async function rateLimiter (ctx, next) {
-    const key = keyGenerator(ctx)
-
-    // Skip rate limit when key is falsy
-    if (!key) {
-      await next()
-      return
-    }
+  assert(limit === undefined || (Number.isInteger(limit) && limit >= 1), 'options.limit must be >= 1')
+  assert(period === undefined || (Number.isInteger(period) && period >= 1), 'options.period must be >= 1 second')
+  // The binding does not tell when it resets, delay mode waits for the configured period
+  assert(options.mode !== 'delay' || period !== undefined, "options.period is required by options.mode 'delay'")
 
+  const consume = async (ctx, key, { cost, force }) => {
     const rateLimiterBinding = ctx.env[binding]
     assert(rateLimiterBinding && typeof rateLimiterBinding.limit === 'function', 'options.binding must be a Rate Limiter binding name that resolves to a Cloudflare Rate Limiter binding exposing limit()')
 
-    // Use Cloudflare's native Rate Limiting API
-    const { success } = await rateLimiterBinding.limit({ key })
-
-    if (!success) {
-      // Rate limit exceeded
-      await errorHandler(ctx)
-      return
+    // Use Cloudflare's native Rate Limiting API, it only counts one hit per call and
+    // cannot give hits back, so the calls are capped at limit: they exhaust the window
+    const units = Math.ceil(cost)
+    assert(units <= 1 || limit !== undefined, 'options.limit is required by a cost above 1, it caps the calls to limit()')
+    // A cost above limit never goes through, unless forced
+    let success = !(units > limit)
+    const calls = success || force ? Math.min(units, limit ?? units) : 0
+    for (let i = 0; i < calls; i++) {
+      const result = await rateLimiterBinding.limit({ key })
+      if (!result.success) {
+        success = false
+        if (!force) break
+      }
     }
 
-    try {
-      await next()
-    } finally {
-      await successHandler(ctx)
+    return {
+      success,
+      limit,
+      remaining: success ? undefined : 0,
+      reset: success ? undefined : period,
+      policy: limit === undefined ? undefined : { limit, period }
     }
   }
-}
-
-function defaultSuccessHandler (ctx) {
-  // No-op by default
-  // Users can provide custom handler to set headers if needed
-}
 
-function defaultErrorHandler (ctx) {
-  ctx.throw(429, 'Too Many Requests')
+  return rateLimitMiddleware({ ...options, headers }, { consume })
 }
 
 export default RateLimiter
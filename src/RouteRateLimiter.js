@@ -0,0 +1,119 @@
+import { assert } from './utils.js'
+
+/**
+ * @typedef {Object} RateLimitRoute
+ * @property {string | RegExp | { test: (input: { pathname: string }) => boolean }} path - Glob (* within a segment, ** across segments), RegExp or URLPattern matched against ctx.req.pathname
+ * @property {string | string[]} [method] - Methods matched, any method by default
+ * @property {string} [name] - Namespace of the route's keys, defaults to the method and glob. Required for RegExp and URLPattern paths
+ * @property {Object} [policy] - Options of the route's limiter, over defaults (limit, period, limits, cost, ...)
+ */
+
+/**
+ * @typedef {Object} RouteRateLimiterOptions
+ * @property {(options: Object) => HoaMiddleware} limiter - Rate limiter factory, e.g. KVRateLimiter or StoreRateLimiter
+ * @property {Object} [defaults] - Options shared by every route (binding or store, keyGenerator, headers, ...)
+ * @property {RateLimitRoute[]} routes - Checked in order, the first matching route applies
+ */
+
+/**
+ * Rate limit each route with its own policy. Every route gets its own limiter, built
+ * once from defaults and policy, and its keys are prefixed with the route name so
+ * the counters of different routes never collide. Requests matching no route are
+ * not rate limited.
+ *
+ * @param {RouteRateLimiterOptions} options
+ * @returns {HoaMiddleware} Hoa middleware
+ */
+export function RouteRateLimiter (options = {}) {
+  const { limiter, defaults = {}, routes } = options
+
+  assert(typeof limiter === 'function', 'options.limiter must be a rate limiter factory such as KVRateLimiter')
+  assert(defaults && typeof defaults === 'object', 'options.defaults must be an object')
+  assert(Array.isArray(routes) && routes.length > 0, 'options.routes must be a non-empty array')
+
+  const names = new Set()
+  const table = routes.map((route, i) => {
+    const path = `options.routes[${i}]`
+    assert(route && typeof route === 'object', `${path} must be an object`)
+
+    const matchPath = parsePath(route.path, `${path}.path`)
+    const methods = parseMethods(route.method, `${path}.method`)
+    const name = route.name ?? (typeof route.path === 'string' ? `${methods ? methods.join(',') : '*'} ${route.path}` : undefined)
+    assert(typeof name === 'string' && name.length > 0, `${path}.name must be a non-empty string, it is required for RegExp and URLPattern paths`)
+    assert(!names.has(name), `${path}.name must be unique, ${name} is already used`)
+    names.add(name)
+
+    const { policy = {} } = route
+    assert(policy && typeof policy === 'object', `${path}.policy must be an object`)
+
+    return {
+      matches: (ctx) => (!methods || methods.includes(ctx.req.method?.toUpperCase())) && matchPath(ctx.req.pathname),
+      middleware: limiter(namespace({ ...defaults, ...policy }, name))
+    }
+  })
+
+  return async function routeRateLimiter (ctx, next) {
+    const route = table.find((entry) => entry.matches(ctx))
+    if (!route) {
+      await next()
+      return
+    }
+
+    await route.middleware(ctx, next)
+  }
+}
+
+// Prefix the keys of the options (and of their scopes) with the route name
+function namespace (options, name) {
+  const prefix = (entry) => {
+    if (Array.isArray(entry)) return entry.map(prefix)
+    if (typeof entry === 'string' && entry) return `${name}:${entry}`
+    if (entry && typeof entry === 'object' && typeof entry.key === 'string' && entry.key) return { ...entry, key: `${name}:${entry.key}` }
+    return entry
+  }
+
+  const prefixed = (keyGenerator) => typeof keyGenerator === 'function'
+    ? async (ctx) => prefix(await keyGenerator(ctx))
+    : keyGenerator
+
+  const result = { ...options, keyGenerator: prefixed(options.keyGenerator) }
+  if (options.scopes && typeof options.scopes === 'object') {
+    result.scopes = Object.fromEntries(Object.entries(options.scopes).map(([scope, entry]) => [
+      scope,
+      entry && typeof entry === 'object' ? { ...entry, keyGenerator: prefixed(entry.keyGenerator) } : entry
+    ]))
+  }
+  return result
+}
+
+function parsePath (pattern, path) {
+  if (typeof pattern === 'string') {
+    assert(pattern.startsWith('/'), `${path} must start with /`)
+    const regexp = new RegExp('^' + pattern
+      .split('**')
+      .map((part) => part.split('*').map(escapeRegExp).join('[^/]*'))
+      .join('.*') + '$')
+    return (pathname) => regexp.test(pathname)
+  }
+
+  if (pattern instanceof RegExp) {
+    return (pathname) => pattern.test(pathname)
+  }
+
+  assert(pattern && typeof pattern.test === 'function', `${path} must be a glob string, a RegExp or a URLPattern`)
+  return (pathname) => pattern.test({ pathname })
+}
+
+function parseMethods (method, path) {
+  if (method === undefined) return null
+
+  const methods = [].concat(method)
+  assert(methods.length > 0 && methods.every((value) => typeof value === 'string' && value.length > 0), `${path} must be a method or an array of methods`)
+  return methods.map((value) => value.toUpperCase())
+}
+
+function escapeRegExp (value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+}
+
+export default RouteRateLimiter
@@ -0,0 +1,66 @@
+import { assert, isStore } from './utils.js'
+import { fixedWindow, resolveAlgorithm } from './algorithms.js'
+import { assertCalendarPolicies, consumePolicies, createPolicyResolver, peekPolicies, refundPolicies } from './policies.js'
+import { createBans } from './bans.js'
+import { rateLimitMiddleware } from './middleware.js'
+
+/**
+ * @typedef {Object} StoreRateLimiterOwnOptions
+ * @property {RateLimitStore | ((ctx: HoaContext) => RateLimitStore)} store - Store instance, or a function resolving it per request (e.g. from ctx.env)
+ * @property {string} [prefix="ratelimit:"] - Store key prefix
+ * @property {number | ((ctx: HoaContext) => number | Promise<number>)} [limit] - Max requests per period
+ * @property {number | 'day' | 'week' | 'month' | ((ctx: HoaContext) => number | string | Promise<number | string>)} [period] - Period length in seconds, or a calendar period (fixed-window algorithm)
+ * @property {string} [timeZone="UTC"] - IANA time zone of calendar periods, e.g. America/New_York
+ * @property {Array<RateLimitPolicy> | ((ctx: HoaContext) => RateLimitPolicy[] | Promise<RateLimitPolicy[]>)} [limits] - Stacked limits checked together, instead of limit and period
+ * @property {(ctx: HoaContext) => string | Promise<string>} [tier] - Name of the tiers entry applied to the request
+ * @property {Object<string, Object>} [tiers] - limit and period, or limits, per tier
+ * @property {PolicyConfigOptions} [config] - Policy document read at runtime from a KV key or env var, replacing limit and period or limits while it is set
+ * @property {'fixed-window' | 'sliding-window' | 'sliding-log' | 'token-bucket' | 'gcra' | RateLimitAlgorithm} [algorithm="fixed-window"] - Counting algorithm
+ * @property {number} [burst] - Bucket capacity for token-bucket and gcra, defaults to limit
+ * @property {number} [refillRate] - Tokens added per second for token-bucket, defaults to limit / period
+ * @property {KeyGenerator} [keyGenerator] - Return falsy (or a promise of it) to skip rate limiting, see keyGenerators.js. Required without scopes
+ * @property {Object<string, Object>} [scopes] - Named scopes checked together, each with its own keyGenerator and limit and period, limits or tier
+ * @property {number | ((ctx: HoaContext) => number | Promise<number>)} [cost=1] - Units consumed per request
+ * @property {boolean} [deferCost=false] - Resolve cost after next(), e.g. from the response
+ * @property {boolean} [skipSuccessfulRequests=false] - Give the units back when the response status is < 400
+ * @property {boolean} [skipFailedRequests=false] - Give the units back when the response status is >= 400 or next() throws
+ * @property {(ctx: HoaContext, error?: unknown) => boolean | Promise<boolean>} [shouldCount] - Called after next() with its error if any, false gives the units back
+ * @property {BanOptions} [ban] - Ban keys rejected threshold times within lookback for escalating durations, stored in the same store
+ */
+
+/** @typedef {RateLimitMiddlewareOptions & StoreRateLimiterOwnOptions} StoreRateLimiterOptions */
+
+/**
+ * Rate Limiter for Hoa backed by any RateLimitStore (MemoryStore, KVStore, CacheStore, D1Store or your own).
+ *
+ * @param {StoreRateLimiterOptions} options
+ * @returns {HoaMiddleware} Hoa middleware, with bans.get(ctx, key) and bans.lift(ctx, key) when ban is set
+ */
+export function StoreRateLimiter (options = {}) {
+  let {
+    store,
+    prefix = 'ratelimit:',
+    algorithm = 'fixed-window'
+  } = options
+
+  assert(typeof store === 'function' || isStore(store), 'options.store must be a store exposing get(), set(), increment() and reset(), or a function returning one')
+  assert(typeof prefix === 'string' && prefix.length > 0, 'options.prefix must be a non-empty string')
+
+  algorithm = resolveAlgorithm(algorithm)
+
+  const resolveStore = (ctx) => {
+    const resolvedStore = typeof store === 'function' ? store(ctx) : store
+    assert(isStore(resolvedStore), 'options.store must resolve to a store exposing get(), set(), increment() and reset()')
+    return resolvedStore
+  }
+
+  return rateLimitMiddleware(options, {
+    policies: (source, path) => createPolicyResolver(source, 1, '>= 1 second', (resolved) => assertCalendarPolicies(resolved, algorithm === fixedWindow), path),
+    consume: (ctx, key, charge, policies) => consumePolicies(algorithm, resolveStore(ctx), prefix + key, policies, charge),
+    refund: (ctx, key, charge, policies) => refundPolicies(algorithm, resolveStore(ctx), prefix + key, policies, charge),
+    peek: (ctx, key, policies) => peekPolicies(algorithm, resolveStore(ctx), prefix + key, policies),
+    bans: options.ban === undefined ? undefined : createBans(options.ban, resolveStore, prefix)
+  })
+}
+
+export default StoreRateLimiter
@@ -0,0 +1,60 @@
+import { assert } from './utils.js'
+
+/**
+ * @typedef {Object} RateLimitUsage
+ * @property {string} [scope] - Scope of the quota
+ * @property {number | 'day' | 'week' | 'month'} [period] - Period in seconds, or calendar period
+ * @property {string} [timeZone] - Time zone of a calendar period
+ * @property {string} [tier] - Tier the quota was resolved from
+ * @property {number} limit
+ * @property {number} used
+ * @property {number} remaining
+ * @property {number} reset - Seconds until the quota resets
+ * @property {string} resetAt - ISO 8601 time the quota resets
+ */
+
+/**
+ * Hoa route answering the current usage of the requesting key as JSON, e.g. for a
+ * customer dashboard. The keys and policies are resolved like a request through
+ * rateLimiter, but nothing is consumed:
+ *
+ *   { limit, used, remaining, reset, resetAt, quotas: [{ period, limit, used, remaining, reset, resetAt }] }
+ *
+ * The top level reports the most restrictive quota, quotas every checked one. Keys
+ * are left out, they may be secrets such as API keys. Requests without key get 404.
+ *
+ * @param {HoaMiddleware & { usage?: Function }} rateLimiter - StoreRateLimiter, DurableObjectRateLimiter or KVRateLimiter with algorithm
+ * @returns {HoaMiddleware} Hoa middleware
+ */
+export function UsageRoute (rateLimiter) {
+  assert(typeof rateLimiter?.usage === 'function', 'rateLimiter must expose usage(), e.g. StoreRateLimiter or KVRateLimiter with algorithm')
+
+  return async function usageRoute (ctx) {
+    const info = await rateLimiter.usage(ctx)
+    if (!info) {
+      ctx.throw(404, 'No rate limit applies to this request')
+      return
+    }
+
+    const now = Date.now()
+    const usage = ({ scope, limit, remaining, reset, policy }) => ({
+      scope,
+      period: policy?.period,
+      timeZone: policy?.timeZone,
+      tier: policy?.tier,
+      limit,
+      used: limit - remaining,
+      remaining,
+      reset,
+      resetAt: new Date(now + reset * 1000).toISOString()
+    })
+
+    ctx.res.set({ 'Cache-Control': 'no-store' })
+    ctx.res.body = {
+      ...usage(info),
+      quotas: (info.scopes || [info]).flatMap((entry) => entry.results.map((result) => usage({ ...result, scope: entry.scope })))
+    }
+  }
+}
+
+export default UsageRoute
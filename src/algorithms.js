@@ -0,0 +1,255 @@
+import { assert } from './utils.js'
+import { calendarWindow, isCalendarPeriod } from './calendar.js'
+
+/**
+ * @typedef {Object} AlgorithmOptions
+ * @property {number} limit - Max requests per period
+ * @property {number | 'day' | 'week' | 'month'} period - Period length in seconds, calendar periods are supported by fixed-window only
+ * @property {string} [timeZone="UTC"] - Time zone of calendar periods
+ * @property {number} [cost=1] - Units consumed by this request
+ * @property {boolean} [force=false] - Consume even when cost exceeds what is left, the result is still unsuccessful
+ * @property {number} [burst] - Bucket capacity (token-bucket, gcra), defaults to limit
+ * @property {number} [refillRate] - Tokens added per second (token-bucket), defaults to limit / period
+ * @property {number} [now] - Current time in milliseconds, defaults to Date.now()
+ */
+
+/**
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} success - Whether the request is allowed
+ * @property {number} limit - Max units available (the bucket capacity for token-bucket and gcra)
+ * @property {number} remaining - Units left after this request
+ * @property {number} reset - Seconds until the limit resets, or until the request can be retried when denied
+ */
+
+/**
+ * @typedef {Object} RateLimitAlgorithm
+ * @property {(store: RateLimitStore, key: string, options: AlgorithmOptions) => Promise<RateLimitResult>} consume
+ * @property {(store: RateLimitStore, key: string, options: AlgorithmOptions) => Promise<void>} [refund] - Give back cost units consumed at options.now
+ * @property {(store: RateLimitStore, key: string, options: AlgorithmOptions) => Promise<void>} [reset] - Clear the state of key, deleting key itself when missing
+ */
+
+/**
+ * Fixed window: counts requests in windows aligned to multiples of period, or to
+ * calendar days, weeks (from Monday) or months in timeZone.
+ *
+ * @type {RateLimitAlgorithm}
+ */
+export const fixedWindow = {
+  async consume (store, key, { limit, period, timeZone, cost = 1, force = false, now = Date.now() }) {
+    const { start, end } = fixedWindowOf(period, timeZone, now)
+    const windowKey = `${key}:${start}`
+    const reset = Math.ceil((end - now) / 1000)
+
+    const count = await store.increment(windowKey, cost, reset)
+
+    if (count > limit) {
+      if (force) return { success: false, limit, remaining: 0, reset }
+      // Give back what this request took, it is not allowed through
+      await store.increment(windowKey, -cost, reset)
+      return { success: false, limit, remaining: Math.max(0, limit - count + cost), reset }
+    }
+
+    return { success: true, limit, remaining: limit - count, reset }
+  },
+
+  async refund (store, key, { period, timeZone, cost = 1, now = Date.now() }) {
+    const { start, end } = fixedWindowOf(period, timeZone, now)
+    await store.increment(`${key}:${start}`, -cost, Math.ceil((end - now) / 1000))
+  },
+
+  async reset (store, key, { period, timeZone, now = Date.now() }) {
+    await store.reset(`${key}:${fixedWindowOf(period, timeZone, now).start}`)
+  }
+}
+
+function fixedWindowOf (period, timeZone = 'UTC', now) {
+  if (isCalendarPeriod(period)) return calendarWindow(period, timeZone, now)
+
+  const periodMs = period * 1000
+  const start = Math.floor(now / periodMs) * periodMs
+  return { start, end: start + periodMs }
+}
+
+/**
+ * Sliding window counter: weights the previous fixed window by how much of it still overlaps the sliding window.
+ *
+ * @type {RateLimitAlgorithm}
+ */
+export const slidingWindow = {
+  async consume (store, key, { limit, period, cost = 1, force = false, now = Date.now() }) {
+    const periodMs = period * 1000
+    const windowStart = Math.floor(now / periodMs) * periodMs
+    const windowKey = `${key}:${windowStart}`
+    const reset = Math.ceil((windowStart + periodMs - now) / 1000)
+
+    const [previous, current] = await Promise.all([
+      store.get(`${key}:${windowStart - periodMs}`),
+      store.get(windowKey)
+    ])
+    const weighted = (previous || 0) * (1 - (now - windowStart) / periodMs)
+
+    const exceeded = weighted + (current || 0) + cost > limit
+
+    if (exceeded && !force) {
+      return { success: false, limit, remaining: Math.max(0, Math.floor(limit - weighted - (current || 0))), reset }
+    }
+
+    // Keep the counter for one more period, it becomes the previous window
+    const count = await store.increment(windowKey, cost, reset + period)
+
+    return { success: !exceeded, limit, remaining: Math.max(0, Math.floor(limit - weighted - count)), reset }
+  },
+
+  async refund (store, key, { period, cost = 1, now = Date.now() }) {
+    const periodMs = period * 1000
+    const windowStart = Math.floor(now / periodMs) * periodMs
+    await store.increment(`${key}:${windowStart}`, -cost, Math.ceil((windowStart + periodMs - now) / 1000) + period)
+  },
+
+  async reset (store, key, { period, now = Date.now() }) {
+    const periodMs = period * 1000
+    const windowStart = Math.floor(now / periodMs) * periodMs
+    await Promise.all([store.reset(`${key}:${windowStart - periodMs}`), store.reset(`${key}:${windowStart}`)])
+  }
+}
+
+/**
+ * Sliding log: keeps a timestamp per request and counts those within the last period.
+ *
+ * @type {RateLimitAlgorithm}
+ */
+export const slidingLog = {
+  async consume (store, key, { limit, period, cost = 1, force = false, now = Date.now() }) {
+    const periodMs = period * 1000
+    const log = ((await store.get(key)) || []).filter(([time]) => time > now - periodMs)
+    const used = log.reduce((sum, [, units]) => sum + units, 0)
+
+    if (used + cost > limit && !force) {
+      // Retry once enough of the oldest entries have left the window
+      let retryAt = now + periodMs
+      let left = used
+      for (const [time, units] of log) {
+        left -= units
+        if (left + cost <= limit) {
+          retryAt = time + periodMs
+          break
+        }
+      }
+      return { success: false, limit, remaining: Math.max(0, limit - used), reset: Math.ceil((retryAt - now) / 1000) }
+    }
+
+    log.push([now, cost])
+    await store.set(key, log, period)
+
+    return { success: used + cost <= limit, limit, remaining: Math.max(0, limit - used - cost), reset: Math.ceil((log[0][0] + periodMs - now) / 1000) }
+  },
+
+  async refund (store, key, { period, cost = 1 }) {
+    const log = await store.get(key)
+    if (!log) return
+    // Remove units from the most recent entries
+    let left = cost
+    for (let i = log.length - 1; i >= 0 && left > 0; i--) {
+      const units = Math.min(left, log[i][1])
+      log[i][1] -= units
+      left -= units
+    }
+    await store.set(key, log.filter(([, units]) => units > 0), period)
+  }
+}
+
+/**
+ * Token bucket: holds up to burst tokens, refilled continuously at refillRate tokens per second.
+ *
+ * @type {RateLimitAlgorithm}
+ */
+export const tokenBucket = {
+  async consume (store, key, { limit, period, cost = 1, force = false, burst = limit, refillRate = limit / period, now = Date.now() }) {
+    const state = await store.get(key)
+    let tokens = state
+      ? Math.min(burst, state.tokens + (now - state.updatedAt) / 1000 * refillRate)
+      : burst
+
+    const success = tokens >= cost
+
+    if (!success && !force) {
+      return { success, limit: burst, remaining: Math.floor(tokens), reset: Math.ceil((cost - tokens) / refillRate) }
+    }
+
+    // Forced consumption may leave the bucket in debt (negative tokens)
+    tokens -= cost
+    const reset = Math.ceil((burst - tokens) / refillRate)
+    await store.set(key, { tokens, updatedAt: now }, Math.max(1, reset))
+
+    return { success, limit: burst, remaining: Math.max(0, Math.floor(tokens)), reset }
+  },
+
+  async refund (store, key, { limit, period, cost = 1, burst = limit, refillRate = limit / period, now = Date.now() }) {
+    const state = await store.get(key)
+    if (!state) return
+    const tokens = Math.min(burst, state.tokens + (now - state.updatedAt) / 1000 * refillRate + cost)
+    await store.set(key, { tokens, updatedAt: now }, Math.max(1, Math.ceil((burst - tokens) / refillRate)))
+  }
+}
+
+/**
+ * Generic cell rate algorithm: tracks the theoretical arrival time (TAT) of the next request.
+ * Allows burst requests at once, then one request every period / limit seconds.
+ *
+ * @type {RateLimitAlgorithm}
+ */
+export const gcra = {
+  async consume (store, key, { limit, period, cost = 1, force = false, burst = limit, now = Date.now() }) {
+    const interval = period * 1000 / limit
+    const tolerance = interval * burst
+    const tat = Math.max((await store.get(key)) || now, now)
+    const newTat = tat + interval * cost
+    const allowAt = newTat - tolerance
+
+    const success = now >= allowAt
+
+    if (!success && !force) {
+      return { success, limit: burst, remaining: unitsLeft(tolerance - (tat - now), interval), reset: Math.ceil((allowAt - now) / 1000) }
+    }
+
+    const reset = Math.ceil((newTat - now) / 1000)
+    await store.set(key, newTat, Math.max(1, reset))
+
+    return { success, limit: burst, remaining: unitsLeft(tolerance - (newTat - now), interval), reset }
+  },
+
+  async refund (store, key, { limit, period, cost = 1, now = Date.now() }) {
+    const tat = await store.get(key)
+    if (!tat) return
+    const newTat = Math.max(now, tat - period * 1000 / limit * cost)
+    await store.set(key, newTat, Math.max(1, Math.ceil((newTat - now) / 1000)))
+  }
+}
+
+// Round down while tolerating floating point drift (e.g. 2.9999999 -> 3)
+function unitsLeft (time, interval) {
+  return Math.max(0, Math.floor(time / interval + 1e-9))
+}
+
+/**
+ * Built-in algorithms by name.
+ */
+export const algorithms = {
+  'fixed-window': fixedWindow,
+  'sliding-window': slidingWindow,
+  'sliding-log': slidingLog,
+  'token-bucket': tokenBucket,
+  gcra
+}
+
+/**
+ * Resolve an algorithm option to an algorithm object.
+ *
+ * @param {string | RateLimitAlgorithm} algorithm - Built-in name or custom algorithm
+ * @returns {RateLimitAlgorithm}
+ */
+export function resolveAlgorithm (algorithm) {
+  const resolved = typeof algorithm === 'string' ? algorithms[algorithm] : algorithm
+  assert(resolved && typeof resolved.consume === 'function', `options.algorithm must be one of ${Object.keys(algorithms).join(', ')} or an object exposing consume()`)
+  return resolved
+}
@@ -0,0 +1,62 @@
+import { assert } from './utils.js'
+import { policyName } from './policies.js'
+
+/**
+ * Create an onEvent callback writing every event to a Workers Analytics Engine dataset,
+ * one data point per event:
+ *
+ * - blobs: type, reason, route, key, scope, policy (e.g. 100-in-60s or 50000-per-month), error message
+ * - doubles: limit, remaining, reset, latency, dryRun (1 or 0), open (1 or 0), delay
+ * - indexes: key (first 96 bytes of its UTF-8 encoding), for sampling per key
+ *
+ * Undefined values are written as '' and 0.
+ *
+ * @param {string | { writeDataPoint: Function }} dataset - Analytics Engine binding name, or the dataset itself
+ * @returns {(event: RateLimitEvent, ctx: HoaContext) => void}
+ */
+export function analyticsEngine (dataset) {
+  assert(typeof dataset === 'string' || typeof dataset?.writeDataPoint === 'function', 'dataset must be an Analytics Engine binding name or dataset')
+
+  return (event, ctx) => {
+    const target = typeof dataset === 'string' ? ctx.env[dataset] : dataset
+    assert(typeof target?.writeDataPoint === 'function', 'dataset must resolve to an Analytics Engine dataset')
+
+    const { policy, error } = event
+    target.writeDataPoint({
+      blobs: [
+        event.type,
+        event.reason,
+        event.route,
+        event.key,
+        event.scope,
+        policy && policyName(policy),
+        error instanceof Error ? error.message : error && String(error)
+      ].map((value) => value ?? ''),
+      doubles: [
+        event.limit,
+        event.remaining,
+        event.reset,
+        event.latency,
+        event.dryRun ? 1 : 0,
+        event.open ? 1 : 0,
+        event.delay
+      ].map((value) => value ?? 0),
+      indexes: [truncate(event.key ?? '', 96)]
+    })
+  }
+}
+
+// Analytics Engine rejects an index longer than 96 bytes, cut it between two characters
+function truncate (value, bytes) {
+  const encoder = new TextEncoder()
+  if (encoder.encode(value).length <= bytes) return value
+
+  let result = ''
+  let size = 0
+  for (const char of value) {
+    size += encoder.encode(char).length
+    if (size > bytes) break
+    result += char
+  }
+  return result
+}
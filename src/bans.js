@@ -0,0 +1,91 @@
+import { assert } from './utils.js'
+
+/**
+ * @typedef {Object} BanOptions
+ * @property {number} [threshold=3] - Rejections within lookback that ban the key
+ * @property {number} [lookback=3600] - Seconds rejections are counted over, and after a ban ends before the next one starts over at the first duration
+ * @property {number[]} [durations=[60, 600, 3600]] - Ban seconds per repeat offense, the last one is kept for further offenses
+ */
+
+/**
+ * @typedef {Object} Ban
+ * @property {number} level - Offense number, 1 for the first ban
+ * @property {number} until - Epoch milliseconds the ban ends at
+ * @property {number} reset - Seconds until the ban ends
+ */
+
+/**
+ * Create the penalty box of the ban option: keys rejected threshold times within
+ * lookback are banned for an escalating duration. Bans and strikes live in the
+ * rate limiter's store, next to the counters.
+ *
+ * @param {BanOptions} options
+ * @param {(ctx: HoaContext) => RateLimitStore} resolveStore
+ * @param {string} prefix - Store key prefix
+ */
+export function createBans (options, resolveStore, prefix) {
+  assert(options && typeof options === 'object', 'options.ban must be an object')
+
+  const {
+    threshold = 3,
+    lookback = 3600,
+    durations = [60, 600, 3600]
+  } = options
+
+  assert(Number.isInteger(threshold) && threshold >= 1, 'options.ban.threshold must be an integer >= 1')
+  assert(Number.isInteger(lookback) && lookback >= 1, 'options.ban.lookback must be >= 1 second')
+  assert(Array.isArray(durations) && durations.length > 0 && durations.every((duration) => Number.isInteger(duration) && duration >= 1), 'options.ban.durations must be a non-empty array of seconds >= 1')
+
+  const banKey = (key) => `${prefix}ban:${key}`
+  const strikesKey = (key) => `${prefix}strikes:${key}`
+
+  return {
+    /**
+     * Active ban of a key.
+     *
+     * @param {{ env: Object }} ctx - Request context, or any object with env
+     * @param {string} key - Key returned by keyGenerator, prefixed with the scope name for scopes
+     * @returns {Promise<Ban | null>}
+     */
+    async get (ctx, key) {
+      const ban = await resolveStore(ctx).get(banKey(key))
+      const now = Date.now()
+      if (!ban || ban.until <= now) return null
+      return { level: ban.level, until: ban.until, reset: Math.ceil((ban.until - now) / 1000) }
+    },
+
+    /**
+     * Record a rejection of a key, banning it once threshold is reached.
+     *
+     * @param {HoaContext} ctx
+     * @param {string} key
+     * @returns {Promise<Ban | null>} The new ban, or null
+     */
+    async strike (ctx, key) {
+      const store = resolveStore(ctx)
+      const strikes = await store.increment(strikesKey(key), 1, lookback)
+      if (strikes < threshold) return null
+
+      // The previous ban is kept for lookback after it ends, to escalate repeat offenses
+      const previous = await store.get(banKey(key))
+      const level = previous ? Math.min(previous.level + 1, durations.length) : 1
+      const duration = durations[level - 1]
+      const until = Date.now() + duration * 1000
+      await store.set(banKey(key), { level, until }, duration + lookback)
+      await store.reset(strikesKey(key))
+      return { level, until, reset: duration }
+    },
+
+    /**
+     * Lift the ban of a key and forget its strikes and past offenses.
+     *
+     * @param {{ env: Object }} ctx - Request context, or any object with env
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async lift (ctx, key) {
+      const store = resolveStore(ctx)
+      await Promise.all([store.reset(banKey(key)), store.reset(strikesKey(key))])
+    }
+  }
+}
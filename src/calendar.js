@@ -0,0 +1,100 @@
+import { assert } from './utils.js'
+
+/**
+ * Periods of calendar quotas, in place of seconds. Weeks start on Monday.
+ */
+export const calendarPeriods = ['day', 'week', 'month']
+
+const formatters = new Map()
+
+/**
+ * Whether period is a calendar period rather than seconds.
+ *
+ * @param {unknown} period
+ * @returns {period is 'day' | 'week' | 'month'}
+ */
+export function isCalendarPeriod (period) {
+  return calendarPeriods.includes(period)
+}
+
+/**
+ * Assert that timeZone is an IANA time zone name, e.g. 'UTC' or 'America/New_York'.
+ *
+ * @param {unknown} timeZone
+ * @param {string} path - Name of the option in error messages
+ */
+export function assertTimeZone (timeZone, path) {
+  let valid = typeof timeZone === 'string'
+  try {
+    if (valid) formatter(timeZone)
+  } catch {
+    valid = false
+  }
+  assert(valid, `${path} must be an IANA time zone, e.g. UTC or America/New_York`)
+}
+
+/**
+ * Calendar window containing now: from local midnight of the first day of the
+ * day, week or month in timeZone, to the start of the next one.
+ *
+ * @param {'day' | 'week' | 'month'} period
+ * @param {string} timeZone
+ * @param {number} now - Time in milliseconds
+ * @returns {{ start: number, end: number }} Window bounds in milliseconds
+ */
+export function calendarWindow (period, timeZone, now) {
+  const { year, month, day } = localParts(timeZone, now)
+
+  let first = day
+  let next
+  if (period === 'day') {
+    next = day + 1
+  } else if (period === 'week') {
+    // getUTCDay() is 0 on Sunday, weeks start on Monday
+    first = day - (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7
+    next = first + 7
+  } else {
+    first = 1
+  }
+
+  return {
+    start: localMidnight(timeZone, year, month, first),
+    // Date.UTC rolls days and months over, e.g. day 32 or month 13
+    end: next === undefined ? localMidnight(timeZone, year, month + 1, 1) : localMidnight(timeZone, year, month, next)
+  }
+}
+
+function formatter (timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }))
+  }
+  return formatters.get(timeZone)
+}
+
+function localParts (timeZone, time) {
+  return Object.fromEntries(formatter(timeZone).formatToParts(time)
+    .filter(({ type }) => type !== 'literal')
+    .map(({ type, value }) => [type, Number(value)]))
+}
+
+// Milliseconds the wall clock of timeZone is ahead of UTC at time
+function offset (timeZone, time) {
+  const { year, month, day, hour, minute, second } = localParts(timeZone, time)
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(time / 1000) * 1000
+}
+
+function localMidnight (timeZone, year, month, day) {
+  const wallClock = Date.UTC(year, month - 1, day)
+  // The offset at the guess may differ across a DST change, so correct it once more
+  const guess = wallClock - offset(timeZone, wallClock)
+  return wallClock - offset(timeZone, guess)
+}
@@ -0,0 +1,51 @@
+/**
+ * @typedef {Object} SlotOptions
+ * @property {number} limit - Max requests in flight
+ * @property {number} lease - Seconds after which a slot that was not released frees itself
+ * @property {string} id - Lease id, released with the same id
+ * @property {number} [now] - Current time in milliseconds, defaults to Date.now()
+ */
+
+/**
+ * Take a slot for a key. Slots are stored as a list of leases at key, leases
+ * past their expiry are dropped, so a slot held by a crashed isolate is freed
+ * after lease seconds.
+ *
+ * @param {RateLimitStore} store
+ * @param {string} key
+ * @param {SlotOptions} options
+ * @returns {Promise<RateLimitResult & { lease?: string }>} reset is when the own lease expires, or when the next slot frees itself when rejected
+ */
+export async function acquireSlot (store, key, { limit, lease, id, now = Date.now() }) {
+  const leases = ((await store.get(key)) || []).filter(([, expiresAt]) => expiresAt > now)
+
+  if (leases.length >= limit) {
+    const next = Math.min(...leases.map(([, expiresAt]) => expiresAt))
+    return { success: false, limit, remaining: 0, reset: Math.ceil((next - now) / 1000) }
+  }
+
+  leases.push([id, now + lease * 1000])
+  await store.set(key, leases, lease)
+
+  return { success: true, limit, remaining: limit - leases.length, reset: lease, lease: id }
+}
+
+/**
+ * Give a slot back.
+ *
+ * @param {RateLimitStore} store
+ * @param {string} key
+ * @param {{ id: string, now?: number }} options
+ * @returns {Promise<void>}
+ */
+export async function releaseSlot (store, key, { id, now = Date.now() }) {
+  const leases = ((await store.get(key)) || []).filter(([leaseId, expiresAt]) => leaseId !== id && expiresAt > now)
+
+  if (leases.length === 0) {
+    await store.reset(key)
+    return
+  }
+
+  const expiresAt = Math.max(...leases.map(([, expiresAt]) => expiresAt))
+  await store.set(key, leases, Math.ceil((expiresAt - now) / 1000))
+}
@@ -0,0 +1,22 @@
+import { assert } from './utils.js'
+
+/**
+ * Create the function sending an action to the RateLimiterDurableObject of a key.
+ *
+ * @param {string} binding - Durable Object namespace binding name
+ * @param {string} prefix - Prefix of the Durable Object name derived from the key
+ * @returns {(ctx: HoaContext, key: string, action: string, body: Object) => Promise<any>}
+ */
+export function createDurableObjectClient (binding, prefix) {
+  return async (ctx, key, action, body) => {
+    const namespace = ctx.env[binding]
+    assert(namespace && typeof namespace.idFromName === 'function', 'options.binding must be a Durable Object binding name that resolves to a Durable Object namespace')
+
+    const stub = namespace.get(namespace.idFromName(prefix + key))
+    const response = await stub.fetch(`https://rate-limiter/${action}`, {
+      method: 'POST',
+      body: JSON.stringify(body)
+    })
+    return response.json()
+  }
+}
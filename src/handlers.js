@@ -0,0 +1,214 @@
+import { assert } from './utils.js'
+import { policyName } from './policies.js'
+
+/**
+ * Rate limit header formats accepted by the headers option.
+ */
+export const headerModes = ['legacy', 'draft-6', 'draft-8', 'none']
+
+/**
+ * Body formats of the 429 response accepted by the responseFormat option. auto
+ * picks json, html or text from the Accept header of the request.
+ */
+export const responseFormats = ['text', 'json', 'html', 'auto']
+
+// Media types of each format, the first one is sent. text comes first, so
+// it is the one picked by a wildcard such as curl's default */*
+const mediaTypes = {
+  text: ['text/plain'],
+  json: ['application/problem+json', 'application/json'],
+  html: ['text/html', 'application/xhtml+xml']
+}
+
+/**
+ * Validate the headers and quotaUnit options.
+ *
+ * @param {string} headers
+ * @param {string} quotaUnit
+ */
+export function assertHeaderOptions (headers, quotaUnit) {
+  assert(headerModes.includes(headers), `options.headers must be one of ${headerModes.join(', ')}`)
+  assert(typeof quotaUnit === 'string' && /^[a-z][a-z0-9-]*$/.test(quotaUnit), 'options.quotaUnit must be a lowercase token such as requests')
+}
+
+/**
+ * Validate the responseFormat and message options.
+ *
+ * @param {string} responseFormat
+ * @param {unknown} message
+ */
+export function assertResponseOptions (responseFormat, message) {
+  assert(responseFormats.includes(responseFormat), `options.responseFormat must be one of ${responseFormats.join(', ')}`)
+  assert(typeof message === 'string' || typeof message === 'function', 'options.message must be a string or a function')
+}
+
+/**
+ * Pick the response format preferred by an Accept header. Media ranges are tried
+ * by decreasing quality, in header order when equal, and text is the fallback.
+ *
+ * @param {string | null | undefined} accept - Accept header of the request
+ * @returns {'text' | 'json' | 'html'}
+ */
+export function negotiateFormat (accept) {
+  const ranges = String(accept || '')
+    .split(',')
+    .map((part) => {
+      const [range, ...params] = part.split(';').map((value) => value.trim().toLowerCase())
+      const q = params.find((param) => param.startsWith('q='))
+      return { range, q: q === undefined ? 1 : Number(q.slice(2)) }
+    })
+    .filter(({ range, q }) => range && q > 0)
+    .sort((a, b) => b.q - a.q)
+
+  for (const { range } of ranges) {
+    const [type, subtype] = range.split('/')
+    const format = Object.keys(mediaTypes).find((name) => mediaTypes[name].some((mediaType) => {
+      const [candidateType, candidateSubtype] = mediaType.split('/')
+      return (type === '*' || type === candidateType) && (subtype === '*' || subtype === candidateSubtype)
+    }))
+    if (format) return format
+  }
+
+  return 'text'
+}
+
+/**
+ * Build the rate limit headers of a result. Values the backend does not know
+ * (undefined) are left out.
+ *
+ * - legacy: X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset (epoch seconds)
+ * - draft-6: RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (delta seconds) and RateLimit-Policy
+ * - draft-8: RateLimit and RateLimit-Policy structured fields, one named item per policy
+ * - none: no headers
+ *
+ * A request held back by delay mode also gets X-RateLimit-Delay (legacy) or
+ * RateLimit-Delay (drafts), in milliseconds.
+ *
+ * @param {string} mode - One of headerModes
+ * @param {number} [limit]
+ * @param {number} [remaining]
+ * @param {number} [reset] - Seconds until the limit resets
+ * @param {Partial<RateLimitInfo>} [info]
+ * @param {string} [quotaUnit="requests"] - Unit of the draft-8 quota
+ * @returns {Record<string, string>}
+ */
+export function rateLimitHeaders (mode, limit, remaining, reset, info = {}, quotaUnit = 'requests') {
+  const headers = {}
+
+  if (mode === 'legacy') {
+    setHeader(headers, 'X-RateLimit-Limit', limit)
+    setHeader(headers, 'X-RateLimit-Remaining', remaining)
+    setHeader(headers, 'X-RateLimit-Reset', reset === undefined ? undefined : Math.ceil(Date.now() / 1000 + reset))
+    setHeader(headers, 'X-RateLimit-Delay', info.delay)
+  } else if (mode === 'draft-6') {
+    setHeader(headers, 'RateLimit-Limit', limit)
+    setHeader(headers, 'RateLimit-Remaining', remaining)
+    setHeader(headers, 'RateLimit-Reset', reset)
+    setHeader(headers, 'RateLimit-Delay', info.delay)
+    const policies = policyResults(limit, remaining, reset, info).filter((result) => result.period !== undefined)
+    if (policies.length) {
+      headers['RateLimit-Policy'] = policies.map((result) => `${result.limit};w=${result.period}`).join(', ')
+    }
+  } else if (mode === 'draft-8') {
+    const results = policyResults(limit, remaining, reset, info)
+    if (results.length) {
+      headers['RateLimit-Policy'] = results
+        .map((result) => `"${result.name}";q=${result.limit}` + (result.period === undefined ? '' : `;w=${result.period}`) + `;qu="${quotaUnit}"`)
+        .join(', ')
+    }
+    const known = results.filter((result) => result.remaining !== undefined && result.reset !== undefined)
+    if (known.length) {
+      headers.RateLimit = known.map((result) => `"${result.name}";r=${result.remaining};t=${result.reset}`).join(', ')
+    }
+    setHeader(headers, 'RateLimit-Delay', info.delay)
+  }
+
+  return headers
+}
+
+function setHeader (headers, name, value) {
+  if (value !== undefined) headers[name] = String(value)
+}
+
+// One entry per checked policy, named after its quota and window. Calendar
+// periods have no fixed length, so they are reported without a window
+function policyResults (limit, remaining, reset, info) {
+  const results = info.results || [{ limit, remaining, reset, policy: info.policy }]
+
+  return results
+    .filter((result) => result.limit !== undefined)
+    .map(({ limit, remaining, reset, policy }) => {
+      const period = policy?.period
+      return {
+        name: period === undefined ? 'default' : policyName({ limit, period }),
+        limit,
+        remaining,
+        reset,
+        period: typeof period === 'number' ? period : undefined
+      }
+    })
+}
+
+/**
+ * Create the default success handler: sets the rate limit headers on the response.
+ *
+ * @param {string} headers - Header mode
+ * @param {string} quotaUnit - Unit of the draft-8 quota
+ * @returns {(ctx: HoaContext, limit: number, remaining: number, reset: number, info: RateLimitInfo) => void}
+ */
+export function createSuccessHandler (headers, quotaUnit) {
+  return function defaultSuccessHandler (ctx, limit, remaining, reset, info) {
+    const values = rateLimitHeaders(headers, limit, remaining, reset, info, quotaUnit)
+    if (Object.keys(values).length) ctx.res.set(values)
+  }
+}
+
+/**
+ * Create the default error handler: answers 429 with the rate limit headers and Retry-After.
+ *
+ * - text: throws the message, like any other Hoa error
+ * - json: RFC 9457 problem details with retryAfter (seconds) and the policy name
+ * - html: a short page with the message
+ * - auto: json, html or text, from the Accept header of the request
+ *
+ * @param {string} headers - Header mode
+ * @param {string} quotaUnit - Unit of the draft-8 quota
+ * @param {string} [responseFormat="text"] - One of responseFormats
+ * @param {string | ((ctx: HoaContext, info: RateLimitInfo) => string | Promise<string>)} [message="Too Many Requests"]
+ * @returns {(ctx: HoaContext, limit: number, remaining: number, reset: number, info: RateLimitInfo) => Promise<void>}
+ */
+export function createErrorHandler (headers, quotaUnit, responseFormat = 'text', message = 'Too Many Requests') {
+  return async function defaultErrorHandler (ctx, limit, remaining, reset, info) {
+    const values = rateLimitHeaders(headers, limit, remaining, reset, info, quotaUnit)
+    setHeader(values, 'Retry-After', reset)
+    const detail = typeof message === 'function' ? await message(ctx, info) : message
+    const format = responseFormat === 'auto' ? negotiateFormat(ctx.req.get('Accept')) : responseFormat
+
+    if (format === 'text') {
+      ctx.throw(429, detail, { headers: values })
+      return
+    }
+
+    ctx.res.status = 429
+    if (format === 'json') {
+      const period = info.policy?.period
+      ctx.res.body = JSON.stringify({
+        type: 'about:blank',
+        title: 'Too Many Requests',
+        status: 429,
+        detail,
+        retryAfter: reset,
+        policy: period === undefined || limit === undefined ? undefined : policyName({ limit, period })
+      })
+    } else {
+      ctx.res.body = '<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>429 Too Many Requests</title></head>' +
+        `<body><h1>Too Many Requests</h1><p>${escapeHtml(detail)}</p></body></html>\n`
+    }
+    // Set after the body, which may set a Content-Type of its own
+    ctx.res.set({ ...values, 'Content-Type': `${mediaTypes[format][0]}; charset=utf-8` })
+  }
+}
+
+function escapeHtml (value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+}
@@ -1,2 +1,13 @@
+export { algorithms } from './algorithms.js'
+export { analyticsEngine } from './analyticsEngine.js'
+export * from './stores/index.js'
+export * from './keyGenerators.js'
+export * from './ConcurrencyLimiter.js'
+export * from './DurableObjectRateLimiter.js'
 export * from './KVRateLimiter.js'
+export * from './Limiter.js'
 export * from './RateLimiter.js'
+export * from './RouteRateLimiter.js'
+export * from './StoreRateLimiter.js'
+export * from './UsageRoute.js'
+export { ConfigurationError } from './utils.js'
@@ -0,0 +1,155 @@
+/**
+ * @typedef {Object} ParsedIp
+ * @property {4 | 6} version
+ * @property {bigint} value - Address as an unsigned integer (32 or 128 bits)
+ */
+
+/**
+ * @typedef {Object} ParsedCidr
+ * @property {4 | 6} version
+ * @property {bigint} value - Network address
+ * @property {number} prefix - Prefix length in bits
+ */
+
+const IPV4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/
+
+/**
+ * Parse an IPv4 or IPv6 address. IPv4-mapped IPv6 addresses (::ffff:a.b.c.d)
+ * are returned as IPv4 and zone ids (%eth0) are ignored.
+ *
+ * @param {string} address
+ * @returns {ParsedIp | null} null when address is not an IP address
+ */
+export function parseIp (address) {
+  if (typeof address !== 'string') return null
+
+  const v4 = parseIpv4(address)
+  if (v4 !== null) return { version: 4, value: v4 }
+
+  const v6 = parseIpv6(address.replace(/%.*$/, ''))
+  if (v6 === null) return null
+  if (v6 >> 32n === 0xffffn) return { version: 4, value: v6 & 0xffffffffn }
+  return { version: 6, value: v6 }
+}
+
+/**
+ * Parse a CIDR range such as 10.0.0.0/8 or 2001:db8::/32. A plain address is
+ * a range of one address.
+ *
+ * @param {string} cidr
+ * @returns {ParsedCidr | null} null when cidr is not a CIDR range
+ */
+export function parseCidr (cidr) {
+  if (typeof cidr !== 'string') return null
+
+  const [address, prefix, ...rest] = cidr.split('/')
+  const ip = parseIp(address)
+  if (!ip || rest.length) return null
+
+  if (prefix !== undefined && !/^\d{1,3}$/.test(prefix)) return null
+  const bits = ip.version === 4 ? 32 : 128
+  const length = prefix === undefined ? bits : Number(prefix)
+  if (length > bits) return null
+
+  return { version: ip.version, value: maskIp(ip, length).value, prefix: length }
+}
+
+/**
+ * Format an address in its canonical form (RFC 5952 for IPv6).
+ *
+ * @param {ParsedIp} ip
+ * @returns {string}
+ */
+export function formatIp (ip) {
+  if (ip.version === 4) {
+    return [24n, 16n, 8n, 0n].map((shift) => String((ip.value >> shift) & 0xffn)).join('.')
+  }
+
+  const groups = [112n, 96n, 80n, 64n, 48n, 32n, 16n, 0n].map((shift) => ((ip.value >> shift) & 0xffffn).toString(16))
+
+  // Compress the longest run of at least two zero groups
+  let start = -1
+  let length = 0
+  for (let i = 0; i < 8; i++) {
+    let j = i
+    while (j < 8 && groups[j] === '0') j++
+    if (j - i > length && j - i > 1) {
+      start = i
+      length = j - i
+    }
+    i = j
+  }
+
+  if (start === -1) return groups.join(':')
+  return `${groups.slice(0, start).join(':')}::${groups.slice(start + length).join(':')}`
+}
+
+/**
+ * Client IP of a request: the CF-Connecting-IP header set by Cloudflare, or ctx.req.ip.
+ *
+ * @param {HoaContext} ctx
+ * @returns {string | undefined}
+ */
+export function clientIp (ctx) {
+  return ctx.req.get?.('cf-connecting-ip') || ctx.req.ip
+}
+
+/**
+ * Keep the first prefix bits of an address.
+ *
+ * @param {ParsedIp} ip
+ * @param {number} prefix
+ * @returns {ParsedIp}
+ */
+export function maskIp (ip, prefix) {
+  const bits = BigInt(ip.version === 4 ? 32 : 128)
+  const host = bits - BigInt(prefix)
+  return { version: ip.version, value: (ip.value >> host) << host }
+}
+
+/**
+ * Check whether an address belongs to a CIDR range.
+ *
+ * @param {ParsedCidr} cidr
+ * @param {ParsedIp} ip
+ * @returns {boolean}
+ */
+export function cidrContains (cidr, ip) {
+  return ip.version === cidr.version && maskIp(ip, cidr.prefix).value === cidr.value
+}
+
+function parseIpv4 (address) {
+  const match = IPV4.exec(address)
+  if (!match) return null
+
+  const octets = match.slice(1).map(Number)
+  if (octets.some((octet) => octet > 255)) return null
+  return octets.reduce((value, octet) => (value << 8n) | BigInt(octet), 0n)
+}
+
+function parseIpv6 (address) {
+  const halves = address.split('::')
+  if (halves.length > 2) return null
+
+  const parse = (part, last) => {
+    if (part === '') return []
+    const groups = part.split(':')
+    // Trailing embedded IPv4, e.g. ::ffff:192.0.2.1
+    if (last && groups[groups.length - 1].includes('.')) {
+      const v4 = parseIpv4(groups[groups.length - 1])
+      if (v4 === null) return null
+      groups.splice(-1, 1, (v4 >> 16n).toString(16), (v4 & 0xffffn).toString(16))
+    }
+    return groups.every((group) => /^[0-9a-f]{1,4}$/i.test(group)) ? groups : null
+  }
+
+  const head = parse(halves[0], halves.length === 1)
+  const tail = halves.length === 2 ? parse(halves[1], true) : []
+  if (!head || !tail) return null
+
+  const missing = 8 - head.length - tail.length
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null
+
+  return [...head, ...Array(missing).fill('0'), ...tail]
+    .reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n)
+}
@@ -0,0 +1,152 @@
+import { assert, sha256 } from './utils.js'
+import { clientIp, formatIp, maskIp, parseIp } from './ip.js'
+
+/**
+ * @typedef {string | null | undefined | false} RateLimitKey
+ */
+
+/**
+ * @typedef {Object} RateLimitKeyEntry
+ * @property {RateLimitKey} key
+ * @property {string | Object} [policy] - Tier name, or { limit, period } / { limits }, replacing the configured policies of the key
+ * @property {number} [cost] - Units consumed, replacing options.cost (single key only)
+ */
+
+/**
+ * @typedef {RateLimitKey | RateLimitKeyEntry | Array<RateLimitKey | RateLimitKeyEntry>} KeyGeneratorResult
+ * A key, a { key, policy, cost } object or an array of keys, each checked like a scope
+ */
+
+/**
+ * @typedef {(ctx: HoaContext) => (KeyGeneratorResult | Promise<KeyGeneratorResult>)} KeyGenerator
+ */
+
+/**
+ * Key by client IP (CF-Connecting-IP, then ctx.req.ip). IPv6 addresses are
+ * masked to their network, so a client cannot rotate through its /64.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.ipv6Prefix=64] - IPv6 prefix length kept in the key
+ * @param {number} [options.ipv4Prefix=32] - IPv4 prefix length kept in the key
+ * @returns {KeyGenerator} Returns undefined (no rate limiting) when the IP is unknown
+ */
+export function byIp (options = {}) {
+  const { ipv6Prefix = 64, ipv4Prefix = 32 } = options
+
+  assert(Number.isInteger(ipv6Prefix) && ipv6Prefix >= 0 && ipv6Prefix <= 128, 'options.ipv6Prefix must be an integer between 0 and 128')
+  assert(Number.isInteger(ipv4Prefix) && ipv4Prefix >= 0 && ipv4Prefix <= 32, 'options.ipv4Prefix must be an integer between 0 and 32')
+
+  return (ctx) => {
+    const address = clientIp(ctx)
+    const ip = parseIp(address)
+    if (!ip) return address ? `ip:${address}` : undefined
+
+    const prefix = ip.version === 4 ? ipv4Prefix : ipv6Prefix
+    const masked = formatIp(maskIp(ip, prefix))
+    return prefix === (ip.version === 4 ? 32 : 128) ? `ip:${masked}` : `ip:${masked}/${prefix}`
+  }
+}
+
+/**
+ * Key by request header, e.g. an API key.
+ *
+ * @param {string} name - Header name
+ * @param {Object} [options]
+ * @param {boolean} [options.hash=false] - Key by the SHA-256 of the value, keeping secrets out of storage
+ * @returns {KeyGenerator} Returns undefined (no rate limiting) when the header is missing
+ */
+export function byHeader (name, options = {}) {
+  const { hash = false } = options
+
+  assert(typeof name === 'string' && name.length > 0, 'name must be a non-empty string')
+  assert(typeof hash === 'boolean', 'options.hash must be a boolean')
+  const header = name.toLowerCase()
+
+  return async (ctx) => {
+    const value = ctx.req.get(header)
+    if (!value) return undefined
+    return `header:${header}:${hash ? await sha256(value) : value}`
+  }
+}
+
+/**
+ * Key by the bearer token of the Authorization header, hashed by default.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.hash=true] - Key by the SHA-256 of the token
+ * @returns {KeyGenerator} Returns undefined (no rate limiting) without a bearer token
+ */
+export function byBearerToken (options = {}) {
+  const { hash = true } = options
+
+  assert(typeof hash === 'boolean', 'options.hash must be a boolean')
+
+  return async (ctx) => {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(ctx.req.get('authorization') || '')
+    if (!match) return undefined
+    return `bearer:${hash ? await sha256(match[1]) : match[1]}`
+  }
+}
+
+/**
+ * Key by cookie, e.g. a session id.
+ *
+ * @param {string} name - Cookie name
+ * @param {Object} [options]
+ * @param {boolean} [options.hash=false] - Key by the SHA-256 of the value
+ * @returns {KeyGenerator} Returns undefined (no rate limiting) when the cookie is missing
+ */
+export function byCookie (name, options = {}) {
+  const { hash = false } = options
+
+  assert(typeof name === 'string' && name.length > 0, 'name must be a non-empty string')
+  assert(typeof hash === 'boolean', 'options.hash must be a boolean')
+
+  return async (ctx) => {
+    const cookie = (ctx.req.get('cookie') || '')
+      .split(';')
+      .map((pair) => pair.trim().split('='))
+      .find(([key]) => key === name)
+    if (!cookie || !cookie[1]) return undefined
+
+    const value = cookie.slice(1).join('=')
+    return `cookie:${name}:${hash ? await sha256(value) : value}`
+  }
+}
+
+/**
+ * Key by request method and path, e.g. to give each route its own counter.
+ *
+ * @returns {KeyGenerator}
+ */
+export function byRoute () {
+  return (ctx) => `route:${ctx.req.method} ${ctx.req.pathname}`
+}
+
+/**
+ * Combine key generators, e.g. combine(byIp(), byRoute()) for a counter per
+ * client and route. A part may be a { key, policy, cost } object: the keys are
+ * joined, and the policy and cost are kept, from one part at most each.
+ *
+ * @param {...KeyGenerator} generators
+ * @returns {KeyGenerator} Returns undefined (no rate limiting) when any key is falsy, a { key, policy, cost } object when a part returns a policy or a cost
+ */
+export function combine (...generators) {
+  assert(generators.length > 0 && generators.every((generator) => typeof generator === 'function'), 'combine() expects key generator functions')
+
+  return async (ctx) => {
+    const parts = await Promise.all(generators.map(async (generator) => {
+      const part = await generator(ctx)
+      assert(!Array.isArray(part), 'combine() expects key generators returning a single key, not an array')
+      return part && typeof part === 'object' ? part : { key: part }
+    }))
+    if (!parts.every((part) => part.key)) return undefined
+
+    const key = parts.map((part) => part.key).join('|')
+    const policies = parts.filter((part) => part.policy !== undefined)
+    const costs = parts.filter((part) => part.cost !== undefined)
+    assert(policies.length <= 1 && costs.length <= 1, 'combine() expects a policy and a cost from one key generator at most')
+    if (policies.length === 0 && costs.length === 0) return key
+    return { key, policy: policies[0]?.policy, cost: costs[0]?.cost }
+  }
+}
@@ -0,0 +1,121 @@
+import { assert } from './utils.js'
+
+/**
+ * @typedef {Object} LocalCacheOptions
+ * @property {number} [ttl=1] - Seconds counters are served from the isolate before KV is read again
+ * @property {number} [maxKeys=10000] - Keys kept per isolate, the least recently loaded are dropped first
+ */
+
+/**
+ * Create the in-isolate cache of the cache option. It lives as long as the
+ * isolate, so it is shared by the requests an isolate handles:
+ *
+ * - rejected keys are answered from the isolate until their reset
+ * - counters are read from KV once per ttl, increments in between are summed up
+ *   and written with the next read, set() writes through
+ *
+ * Other isolates do not see the increments an isolate has not written yet, and
+ * they are lost when the isolate is evicted, so the limit may be exceeded.
+ *
+ * @param {LocalCacheOptions | true} options
+ */
+export function createLocalCache (options) {
+  assert(options === true || (options && typeof options === 'object'), 'options.cache must be true or an object')
+
+  const { ttl = 1, maxKeys = 10000 } = options === true ? {} : options
+
+  assert(Number.isFinite(ttl) && ttl > 0, 'options.cache.ttl must be > 0 (seconds)')
+  assert(Number.isInteger(maxKeys) && maxKeys >= 1, 'options.cache.maxKeys must be an integer >= 1')
+
+  /** @type {Map<string, { until: number, result: Object }>} */
+  const blocked = new Map()
+  /** @type {Map<string, { value: any, loadedAt: number, pending: number, expiry?: number }>} */
+  const entries = new Map()
+
+  const remember = (map, key, value) => {
+    map.delete(key)
+    map.set(key, value)
+    if (map.size > maxKeys) map.delete(map.keys().next().value)
+  }
+
+  const fresh = (key) => {
+    const entry = entries.get(key)
+    return entry && Date.now() - entry.loadedAt < ttl * 1000 ? entry : null
+  }
+
+  return {
+    /**
+     * Rejected result of a key still blocked, with reset counted down.
+     *
+     * @param {string} key
+     * @returns {Object | null}
+     */
+    blocked (key) {
+      const entry = blocked.get(key)
+      if (!entry) return null
+
+      const left = entry.until - Date.now()
+      if (left <= 0) {
+        blocked.delete(key)
+        return null
+      }
+      return { ...entry.result, reset: Math.ceil(left / 1000) }
+    },
+
+    /**
+     * Remember a rejected result until its reset.
+     *
+     * @param {string} key
+     * @param {Object} result
+     */
+    block (key, result) {
+      if (result.reset > 0) remember(blocked, key, { until: Date.now() + result.reset * 1000, result })
+    },
+
+    /**
+     * Wrap the KV store of a request with the cache.
+     *
+     * @param {RateLimitStore} store
+     * @returns {RateLimitStore}
+     */
+    wrap (store) {
+      return {
+        async get (key) {
+          const entry = fresh(key)
+          if (entry) return structuredClone(entry.value)
+
+          // Write the increments of the stale entry before reading again
+          const stale = entries.get(key)
+          const value = stale?.pending ? await store.increment(key, stale.pending, stale.expiry) : await store.get(key)
+          remember(entries, key, { value, loadedAt: Date.now(), pending: 0 })
+          return structuredClone(value)
+        },
+
+        async set (key, value, expiry) {
+          await store.set(key, value, expiry)
+          remember(entries, key, { value: structuredClone(value), loadedAt: Date.now(), pending: 0 })
+        },
+
+        async increment (key, amount, expiry) {
+          const entry = fresh(key)
+          if (entry) {
+            entry.value = (entry.value || 0) + amount
+            entry.pending += amount
+            entry.expiry = expiry
+            return entry.value
+          }
+
+          const pending = entries.get(key)?.pending || 0
+          const value = await store.increment(key, pending + amount, expiry)
+          remember(entries, key, { value, loadedAt: Date.now(), pending: 0 })
+          return value
+        },
+
+        async reset (key) {
+          entries.delete(key)
+          await store.reset(key)
+        }
+      }
+    }
+  }
+}
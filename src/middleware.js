@@ -0,0 +1,432 @@
+import { assert, ConfigurationError, sha256, withTimeout } from './utils.js'
+import { assertHeaderOptions, assertResponseOptions, createErrorHandler, createSuccessHandler } from './handlers.js'
+import { mostRestrictive, summarize } from './policies.js'
+import { createRuleMatcher } from './rules.js'
+
+/**
+ * @typedef {Object} ConsumeOptions
+ * @property {number} cost - Units to consume
+ * @property {boolean} [force] - Consume even when cost exceeds what is left (deferred cost)
+ * @property {number} [now] - Time of the consumption in milliseconds, a refund passes the one of the units it gives back
+ */
+
+/**
+ * @typedef {Object} Backend
+ * How a rate limiter counts: the middleware resolves keys, policies and cost and
+ * hands them to the backend.
+ * @property {(ctx: HoaContext, key: string, options: ConsumeOptions, policies?: RateLimitPolicy[]) => Promise<RateLimitResult | PoliciesResult>} consume - Consume units for a key
+ * @property {(ctx: HoaContext, key: string, options: ConsumeOptions, policies?: RateLimitPolicy[]) => Promise<void>} [refund] - Give units back, when the backend supports it
+ * @property {(options: Object, path: string) => ((ctx: HoaContext) => Promise<RateLimitPolicy[]>)} [policies] - Create the policy resolver of options (or of a scope)
+ * @property {ReturnType<typeof import('./bans.js').createBans>} [bans] - Penalty box of the ban option
+ * @property {(ctx: HoaContext, key: string, result: RateLimitResult) => Promise<void>} [release] - Called with the consume result once the request is done, e.g. to free a concurrency slot
+ * @property {(ctx: HoaContext, key: string, policies?: RateLimitPolicy[]) => Promise<RateLimitResult | PoliciesResult>} [peek] - What is left for a key without consuming, enables usage()
+ */
+
+/**
+ * @typedef {Object} RateLimitMiddlewareOptions
+ * Options shared by every rate limiter, handled by the middleware.
+ * @property {'enforce' | 'dryRun' | 'delay'} [mode="enforce"] - dryRun checks and sets headers but lets rejected requests through, delay waits for the reset up to maxWait before rejecting
+ * @property {number} [maxWait] - Milliseconds a request may wait in delay mode, required by it
+ * @property {(ctx: HoaContext, info: RateLimitInfo) => void | Promise<void>} [onLimitReached] - Called for every rejected request, in every mode
+ * @property {(event: RateLimitEvent, ctx: HoaContext) => void | Promise<void>} [onEvent] - Called with every decision (allowed, limited, skipped, storeError), see analyticsEngine(). An error it throws fails the request
+ * @property {boolean} [hashEventKeys=false] - Report SHA-256 hashed keys to onEvent
+ * @property {Rule | Rule[]} [allow] - IPs, CIDR ranges, { asn }, { country } or predicates skipping rate limiting
+ * @property {Rule | Rule[]} [deny] - IPs, CIDR ranges, { asn }, { country } or predicates rejected with 403, checked before allow
+ * @property {'open' | 'closed' | ((ctx: HoaContext, error: Error) => boolean | Promise<boolean>)} [onStoreError] - Let the request through, reject it with 503, or decide (true lets it through) when the backend fails, rethrows by default
+ * @property {number} [timeout] - Milliseconds after which a backend call is treated as failed
+ * @property {'legacy' | 'draft-6' | 'draft-8' | 'none'} [headers="legacy"] - Headers set by the default handlers
+ * @property {string} [quotaUnit="requests"] - Quota unit of the draft-8 headers
+ * @property {'text' | 'json' | 'html' | 'auto'} [responseFormat="text"] - Body of the default 429 response: text, RFC 9457 problem details, an HTML page, or picked from the Accept header
+ * @property {string | ((ctx: HoaContext, info: RateLimitInfo) => string | Promise<string>)} [message="Too Many Requests"] - Message of the default 429 response
+ * @property {(ctx: HoaContext, limit: number, remaining: number, reset: number, info: RateLimitInfo) => void} [successHandler]
+ * @property {(ctx: HoaContext, limit: number, remaining: number, reset: number, info: RateLimitInfo) => void} [errorHandler]
+ */
+
+/**
+ * @typedef {Object} RateLimitInfo
+ * Passed to the handlers after limit, remaining and reset.
+ * @property {string} key - Rate limit key
+ * @property {boolean} success
+ * @property {number} limit
+ * @property {number} remaining
+ * @property {number} reset
+ * @property {RateLimitPolicy} [policy] - Reported policy, the most restrictive one
+ * @property {Array<RateLimitResult & { policy: RateLimitPolicy }>} [results] - Result of every checked policy
+ * @property {string} [scope] - Reported scope, the one that tripped when rejected
+ * @property {Array<RateLimitResult & { scope: string, key: string }>} [scopes] - Result of every checked scope
+ * @property {Ban} [ban] - Ban of the key, when banned
+ * @property {number} [delay] - Milliseconds the request waited in delay mode
+ */
+
+/**
+ * @typedef {Object} RateLimitEvent
+ * Decision reported to onEvent.
+ * @property {'allowed' | 'limited' | 'skipped' | 'storeError'} type
+ * @property {string} route - Request method and path
+ * @property {'allow' | 'deny' | 'key' | 'limit' | 'ban'} [reason] - Why a request was skipped or limited
+ * @property {string} [key] - Rate limit key, SHA-256 hashed with hashEventKeys
+ * @property {string} [scope] - Reported scope
+ * @property {RateLimitPolicy} [policy] - Reported policy
+ * @property {number} [limit]
+ * @property {number} [remaining]
+ * @property {number} [reset]
+ * @property {number} [latency] - Milliseconds spent in the store
+ * @property {number} [delay] - Milliseconds the request waited in delay mode
+ * @property {boolean} [dryRun] - Limited request let through by dryRun
+ * @property {unknown} [error] - Store error
+ * @property {boolean} [open] - Whether the request went through despite the store error
+ */
+
+/**
+ * Request flow shared by the rate limiter middlewares: resolves the keys and cost,
+ * consumes them through the backend and calls the handlers.
+ *
+ * @param {RateLimitMiddlewareOptions & Object} options - Middleware options (already validated backend options included)
+ * @param {KeyGenerator} [options.keyGenerator] - Required without scopes, returns a key, a { key, policy, cost } object or an array of keys
+ * @param {Object<string, Object>} [options.scopes] - Named scopes, each with its own keyGenerator and policies, checked together
+ * @param {number | ((ctx: HoaContext) => number | Promise<number>)} [options.cost=1]
+ * @param {boolean} [options.deferCost=false]
+ * @param {boolean} [options.skipSuccessfulRequests=false] - Give back the units of responses with status < 400
+ * @param {boolean} [options.skipFailedRequests=false] - Give back the units of responses with status >= 400, or when next() throws
+ * @param {(ctx: HoaContext, error?: unknown) => boolean | Promise<boolean>} [options.shouldCount] - Called after next(), return false to give back the units
+ * @param {BanOptions} [options.ban] - Ban keys rejected too often, requires backend.bans
+ * @param {Backend} backend
+ * @returns {HoaMiddleware & { bans?: { get: Function, lift: Function }, usage?: Function }} Hoa middleware, with the bans API when banning and usage(ctx) when the backend can peek
+ */
+export function rateLimitMiddleware (options, backend) {
+  const {
+    scopes,
+    cost = 1,
+    deferCost = false,
+    skipSuccessfulRequests = false,
+    skipFailedRequests = false,
+    shouldCount,
+    mode = 'enforce',
+    maxWait,
+    onLimitReached,
+    onEvent,
+    hashEventKeys = false,
+    ban,
+    allow,
+    deny,
+    onStoreError,
+    timeout,
+    headers = 'legacy',
+    quotaUnit = 'requests',
+    responseFormat = 'text',
+    message = 'Too Many Requests',
+    successHandler = createSuccessHandler(headers, quotaUnit),
+    errorHandler = createErrorHandler(headers, quotaUnit, responseFormat, message)
+  } = options
+
+  const checks = scopes === undefined ? [parseCheck(options, backend, 'options')] : parseScopes(scopes, backend)
+  assert(typeof cost === 'function' || (Number.isFinite(cost) && cost >= 0), 'options.cost must be a number >= 0 or a function')
+  assert(typeof deferCost === 'boolean', 'options.deferCost must be a boolean')
+  assert(typeof skipSuccessfulRequests === 'boolean', 'options.skipSuccessfulRequests must be a boolean')
+  assert(typeof skipFailedRequests === 'boolean', 'options.skipFailedRequests must be a boolean')
+  assert(shouldCount === undefined || typeof shouldCount === 'function', 'options.shouldCount must be a function')
+  assert(shouldCount === undefined || (!skipSuccessfulRequests && !skipFailedRequests), 'options.shouldCount cannot be combined with options.skipSuccessfulRequests or options.skipFailedRequests')
+  const countsOutcome = shouldCount || (skipSuccessfulRequests || skipFailedRequests
+    ? (ctx, error) => isFailed(ctx, error) ? !skipFailedRequests : !skipSuccessfulRequests
+    : undefined)
+  assert(!countsOutcome || backend.refund, 'options.shouldCount, options.skipSuccessfulRequests and options.skipFailedRequests require a rate limiter that can give units back')
+  assert(mode === 'enforce' || mode === 'dryRun' || mode === 'delay', "options.mode must be 'enforce', 'dryRun' or 'delay'")
+  assert(mode !== 'delay' || (Number.isFinite(maxWait) && maxWait > 0), 'options.maxWait must be > 0 (milliseconds) in delay mode')
+  assert(maxWait === undefined || mode === 'delay', "options.maxWait requires options.mode 'delay'")
+  assert(onLimitReached === undefined || typeof onLimitReached === 'function', 'options.onLimitReached must be a function')
+  assert(onEvent === undefined || typeof onEvent === 'function', 'options.onEvent must be a function')
+  assert(typeof hashEventKeys === 'boolean', 'options.hashEventKeys must be a boolean')
+  assert(ban === undefined || backend.bans, 'options.ban is not supported by this rate limiter')
+  const { bans } = backend
+  assert(onStoreError === undefined || onStoreError === 'open' || onStoreError === 'closed' || typeof onStoreError === 'function', "options.onStoreError must be 'open', 'closed' or a function")
+  assert(timeout === undefined || (Number.isFinite(timeout) && timeout > 0), 'options.timeout must be > 0 (milliseconds)')
+  assertHeaderOptions(headers, quotaUnit)
+  assertResponseOptions(responseFormat, message)
+  assert(typeof successHandler === 'function', 'options.successHandler must be a function')
+  assert(typeof errorHandler === 'function', 'options.errorHandler must be a function')
+  const isDenied = createRuleMatcher(deny, 'deny')
+  const isAllowed = createRuleMatcher(allow, 'allow')
+
+  const call = (promise) => timeout ? withTimeout(promise, timeout, `Rate limit store did not respond within ${timeout}ms`) : promise
+
+  const refund = (ctx, targets, units) => call(Promise.all(targets.map((target) => backend.refund(ctx, target.key, units, target.policies))))
+
+  // Each target is released with its own result, e.g. the lease of its slot
+  const release = (ctx, targets, results) => call(Promise.all(targets.map((target, i) => backend.release(ctx, target.key, results[i]))))
+
+  // Scopes are consumed together and given back when one of them rejects the
+  // request, or one by one until the first rejection when the backend cannot refund
+  const charge = async (ctx, targets, units) => {
+    if (targets.length === 1 && targets[0].scope === undefined) {
+      const [{ key, policies }] = targets
+      return call(backend.consume(ctx, key, units, policies))
+    }
+
+    const consume = async (target) => ({ ...await backend.consume(ctx, target.key, units, target.policies), scope: target.scope, key: target.key })
+
+    let results
+    if (backend.refund) {
+      results = await call(Promise.all(targets.map(consume)))
+      if (!units.force && results.some((result) => !result.success)) {
+        await refund(ctx, targets.filter((target, i) => results[i].success), units)
+      }
+    } else {
+      results = []
+      for (const target of targets) {
+        const result = await call(consume(target))
+        results.push(result)
+        if (!result.success && !units.force) {
+          // Nothing to give back, but the slots taken for the previous targets are freed
+          if (backend.release) await release(ctx, targets.slice(0, results.length - 1), results)
+          break
+        }
+      }
+    }
+
+    return { ...mostRestrictive(results), scopes: results }
+  }
+
+  const emit = async (ctx, type, fields) => {
+    if (!onEvent) return
+    const key = fields.key !== undefined && hashEventKeys ? await sha256(fields.key) : fields.key
+    await onEvent({ type, route: `${ctx.req.method} ${ctx.req.pathname}`, ...fields, key }, ctx)
+  }
+
+  // Whether the request goes through when the store fails. A configuration error, e.g.
+  // a binding that does not resolve, is thrown even when failing open: it would turn
+  // rate limiting off. Anything else the backend throws is a store error
+  const failOpen = async (ctx, error, fields) => {
+    if (error instanceof ConfigurationError) throw error
+    const open = typeof onStoreError === 'function' ? Boolean(await onStoreError(ctx, error)) : onStoreError === 'open'
+    await emit(ctx, 'storeError', { ...fields, error, open })
+    if (onStoreError === undefined) throw error
+    return open
+  }
+
+  // The first active ban of the keys, as a rejected result: every policy of the key
+  // is reported exhausted until the ban ends
+  const banned = async (ctx, targets) => {
+    for (const { key, scope, policies = [] } of targets) {
+      const ban = await call(bans.get(ctx, key))
+      if (!ban) continue
+      const results = policies.map((policy) => ({ success: false, limit: policy.limit, remaining: 0, reset: ban.reset, policy }))
+      return { success: false, remaining: 0, reset: ban.reset, ...(results.length > 0 && summarize(results)), scope, key, ban }
+    }
+    return null
+  }
+
+  async function rateLimiter (ctx, next) {
+    if (isDenied && await isDenied(ctx)) {
+      await emit(ctx, 'limited', { reason: 'deny' })
+      ctx.throw(403, 'Forbidden')
+      return
+    }
+
+    if (isAllowed && await isAllowed(ctx)) {
+      await emit(ctx, 'skipped', { reason: 'allow' })
+      await next()
+      return
+    }
+
+    const resolved = await Promise.all(checks.map((check) => resolveTargets(ctx, check)))
+    const targets = resolved.flatMap((entry) => entry.targets)
+
+    // Skip rate limit when every key is falsy
+    if (targets.length === 0) {
+      await emit(ctx, 'skipped', { reason: 'key' })
+      await next()
+      return
+    }
+
+    // A cost returned by keyGenerator replaces options.cost, the highest one across scopes
+    const costs = resolved.map((entry) => entry.cost).filter((value) => value !== undefined)
+    const requestCost = costs.length > 0 ? Math.max(...costs) : cost
+
+    // A deferred cost is only known after next(), reserve one unit meanwhile
+    const reserved = deferCost ? 1 : await resolveCost(ctx, requestCost)
+    const { key } = targets[0]
+    const started = Date.now()
+    let result
+    let delay = 0
+    // Time of the consumption, a refund goes back to the same windows
+    let consumedAt = Date.now()
+    try {
+      result = (bans && await banned(ctx, targets)) || await charge(ctx, targets, { cost: reserved, now: consumedAt })
+      // Wait for the reset and try again, as long as the total wait fits in maxWait. A ban is not waited out
+      if (mode === 'delay') {
+        while (!result.success && !result.ban && delay + retryAfter(result) <= maxWait) {
+          const wait = retryAfter(result)
+          await sleep(wait)
+          delay += wait
+          consumedAt = Date.now()
+          result = await charge(ctx, targets, { cost: reserved, now: consumedAt })
+        }
+      }
+      // A dry run changes nothing stored, it would start bans enforced once it ends
+      if (bans && mode !== 'dryRun' && !result.success && !result.ban) {
+        const ban = await call(bans.strike(ctx, result.key ?? targets[0].key))
+        if (ban) result = { ...result, reset: ban.reset, ban }
+      }
+    } catch (error) {
+      if (await failOpen(ctx, error, { key, latency: Date.now() - started - delay })) {
+        await next()
+      } else {
+        ctx.throw(503, 'Service Unavailable')
+      }
+      return
+    }
+
+    if (delay > 0) result = { ...result, delay }
+
+    const info = { key, ...result }
+    await emit(ctx, result.success ? 'allowed' : 'limited', {
+      reason: result.success ? undefined : result.ban ? 'ban' : 'limit',
+      key: info.key,
+      scope: result.scope,
+      policy: result.policy,
+      limit: result.limit,
+      remaining: result.remaining,
+      reset: result.reset,
+      latency: Date.now() - started - delay,
+      delay: result.delay,
+      dryRun: result.success ? undefined : mode === 'dryRun'
+    })
+
+    if (!result.success) {
+      if (onLimitReached) await onLimitReached(ctx, { key, ...result })
+      if (mode !== 'dryRun') {
+        await errorHandler(ctx, result.limit, result.remaining, result.reset, { key, ...result })
+        return
+      }
+    }
+
+    // A request let through by dryRun consumed nothing, there is nothing to give back, charge or release
+    const consumed = result.success
+    const acquired = result
+
+    let failure
+    try {
+      await next()
+    } catch (error) {
+      failure = error
+      throw error
+    } finally {
+      if (consumed && countsOutcome && !await countsOutcome(ctx, failure)) {
+        // The request does not count, give its units back
+        try {
+          await refund(ctx, targets, { cost: reserved, now: consumedAt })
+          result = { ...result, remaining: Math.min(result.limit, result.remaining + reserved) }
+        } catch (error) {
+          await failOpen(ctx, error, { key })
+        }
+      } else if (consumed && deferCost) {
+        const extra = (await resolveCost(ctx, requestCost)) - reserved
+        if (extra > 0) {
+          // The response is already produced, so charge the rest even past the limit
+          try {
+            result = { ...await charge(ctx, targets, { cost: extra, force: true }), success: true }
+          } catch (error) {
+            // Too late to reject, keep the reserved result
+            await failOpen(ctx, error, { key })
+          }
+        }
+      }
+      if (consumed && backend.release) {
+        try {
+          await release(ctx, targets, acquired.scopes || [acquired])
+        } catch (error) {
+          await failOpen(ctx, error, { key })
+        }
+      }
+      await successHandler(ctx, result.limit, result.remaining, result.reset, { key, ...result })
+    }
+  }
+
+  if (bans) rateLimiter.bans = { get: bans.get, lift: bans.lift }
+
+  if (backend.peek) {
+    /**
+     * What is left for the keys of a request, without consuming.
+     *
+     * @param {HoaContext} ctx
+     * @returns {Promise<RateLimitInfo | null>} null when no key applies to the request
+     */
+    rateLimiter.usage = async (ctx) => {
+      const resolved = await Promise.all(checks.map((check) => resolveTargets(ctx, check)))
+      const targets = resolved.flatMap((entry) => entry.targets)
+      if (targets.length === 0) return null
+
+      const results = await call(Promise.all(targets.map(async (target) => ({
+        ...await backend.peek(ctx, target.key, target.policies),
+        scope: target.scope,
+        key: target.key
+      }))))
+      return results.length === 1 ? results[0] : { ...mostRestrictive(results), scopes: results }
+    }
+  }
+
+  return rateLimiter
+}
+
+function parseCheck (options, backend, path) {
+  const { keyGenerator } = options
+  assert(typeof keyGenerator === 'function', `${path}.keyGenerator must be a function`)
+  return { path, keyGenerator, resolvePolicies: backend.policies && backend.policies(options, path) }
+}
+
+function parseScopes (scopes, backend) {
+  assert(scopes && typeof scopes === 'object' && Object.keys(scopes).length > 0, 'options.scopes must be a non-empty object')
+  assert(backend.policies, 'options.scopes is not supported by this rate limiter')
+
+  return Object.entries(scopes).map(([scope, entry]) => {
+    assert(entry && typeof entry === 'object', `options.scopes.${scope} must be an object`)
+    return { scope, ...parseCheck(entry, backend, `options.scopes.${scope}`) }
+  })
+}
+
+// keyGenerator returns a key, a { key, policy, cost } object or an array of keys
+// (strings or { key, policy } objects), each checked like a scope. Falsy keys are skipped
+async function resolveTargets (ctx, { path, scope, keyGenerator, resolvePolicies }) {
+  const generated = await keyGenerator(ctx)
+  const entries = Array.isArray(generated) ? generated : [generated]
+  const message = `${path}.keyGenerator must return a string, a { key, policy, cost } object or an array of keys`
+
+  const targets = await Promise.all(entries.map(async (entry) => {
+    if (!entry) return null
+    if (typeof entry === 'string') entry = { key: entry }
+    assert(typeof entry === 'object' && (!entry.key || typeof entry.key === 'string'), message)
+    assert(!Array.isArray(generated) || entry.cost === undefined, `${path}.keyGenerator can only return a cost along with a single key`)
+    if (!entry.key) return null
+
+    assert(entry.policy === undefined || resolvePolicies, `${path}.keyGenerator cannot return a policy with this rate limiter`)
+    return {
+      scope,
+      // The scope name keeps the counters of scopes with equal keys apart
+      key: scope === undefined ? entry.key : `${scope}:${entry.key}`,
+      policies: resolvePolicies && await resolvePolicies(ctx, entry.policy)
+    }
+  }))
+
+  const { cost } = Array.isArray(generated) || !generated || typeof generated !== 'object' ? {} : generated
+  assert(cost === undefined || (Number.isFinite(cost) && cost >= 0), `the cost returned by ${path}.keyGenerator must be a number >= 0`)
+  return targets.some(Boolean) ? { targets: targets.filter(Boolean), cost } : { targets: [] }
+}
+
+function isFailed (ctx, error) {
+  return error !== undefined || ctx.res.status >= 400
+}
+
+async function resolveCost (ctx, cost) {
+  const value = typeof cost === 'function' ? await cost(ctx) : cost
+  assert(Number.isFinite(value) && value >= 0, 'options.cost must resolve to a number >= 0')
+  return value
+}
+
+// Milliseconds until a rejected request may succeed, at least a second
+function retryAfter (result) {
+  return Math.max(1, result.reset) * 1000
+}
+
+function sleep (ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
@@ -0,0 +1,282 @@
+import { assert, ConfigurationError } from './utils.js'
+import { assertTimeZone, calendarPeriods, isCalendarPeriod } from './calendar.js'
+import { createPolicyConfig } from './policyConfig.js'
+
+/**
+ * @typedef {Object} RateLimitPolicy
+ * @property {number} limit - Max units per period
+ * @property {number | 'day' | 'week' | 'month'} period - Period length in seconds, or a calendar period (fixed-window only)
+ * @property {string} [timeZone] - Time zone of calendar periods, UTC by default
+ * @property {number} [burst] - Bucket capacity for token-bucket and gcra
+ * @property {number} [refillRate] - Tokens added per second for token-bucket
+ * @property {string} [id] - Suffix keeping the counters of stacked policies apart
+ * @property {string} [tier] - Tier the policy was resolved from
+ */
+
+/**
+ * @typedef {RateLimitResult & { policy: RateLimitPolicy, results: Array<RateLimitResult & { policy: RateLimitPolicy }> }} PoliciesResult
+ * The reported (most restrictive) result, with the result of every checked policy.
+ */
+
+/**
+ * Parse limit/period (single policy) or limits (stacked policies) options.
+ *
+ * @param {Object} options
+ * @param {number} minPeriod - Smallest period allowed by the backend, in seconds
+ * @param {string} periodRule - Message describing minPeriod
+ * @param {string} [path="options"] - Name of options in error messages
+ * @returns {RateLimitPolicy[]}
+ */
+export function parsePolicies (options, minPeriod, periodRule, path = 'options') {
+  const { limits, burst, refillRate, timeZone } = options
+
+  if (limits === undefined) {
+    return [parsePolicy(options, path, minPeriod, periodRule)]
+  }
+
+  assert(Array.isArray(limits) && limits.length > 0, `${path}.limits must be a non-empty array`)
+
+  const policies = limits.map((policy, i) => {
+    assert(policy && typeof policy === 'object', `${path}.limits[${i}] must be an object`)
+    return {
+      ...parsePolicy({ burst, refillRate, timeZone, ...policy }, `${path}.limits[${i}]`, minPeriod, periodRule),
+      id: isCalendarPeriod(policy.period) ? policy.period : String(parseInt(policy.period))
+    }
+  })
+  assert(new Set(policies.map((policy) => policy.id)).size === policies.length, `${path}.limits must have distinct periods`)
+
+  return policies
+}
+
+/**
+ * Create the function resolving the policies of a request. limit, period and limits
+ * may be (async) functions of the context, or tier(ctx) may pick an entry of tiers.
+ * The policy document of config, loaded at runtime, replaces them while it is set,
+ * and the policy returned by keyGenerator, a tier name or { limit, period } /
+ * { limits }, replaces both. Static policies are parsed once, here.
+ *
+ * @param {Object} options
+ * @param {number} minPeriod - Smallest period allowed by the backend, in seconds
+ * @param {string} periodRule - Message describing minPeriod
+ * @param {(policies: RateLimitPolicy[]) => void} [validate] - Backend specific checks
+ * @param {string} [path="options"] - Name of options in error messages
+ * @returns {(ctx: HoaContext, policy?: string | Object) => Promise<RateLimitPolicy[]>}
+ */
+export function createPolicyResolver (options, minPeriod, periodRule, validate = () => {}, path = 'options') {
+  const { tier, tiers, limit, period, limits, burst, refillRate, timeZone, config, timeout } = options
+
+  const parse = (source, path) => {
+    const policies = parsePolicies(source, minPeriod, periodRule, path)
+    validate(policies)
+    return policies
+  }
+
+  let table = null
+  if (tiers !== undefined) {
+    assert(tiers && typeof tiers === 'object' && Object.keys(tiers).length > 0, `${path}.tiers must be a non-empty object`)
+    table = new Map(Object.entries(tiers).map(([name, entry]) => {
+      assert(entry && typeof entry === 'object', `${path}.tiers.${name} must be an object`)
+      return [name, parse({ burst, refillRate, timeZone, ...entry }, `${path}.tiers.${name}`).map((policy) => ({ ...policy, tier: name }))]
+    }))
+  }
+
+  const fromTier = (name, source) => {
+    assert(table.has(name), `${source} must resolve to one of ${[...table.keys()].join(', ')}`)
+    return table.get(name)
+  }
+
+  const resolveDefault = createDefaultResolver()
+  let resolveConfig = null
+  if (config !== undefined) {
+    assert(tier === undefined, `${path}.config cannot be combined with ${path}.tier`)
+    resolveConfig = createPolicyConfig(config, (document, source) => parse({ burst, refillRate, timeZone, ...document }, source), `${path}.config`, timeout)
+  }
+
+  return async (ctx, policy) => {
+    if (policy === undefined) return (resolveConfig && await resolveConfig(ctx)) || resolveDefault(ctx)
+    if (typeof policy === 'string') {
+      assert(table, `the policy returned by ${path}.keyGenerator is a tier name, which requires ${path}.tiers`)
+      return fromTier(policy, `the policy returned by ${path}.keyGenerator`)
+    }
+
+    assert(policy && typeof policy === 'object', `the policy returned by ${path}.keyGenerator must be a tier name or an object`)
+    return parse({ burst, refillRate, timeZone, ...policy }, `the policy returned by ${path}.keyGenerator`)
+  }
+
+  function createDefaultResolver () {
+    if (tier !== undefined) {
+      assert(typeof tier === 'function', `${path}.tier must be a function`)
+      assert(limit === undefined && period === undefined && limits === undefined, `${path}.tier cannot be combined with ${path}.limit, ${path}.period or ${path}.limits`)
+      assert(table, `${path}.tiers must be a non-empty object`)
+      return async (ctx) => fromTier(await tier(ctx), `${path}.tier`)
+    }
+
+    // Tiers without tier are picked by keyGenerator
+    if (table && limit === undefined && period === undefined && limits === undefined) {
+      return async () => {
+        throw new ConfigurationError(`${path}.keyGenerator must return a policy when ${path}.tiers is set without ${path}.tier`)
+      }
+    }
+
+    if ([limit, period, limits].some((value) => typeof value === 'function')) {
+      return async (ctx) => {
+        const [resolvedLimit, resolvedPeriod, resolvedLimits] = await Promise.all([limit, period, limits]
+          .map((value) => typeof value === 'function' ? value(ctx) : value))
+        return parse({ ...options, limit: resolvedLimit, period: resolvedPeriod, limits: resolvedLimits }, path)
+      }
+    }
+
+    const policies = parse(options, path)
+    return async () => policies
+  }
+}
+
+function parsePolicy (source, path, minPeriod, periodRule) {
+  const calendar = isCalendarPeriod(source.period)
+  const limit = parseInt(source.limit)
+  const period = calendar ? source.period : parseInt(source.period)
+  const burst = source.burst === undefined ? undefined : parseInt(source.burst)
+  const refillRate = source.refillRate === undefined ? undefined : Number(source.refillRate)
+
+  assert(Number.isFinite(limit) && limit >= 1, `${path}.limit must be >= 1`)
+  assert(calendar || (Number.isFinite(period) && period >= minPeriod), `${path}.period must be ${periodRule}, or one of ${calendarPeriods.join(', ')}`)
+  if (calendar && source.timeZone !== undefined) assertTimeZone(source.timeZone, `${path}.timeZone`)
+  assert(burst === undefined || (Number.isFinite(burst) && burst >= 1), `${path}.burst must be >= 1`)
+  assert(refillRate === undefined || (Number.isFinite(refillRate) && refillRate > 0), `${path}.refillRate must be > 0`)
+
+  return calendar ? { limit, period, timeZone: source.timeZone ?? 'UTC', burst, refillRate } : { limit, period, burst, refillRate }
+}
+
+/**
+ * Check that the algorithm counts the calendar periods of policies, only fixed-window does.
+ *
+ * @param {RateLimitPolicy[]} policies
+ * @param {boolean} fixedWindow - Whether the algorithm is fixed-window
+ */
+export function assertCalendarPolicies (policies, fixedWindow) {
+  assert(fixedWindow || !policies.some((policy) => isCalendarPeriod(policy.period)), `calendar periods (${calendarPeriods.join(', ')}) require the fixed-window algorithm`)
+}
+
+/**
+ * Name of a policy in headers and events, e.g. 100-in-60s or 50000-per-month.
+ *
+ * @param {{ limit: number, period: RateLimitPolicy['period'] }} policy
+ * @returns {string}
+ */
+export function policyName ({ limit, period }) {
+  return isCalendarPeriod(period) ? `${limit}-per-${period}` : `${limit}-in-${period}s`
+}
+
+/**
+ * Store key of a policy.
+ *
+ * @param {string} key
+ * @param {RateLimitPolicy} policy
+ * @returns {string}
+ */
+export function policyKey (key, policy) {
+  return policy.id ? `${key}:${policy.id}` : key
+}
+
+/**
+ * Consume cost from every policy at once. When one of them rejects the request,
+ * the units taken from the others are refunded (if the algorithm supports it).
+ *
+ * @param {RateLimitAlgorithm} algorithm
+ * @param {RateLimitStore} store
+ * @param {string} key
+ * @param {RateLimitPolicy[]} policies
+ * @param {{ cost: number, force?: boolean, now?: number }} charge - now defaults to Date.now()
+ * @returns {Promise<PoliciesResult>}
+ */
+export async function consumePolicies (algorithm, store, key, policies, charge) {
+  const { now = Date.now() } = charge
+
+  const results = await Promise.all(policies.map(async (policy) => ({
+    ...await algorithm.consume(store, policyKey(key, policy), { ...policy, ...charge, now }),
+    policy
+  })))
+
+  if (!charge.force && results.some((result) => !result.success)) {
+    await refundPolicies(algorithm, store, key, results.filter((result) => result.success).map((result) => result.policy), charge, now)
+  }
+
+  return summarize(results)
+}
+
+/**
+ * Give back cost to every policy (if the algorithm supports it).
+ *
+ * @param {RateLimitAlgorithm} algorithm
+ * @param {RateLimitStore} store
+ * @param {string} key
+ * @param {RateLimitPolicy[]} policies
+ * @param {{ cost: number, now?: number }} charge
+ * @param {number} [now] - Time of the consumption, so windows match, charge.now or Date.now() by default
+ * @returns {Promise<void>}
+ */
+export async function refundPolicies (algorithm, store, key, policies, charge, now = charge.now ?? Date.now()) {
+  if (!algorithm.refund) return
+
+  await Promise.all(policies.map((policy) => algorithm.refund(store, policyKey(key, policy), { ...policy, ...charge, now })))
+}
+
+/**
+ * Report what is left for every policy without consuming: the algorithm runs with
+ * a cost of 0 against a store that drops writes.
+ *
+ * @param {RateLimitAlgorithm} algorithm
+ * @param {RateLimitStore} store
+ * @param {string} key
+ * @param {RateLimitPolicy[]} policies
+ * @returns {Promise<PoliciesResult>}
+ */
+export async function peekPolicies (algorithm, store, key, policies) {
+  const readOnly = {
+    get: (key) => store.get(key),
+    set: async () => {},
+    increment: async (key, amount) => ((await store.get(key)) || 0) + amount
+  }
+
+  return consumePolicies(algorithm, readOnly, key, policies, { cost: 0 })
+}
+
+/**
+ * Clear the counters of every policy.
+ *
+ * @param {RateLimitAlgorithm} algorithm
+ * @param {RateLimitStore} store
+ * @param {string} key
+ * @param {RateLimitPolicy[]} policies
+ * @returns {Promise<void>}
+ */
+export async function resetPolicies (algorithm, store, key, policies) {
+  const now = Date.now()
+
+  await Promise.all(policies.map((policy) => algorithm.reset
+    ? algorithm.reset(store, policyKey(key, policy), { ...policy, now })
+    : store.reset(policyKey(key, policy))))
+}
+
+/**
+ * Report the most restrictive result, with the result of every policy.
+ *
+ * @param {Array<RateLimitResult & { policy: RateLimitPolicy }>} results
+ * @returns {PoliciesResult}
+ */
+export function summarize (results) {
+  return { ...mostRestrictive(results), results }
+}
+
+/**
+ * The first rejecting result, otherwise the one with the fewest remaining units
+ * (the latest reset on ties).
+ *
+ * @template {RateLimitResult} T
+ * @param {T[]} results
+ * @returns {T}
+ */
+export function mostRestrictive (results) {
+  return results.find((result) => !result.success) ||
+    results.reduce((a, b) => b.remaining < a.remaining || (b.remaining === a.remaining && b.reset > a.reset) ? b : a)
+}
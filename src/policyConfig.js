@@ -0,0 +1,86 @@
+import { assert, withTimeout } from './utils.js'
+
+/**
+ * @typedef {Object} PolicyConfigOptions
+ * @property {string} [binding] - KV binding name holding the policy document
+ * @property {string} [key] - KV key of the policy document, required with binding
+ * @property {string} [env] - Environment variable holding the policy document, instead of binding and key
+ * @property {number} [refresh=30] - Seconds the document is kept in the isolate before it is read again
+ * @property {number} [timeout] - Milliseconds after which a read fails, the timeout of the rate limiter by default
+ * @property {(error: unknown) => void | Promise<void>} [onError] - Called when the document cannot be read or is invalid
+ */
+
+/**
+ * Create the loader of the config option. The policy document is JSON shaped like
+ * the policy options, { limit, period } or { limits }, with burst, refillRate and
+ * timeZone. It is read from a KV key (as JSON) or an environment variable (a JSON
+ * string or an object), and kept in the isolate for refresh seconds.
+ *
+ * A missing document resolves to null, the configured policies apply. A document
+ * that cannot be read or is invalid is reported to onError and ignored: the last
+ * valid one stays in force until the next refresh. So does a read outlasting
+ * timeout, as every request of the isolate waits for it.
+ *
+ * @param {PolicyConfigOptions} options
+ * @param {(document: Object, path: string) => RateLimitPolicy[]} parse - Validates the document with the rules of the policy options
+ * @param {string} path - Name of the config option in error messages
+ * @param {number} [defaultTimeout] - Timeout of the rate limiter, used when the config sets none
+ * @returns {(ctx: HoaContext) => Promise<RateLimitPolicy[] | null>}
+ */
+export function createPolicyConfig (options, parse, path, defaultTimeout) {
+  assert(options && typeof options === 'object', `${path} must be an object`)
+
+  const { binding, key, env, refresh = 30, timeout = defaultTimeout, onError } = options
+
+  assert((binding === undefined) !== (env === undefined), `${path}.binding or ${path}.env is required, but not both`)
+  assert(binding === undefined || typeof binding === 'string', `${path}.binding must be a string`)
+  assert(binding === undefined || (typeof key === 'string' && key.length > 0), `${path}.key must be a non-empty string`)
+  assert(env === undefined || (typeof env === 'string' && env.length > 0), `${path}.env must be a non-empty string`)
+  assert(Number.isFinite(refresh) && refresh > 0, `${path}.refresh must be > 0 (seconds)`)
+  assert(timeout === undefined || (Number.isFinite(timeout) && timeout > 0), `${path}.timeout must be > 0 (milliseconds)`)
+  assert(onError === undefined || typeof onError === 'function', `${path}.onError must be a function`)
+
+  // A misconfigured binding is thrown like the other options, only the document is guarded
+  const source = (ctx) => {
+    if (env !== undefined) {
+      return async () => {
+        const value = ctx.env?.[env]
+        return typeof value === 'string' ? JSON.parse(value) : value ?? null
+      }
+    }
+
+    const namespace = ctx.env?.[binding]
+    assert(namespace && typeof namespace.get === 'function', `${path}.binding must be a KV binding name that resolves to a Cloudflare KV namespace`)
+    return () => namespace.get(key, 'json')
+  }
+
+  let cached = null
+  let loading = null
+
+  const load = async (ctx) => {
+    const read = source(ctx)
+    let policies = cached ? cached.policies : null
+    try {
+      const document = await (timeout ? withTimeout(read(), timeout, `${path} document was not read within ${timeout}ms`) : read())
+      if (document === null) {
+        policies = null
+      } else {
+        assert(typeof document === 'object' && !Array.isArray(document), `${path} document must be an object`)
+        policies = parse(document, `${path} document`)
+      }
+    } catch (error) {
+      if (onError) await onError(error)
+    }
+
+    cached = { policies, loadedAt: Date.now() }
+    return policies
+  }
+
+  return async (ctx) => {
+    if (cached && Date.now() - cached.loadedAt < refresh * 1000) return cached.policies
+
+    // Requests arriving while the document is read share the read
+    if (!loading) loading = load(ctx).finally(() => { loading = null })
+    return loading
+  }
+}
@@ -0,0 +1,60 @@
+import { assert } from './utils.js'
+import { cidrContains, clientIp, parseCidr, parseIp } from './ip.js'
+
+/**
+ * @typedef {string | { asn: number | number[] } | { country: string | string[] } | ((ctx: HoaContext) => boolean | Promise<boolean>)} Rule
+ * An IP address or CIDR range, an ASN or country matched against ctx.req.cf, or a predicate.
+ */
+
+/**
+ * Create a function telling whether a request matches any of the rules of the
+ * allow or deny option.
+ *
+ * @param {Rule | Rule[] | undefined} rules
+ * @param {string} name - Option name used in error messages
+ * @returns {((ctx: HoaContext) => Promise<boolean>) | null} null when there are no rules
+ */
+export function createRuleMatcher (rules, name) {
+  if (rules === undefined) return null
+
+  const list = Array.isArray(rules) ? rules : [rules]
+  const matchers = list.map((rule, i) => parseRule(rule, Array.isArray(rules) ? `options.${name}[${i}]` : `options.${name}`))
+
+  return async (ctx) => {
+    for (const matches of matchers) {
+      if (await matches(ctx)) return true
+    }
+    return false
+  }
+}
+
+function parseRule (rule, path) {
+  const message = `${path} must be an IP address, a CIDR range, { asn }, { country } or a function`
+
+  if (typeof rule === 'function') {
+    return async (ctx) => Boolean(await rule(ctx))
+  }
+
+  if (typeof rule === 'string') {
+    const cidr = parseCidr(rule)
+    assert(cidr, message)
+    return (ctx) => {
+      const ip = parseIp(clientIp(ctx))
+      return Boolean(ip) && cidrContains(cidr, ip)
+    }
+  }
+
+  assert(rule && typeof rule === 'object' && Object.keys(rule).length === 1, message)
+
+  if ('asn' in rule) {
+    const asns = [].concat(rule.asn)
+    assert(asns.length > 0 && asns.every((asn) => Number.isInteger(asn)), `${path}.asn must be an integer or an array of integers`)
+    return (ctx) => asns.includes(ctx.req.cf?.asn)
+  }
+
+  assert('country' in rule, message)
+  const countries = [].concat(rule.country)
+  assert(countries.length > 0 && countries.every((country) => typeof country === 'string' && /^[a-z0-9]{2}$/i.test(country)), `${path}.country must be an ISO country code or an array of codes`)
+  const codes = countries.map((country) => country.toUpperCase())
+  return (ctx) => codes.includes(ctx.req.cf?.country)
+}
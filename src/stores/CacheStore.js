@@ -0,0 +1,67 @@
+/**
+ * Cache API rate limit store.
+ * The cache is local to each Cloudflare location, so limits are enforced per location.
+ * It costs no KV operations, which makes it suitable for coarse per-location limits.
+ *
+ * @implements {RateLimitStore}
+ */
+export class CacheStore {
+  /**
+   * @param {Object} [options]
+   * @param {Cache} [options.cache] - Cache to use, defaults to caches.default
+   * @param {string} [options.baseUrl="https://ratelimit.invalid/"] - Base URL of the cache keys
+   */
+  constructor (options = {}) {
+    const { cache, baseUrl = 'https://ratelimit.invalid/' } = options
+    this.cache = cache
+    this.baseUrl = baseUrl
+  }
+
+  async get (key) {
+    const entry = await this.read(key)
+    return entry ? entry.value : null
+  }
+
+  async set (key, value, ttl) {
+    await this.write(key, value, Date.now() + ttl * 1000)
+  }
+
+  async increment (key, amount, ttl) {
+    const entry = await this.read(key)
+    const value = (entry ? entry.value : 0) + amount
+    await this.write(key, value, entry ? entry.expiresAt : Date.now() + ttl * 1000)
+    return value
+  }
+
+  async reset (key) {
+    await this.getCache().delete(this.url(key))
+  }
+
+  async read (key) {
+    const response = await this.getCache().match(this.url(key))
+    if (!response) return null
+    const entry = await response.json()
+    return entry.expiresAt > Date.now() ? entry : null
+  }
+
+  async write (key, value, expiresAt) {
+    const maxAge = Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000))
+    await this.getCache().put(this.url(key), new Response(JSON.stringify({ value, expiresAt }), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': `max-age=${maxAge}`
+      }
+    }))
+  }
+
+  getCache () {
+    // caches.default only exists in the Workers runtime, so resolve it lazily
+    return this.cache || globalThis.caches.default
+  }
+
+  url (key) {
+    return this.baseUrl + encodeURIComponent(key)
+  }
+}
+
+export default CacheStore
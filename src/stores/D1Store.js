@@ -0,0 +1,70 @@
+import { assert } from '../utils.js'
+
+/**
+ * D1 (SQLite) rate limit store. Increments are a single atomic upsert,
+ * so counters are consistent across locations.
+ *
+ * Create the table once with `await store.setup()` or in a D1 migration:
+ *
+ *   CREATE TABLE IF NOT EXISTS rate_limits (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER NOT NULL)
+ *
+ * @implements {RateLimitStore}
+ */
+export class D1Store {
+  /**
+   * @param {D1Database} database - D1 binding, e.g. ctx.env.DB
+   * @param {Object} [options]
+   * @param {string} [options.table="rate_limits"] - Table name
+   */
+  constructor (database, options = {}) {
+    const { table = 'rate_limits' } = options
+    assert(database && typeof database.prepare === 'function', 'database must be a Cloudflare D1 database')
+    assert(typeof table === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(table), 'options.table must be a valid table name')
+    this.database = database
+    this.table = table
+  }
+
+  /**
+   * Create the table if it does not exist.
+   */
+  async setup () {
+    await this.database.prepare(`CREATE TABLE IF NOT EXISTS ${this.table} (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER NOT NULL)`).run()
+  }
+
+  /**
+   * Delete expired rows, e.g. from a scheduled handler.
+   */
+  async purge () {
+    await this.database.prepare(`DELETE FROM ${this.table} WHERE expires_at <= ?`).bind(Date.now()).run()
+  }
+
+  async get (key) {
+    const row = await this.database
+      .prepare(`SELECT value FROM ${this.table} WHERE key = ? AND expires_at > ?`)
+      .bind(key, Date.now())
+      .first()
+    return row ? JSON.parse(row.value) : null
+  }
+
+  async set (key, value, ttl) {
+    await this.database
+      .prepare(`INSERT INTO ${this.table} (key, value, expires_at) VALUES (?1, ?2, ?3) ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`)
+      .bind(key, JSON.stringify(value), Date.now() + ttl * 1000)
+      .run()
+  }
+
+  async increment (key, amount, ttl) {
+    const now = Date.now()
+    const row = await this.database
+      .prepare(`INSERT INTO ${this.table} (key, value, expires_at) VALUES (?1, ?2, ?3) ON CONFLICT(key) DO UPDATE SET value = CASE WHEN expires_at > ?4 THEN value + ?2 ELSE ?2 END, expires_at = CASE WHEN expires_at > ?4 THEN expires_at ELSE ?3 END RETURNING value`)
+      .bind(key, amount, now + ttl * 1000, now)
+      .first()
+    return Number(row.value)
+  }
+
+  async reset (key) {
+    await this.database.prepare(`DELETE FROM ${this.table} WHERE key = ?`).bind(key).run()
+  }
+}
+
+export default D1Store
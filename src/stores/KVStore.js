@@ -0,0 +1,51 @@
+import { assert } from '../utils.js'
+
+/**
+ * Workers KV rate limit store.
+ * KV has no atomic increment and is eventually consistent, so concurrent requests
+ * hitting different locations may overshoot the limit.
+ *
+ * @implements {RateLimitStore}
+ */
+export class KVStore {
+  /**
+   * @param {KVNamespace} namespace - KV namespace binding, e.g. ctx.env.KV
+   */
+  constructor (namespace) {
+    assert(namespace && typeof namespace.get === 'function' && typeof namespace.put === 'function', 'namespace must be a Cloudflare KV namespace')
+    this.namespace = namespace
+  }
+
+  async get (key) {
+    const entry = await this.read(key)
+    return entry ? entry.value : null
+  }
+
+  async set (key, value, ttl) {
+    await this.write(key, value, Date.now() + ttl * 1000)
+  }
+
+  async increment (key, amount, ttl) {
+    const entry = await this.read(key)
+    const value = (entry ? entry.value : 0) + amount
+    await this.write(key, value, entry ? entry.expiresAt : Date.now() + ttl * 1000)
+    return value
+  }
+
+  async reset (key) {
+    await this.namespace.delete(key)
+  }
+
+  async read (key) {
+    const entry = await this.namespace.get(key, 'json')
+    return entry && entry.expiresAt > Date.now() ? entry : null
+  }
+
+  async write (key, value, expiresAt) {
+    // KV rejects expirationTtl below 60 seconds, expiry is also checked on read
+    const expirationTtl = Math.max(60, Math.ceil((expiresAt - Date.now()) / 1000))
+    await this.namespace.put(key, JSON.stringify({ value, expiresAt }), { expirationTtl })
+  }
+}
+
+export default KVStore
@@ -0,0 +1,50 @@
+/**
+ * In-memory rate limit store, for local development and tests.
+ * State lives in the current isolate only and is not shared between locations.
+ *
+ * @implements {RateLimitStore}
+ */
+export class MemoryStore {
+  constructor () {
+    /** @type {Map<string, { value: any, expiresAt: number }>} */
+    this.entries = new Map()
+  }
+
+  async get (key) {
+    const entry = this.read(key)
+    return entry ? structuredClone(entry.value) : null
+  }
+
+  async set (key, value, ttl) {
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttl * 1000 })
+  }
+
+  async increment (key, amount, ttl) {
+    const entry = this.read(key)
+    const value = (entry ? entry.value : 0) + amount
+    this.entries.set(key, { value, expiresAt: entry ? entry.expiresAt : Date.now() + ttl * 1000 })
+    return value
+  }
+
+  async reset (key) {
+    this.entries.delete(key)
+  }
+
+  /**
+   * Remove every key.
+   */
+  clear () {
+    this.entries.clear()
+  }
+
+  read (key) {
+    const entry = this.entries.get(key)
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+      return null
+    }
+    return entry || null
+  }
+}
+
+export default MemoryStore
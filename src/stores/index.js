@@ -0,0 +1,14 @@
+/**
+ * @typedef {Object} RateLimitStore
+ * Storage used by the rate limit algorithms. Values are JSON serializable, ttl is in seconds.
+ * @property {(key: string) => Promise<any>} get - Resolve the value stored at key, or null when missing or expired
+ * @property {(key: string, value: any, ttl: number) => Promise<void>} set - Store value at key, expiring after ttl
+ * @property {(key: string, amount: number, ttl: number) => Promise<number>} increment - Add amount to the number at key and resolve the new value.
+ *   A missing or expired key starts from 0 and expires after ttl, an existing key keeps its expiry.
+ * @property {(key: string) => Promise<void>} reset - Delete key
+ */
+
+export * from './MemoryStore.js'
+export * from './KVStore.js'
+export * from './CacheStore.js'
+export * from './D1Store.js'
@@ -0,0 +1,120 @@
+import { assert } from '../utils.js'
+
+const types = ['text', 'json', 'arrayBuffer']
+
+/**
+ * In-memory Cloudflare KV namespace, for tests of KVRateLimiter, KVStore and the
+ * config option. Put it in env under the binding name. It behaves like KV for
+ * get(), getWithMetadata(), put(), delete() and list(): keys expire, and put()
+ * rejects an expirationTtl below 60 seconds. Unlike KV, writes are visible at once
+ * everywhere.
+ */
+export class MemoryKVNamespace {
+  constructor () {
+    /** @type {Map<string, { value: string | Uint8Array, expiration?: number, metadata?: any }>} */
+    this.entries = new Map()
+  }
+
+  /**
+   * @param {string} key
+   * @param {'text' | 'json' | 'arrayBuffer' | { type?: 'text' | 'json' | 'arrayBuffer' }} [options="text"]
+   * @returns {Promise<any>} null when missing or expired
+   */
+  async get (key, options) {
+    return (await this.getWithMetadata(key, options)).value
+  }
+
+  /**
+   * @param {string} key
+   * @param {'text' | 'json' | 'arrayBuffer' | { type?: 'text' | 'json' | 'arrayBuffer' }} [options="text"]
+   * @returns {Promise<{ value: any, metadata: any }>}
+   */
+  async getWithMetadata (key, options) {
+    const type = typeof options === 'string' ? options : options?.type ?? 'text'
+    assert(types.includes(type), `type must be one of ${types.join(', ')}`)
+
+    const entry = this.read(key)
+    if (!entry) return { value: null, metadata: null }
+
+    const { value, metadata = null } = entry
+    if (type === 'arrayBuffer') {
+      const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value
+      return { value: bytes.slice().buffer, metadata }
+    }
+
+    const text = typeof value === 'string' ? value : new TextDecoder().decode(value)
+    return { value: type === 'json' ? JSON.parse(text) : text, metadata }
+  }
+
+  /**
+   * @param {string} key
+   * @param {string | ArrayBuffer | ArrayBufferView} value
+   * @param {{ expiration?: number, expirationTtl?: number, metadata?: any }} [options] - expiration in epoch seconds, expirationTtl in seconds
+   * @returns {Promise<void>}
+   */
+  async put (key, value, options = {}) {
+    assert(typeof key === 'string' && key.length > 0, 'key must be a non-empty string')
+    assert(typeof value === 'string' || value instanceof ArrayBuffer || ArrayBuffer.isView(value), 'value must be a string, an ArrayBuffer or an ArrayBufferView')
+
+    const { expiration, expirationTtl, metadata } = options
+    const now = Date.now() / 1000
+    assert(expirationTtl === undefined || (Number.isFinite(expirationTtl) && expirationTtl >= 60), 'expirationTtl must be at least 60 seconds')
+    assert(expiration === undefined || (Number.isFinite(expiration) && expiration >= now + 60), 'expiration must be at least 60 seconds in the future')
+
+    const bytes = typeof value === 'string'
+      ? value
+      : new Uint8Array(ArrayBuffer.isView(value) ? value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength) : value.slice(0))
+    this.entries.set(key, {
+      value: bytes,
+      expiration: expirationTtl !== undefined ? Math.floor(now + expirationTtl) : expiration,
+      metadata: metadata === undefined ? undefined : structuredClone(metadata)
+    })
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete (key) {
+    this.entries.delete(key)
+  }
+
+  /**
+   * Keys in lexicographic order, in pages of limit keys.
+   *
+   * @param {{ prefix?: string, limit?: number, cursor?: string }} [options]
+   * @returns {Promise<{ keys: Array<{ name: string, expiration?: number, metadata?: any }>, list_complete: boolean, cursor?: string }>}
+   */
+  async list (options = {}) {
+    const { prefix = '', limit = 1000, cursor } = options
+    assert(Number.isInteger(limit) && limit >= 1 && limit <= 1000, 'limit must be between 1 and 1000')
+
+    const names = [...this.entries.keys()].filter((name) => name.startsWith(prefix) && this.read(name)).sort()
+    const start = cursor ? Number(cursor) : 0
+    const keys = names.slice(start, start + limit).map((name) => {
+      const { expiration, metadata } = this.entries.get(name)
+      return { name, expiration, metadata }
+    })
+
+    const complete = start + limit >= names.length
+    return complete ? { keys, list_complete: true } : { keys, list_complete: false, cursor: String(start + limit) }
+  }
+
+  /**
+   * Remove every key.
+   */
+  clear () {
+    this.entries.clear()
+  }
+
+  read (key) {
+    const entry = this.entries.get(key)
+    if (entry && entry.expiration !== undefined && entry.expiration * 1000 <= Date.now()) {
+      this.entries.delete(key)
+      return null
+    }
+    return entry || null
+  }
+}
+
+export default MemoryKVNamespace
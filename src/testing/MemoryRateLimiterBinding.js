@@ -0,0 +1,49 @@
+import { assert } from '../utils.js'
+
+/**
+ * In-memory Cloudflare Rate Limiting binding, for tests of RateLimiter. Put it in
+ * env under the binding name. Like the simple rate limiter of wrangler.toml, each
+ * key gets limit calls per period (10 or 60 seconds), in fixed windows. Unlike
+ * Cloudflare, which counts per location and eventually, it is exact.
+ */
+export class MemoryRateLimiterBinding {
+  /**
+   * @param {{ limit: number, period: 10 | 60 }} options - The simple config of wrangler.toml
+   */
+  constructor (options = {}) {
+    const { limit, period } = options
+    assert(Number.isInteger(limit) && limit >= 1, 'options.limit must be >= 1')
+    assert(period === 10 || period === 60, 'options.period must be 10 or 60 seconds')
+
+    this.options = { limit, period }
+    /** @type {Map<string, { start: number, count: number }>} */
+    this.windows = new Map()
+  }
+
+  /**
+   * @param {{ key: string }} options
+   * @returns {Promise<{ success: boolean }>}
+   */
+  async limit ({ key } = {}) {
+    assert(typeof key === 'string', 'key must be a string')
+
+    const { limit, period } = this.options
+    const now = Date.now()
+    const start = now - now % (period * 1000)
+    const window = this.windows.get(key)
+    const count = window && window.start === start ? window.count : 0
+
+    if (count >= limit) return { success: false }
+    this.windows.set(key, { start, count: count + 1 })
+    return { success: true }
+  }
+
+  /**
+   * Forget every key.
+   */
+  clear () {
+    this.windows.clear()
+  }
+}
+
+export default MemoryRateLimiterBinding
@@ -0,0 +1,46 @@
+import { assert } from '../utils.js'
+
+/**
+ * @typedef {Object} FakeClock
+ * @property {() => number} now - Current time in milliseconds
+ * @property {(ms: number) => number} advance - Move the clock forward by ms milliseconds, resolves the new time
+ * @property {(time: number | Date) => number} set - Move the clock to time, resolves the new time
+ * @property {() => void} uninstall - Restore Date.now()
+ */
+
+/**
+ * Replace Date.now() with a clock moved by hand, so windows, TTLs and resets are
+ * crossed without waiting. The rate limiters, stores and in-memory bindings all
+ * read the time from Date.now(). Timers are not faked, use the fake timers of the
+ * test framework for delay mode. Uninstall clocks in the reverse order.
+ *
+ * @param {number | Date} [now=Date.now()] - Start time
+ * @returns {FakeClock}
+ */
+export function installClock (now = Date.now()) {
+  const original = Date.now
+  let time = toTime(now)
+  Date.now = () => time
+
+  return {
+    now: () => time,
+    advance (ms) {
+      assert(Number.isFinite(ms) && ms >= 0, 'ms must be >= 0')
+      time += ms
+      return time
+    },
+    set (value) {
+      time = toTime(value)
+      return time
+    },
+    uninstall () {
+      Date.now = original
+    }
+  }
+}
+
+function toTime (value) {
+  const time = value instanceof Date ? value.getTime() : value
+  assert(Number.isFinite(time), 'time must be a number of milliseconds or a Date')
+  return time
+}
@@ -0,0 +1,10 @@
+/**
+ * Helpers for testing apps using the rate limiters, imported from
+ * @hoajs/cloudflare-rate-limit/testing. They are not part of the main entry point,
+ * so they stay out of Worker bundles.
+ */
+
+export * from './clock.js'
+export * from './MemoryKVNamespace.js'
+export * from './MemoryRateLimiterBinding.js'
+export * from './requests.js'
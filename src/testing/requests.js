@@ -0,0 +1,94 @@
+import { assert } from '../utils.js'
+
+/**
+ * @typedef {Object} FireOptions
+ * @property {number} [count=1] - Requests sent, one after the other
+ * @property {Object} [env={}] - Bindings passed to app.fetch(), e.g. { KV: new MemoryKVNamespace() }
+ * @property {{ waitUntil: Function, passThroughOnException: Function }} [executionCtx] - Execution context passed to app.fetch(), one awaiting waitUntil() by default
+ */
+
+/**
+ * Send requests to an app with a Workers fetch handler, such as a Hoa app, like the
+ * Workers runtime does: app.fetch(request, env, executionCtx). Requests are sent one
+ * after the other, and the promises passed to waitUntil() are awaited before the
+ * next one. Like Cloudflare, every request carries CF-Connecting-IP, 127.0.0.1
+ * unless the request sets it.
+ *
+ * @param {{ fetch: (request: Request, env: Object, executionCtx: Object) => Response | Promise<Response> }} app
+ * @param {string | Request | ((index: number) => string | Request)} [request="/"] - URL (relative to http://localhost), Request, or a function of the request index
+ * @param {FireOptions} [options]
+ * @returns {Promise<Response[]>}
+ */
+export async function fire (app, request = '/', options = {}) {
+  const { count = 1, env = {}, executionCtx } = options
+
+  assert(app && typeof app.fetch === 'function', 'app must expose fetch(request, env, executionCtx), e.g. a Hoa app')
+  assert(Number.isInteger(count) && count >= 1, 'options.count must be an integer >= 1')
+
+  const responses = []
+  for (let i = 0; i < count; i++) {
+    const pending = []
+    const context = executionCtx || {
+      waitUntil: (promise) => { pending.push(promise) },
+      passThroughOnException: () => {}
+    }
+    responses.push(await app.fetch(toRequest(typeof request === 'function' ? request(i) : request), env, context))
+    await Promise.all(pending)
+  }
+  return responses
+}
+
+/**
+ * Assert that the first allowed responses went through and every other one got 429.
+ *
+ * @param {Response[]} responses
+ * @param {number} allowed
+ * @throws {Error} Naming the first response that does not match
+ */
+export function assertLimited (responses, allowed) {
+  assert(Array.isArray(responses), 'responses must be an array of Response')
+  assert(Number.isInteger(allowed) && allowed >= 0 && allowed <= responses.length, 'allowed must be an integer between 0 and the number of responses')
+
+  responses.forEach((response, i) => {
+    const request = `request ${i + 1} of ${responses.length}`
+    if (i < allowed && response.status === 429) {
+      throw new Error(`Expected ${request} to be allowed, it got 429`)
+    }
+    if (i >= allowed && response.status !== 429) {
+      throw new Error(`Expected ${request} to get 429, it got ${response.status}`)
+    }
+  })
+}
+
+/**
+ * Assert response headers: strings and numbers must equal the header, a RegExp must
+ * match it, and null means the header is absent.
+ *
+ * @param {Response} response
+ * @param {Record<string, string | number | RegExp | null>} expected
+ * @throws {Error} Naming the first header that does not match
+ */
+export function assertHeaders (response, expected) {
+  assert(response && response.headers && typeof response.headers.get === 'function', 'response must be a Response')
+
+  for (const [name, value] of Object.entries(expected)) {
+    const actual = response.headers.get(name)
+    const matches = value === null
+      ? actual === null
+      : value instanceof RegExp ? actual !== null && value.test(actual) : actual === String(value)
+    if (!matches) {
+      throw new Error(`Expected header ${name} to be ${value === null ? 'absent' : value}, it is ${actual === null ? 'absent' : actual}`)
+    }
+  }
+}
+
+function toRequest (request) {
+  assert(request instanceof Request || typeof request === 'string', 'request must be a URL, a Request or a function returning one')
+
+  const result = request instanceof Request ? request.clone() : new Request(new URL(request, 'http://localhost'))
+  if (result.headers.has('CF-Connecting-IP')) return result
+
+  const headers = new Headers(result.headers)
+  headers.set('CF-Connecting-IP', '127.0.0.1')
+  return new Request(result, { headers })
+}
@@ -1,9 +1,59 @@
+/**
+ * Error thrown for invalid options, and for bindings or stores that do not resolve
+ * at request time. It is a TypeError, told apart from the TypeErrors a store may
+ * throw (e.g. a lost network connection).
+ */
+export class ConfigurationError extends TypeError {
+  /**
+   * @param {string} message
+   */
+  constructor (message) {
+    super(message)
+    this.name = 'ConfigurationError'
+  }
+}
+
 /**
  * Assert helper function
  * @param {boolean} condition - Condition to check
  * @param {string} message - Error message if condition is false
- * @throws {TypeError} If condition is false
+ * @throws {ConfigurationError} If condition is false
  */
 export function assert (condition, message) {
-  if (!condition) throw new TypeError(message)
+  if (!condition) throw new ConfigurationError(message)
+}
+
+/**
+ * Check whether a value implements RateLimitStore
+ * @param {any} store
+ * @returns {boolean}
+ */
+export function isStore (store) {
+  return Boolean(store) && ['get', 'set', 'increment', 'reset'].every((method) => typeof store[method] === 'function')
+}
+
+/**
+ * SHA-256 hex digest of a string
+ * @param {string} value
+ * @returns {Promise<string>}
+ */
+export async function sha256 (value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value))
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Reject with message when promise does not settle within timeout milliseconds
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} timeout - Milliseconds
+ * @param {string} message - Error message on expiry
+ * @returns {Promise<T>}
+ */
+export function withTimeout (promise, timeout, message) {
+  let timer
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeout)
+  })
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer))
 }
@@ -1,27 +1,405 @@
 import type { HoaContext, HoaMiddleware } from 'hoa'
 
-export interface KVRateLimiterOptions {
+export interface RateLimitStore {
+  get (key: string): Promise<any>
+  set (key: string, value: any, ttl: number): Promise<void>
+  increment (key: string, amount: number, ttl: number): Promise<number>
+  reset (key: string): Promise<void>
+}
+
+export type CalendarPeriod = 'day' | 'week' | 'month'
+
+export interface AlgorithmOptions {
+  limit: number
+  /** Seconds, or a calendar period (fixed-window only) */
+  period: number | CalendarPeriod
+  timeZone?: string
+  cost?: number
+  force?: boolean
+  burst?: number
+  refillRate?: number
+  now?: number
+}
+
+export interface RateLimitResult {
+  success: boolean
+  limit: number
+  remaining: number
+  reset: number
+}
+
+export interface RateLimitAlgorithm {
+  consume (store: RateLimitStore, key: string, options: AlgorithmOptions): Promise<RateLimitResult>
+  refund? (store: RateLimitStore, key: string, options: AlgorithmOptions): Promise<void>
+  reset? (store: RateLimitStore, key: string, options: AlgorithmOptions): Promise<void>
+}
+
+export interface RateLimitPolicy {
+  limit: number
+  /** Seconds, or a calendar period (fixed-window only) */
+  period: number | CalendarPeriod
+  /** IANA time zone of a calendar period, UTC by default */
+  timeZone?: string
+  burst?: number
+  refillRate?: number
+}
+
+export type ResolvedPolicy = RateLimitPolicy & { id?: string, tier?: string }
+
+export type TierPolicies =
+  | RateLimitPolicy
+  | { limits: RateLimitPolicy[], burst?: number, refillRate?: number, timeZone?: string }
+
+export type Resolvable<T> = T | ((ctx: HoaContext) => T | Promise<T>)
+
+export interface RateLimitInfo extends RateLimitResult {
+  key: string
+  policy?: ResolvedPolicy
+  results?: Array<RateLimitResult & { policy: ResolvedPolicy }>
+  scope?: string
+  scopes?: Array<RateLimitResult & { scope: string, key: string, policy?: ResolvedPolicy, results?: Array<RateLimitResult & { policy: ResolvedPolicy }> }>
+  ban?: Ban
+  delay?: number
+}
+
+export interface RateLimitEvent {
+  type: 'allowed' | 'limited' | 'skipped' | 'storeError'
+  route: string
+  reason?: 'allow' | 'deny' | 'key' | 'limit' | 'ban'
+  key?: string
+  scope?: string
+  policy?: ResolvedPolicy
+  limit?: number
+  remaining?: number
+  reset?: number
+  latency?: number
+  delay?: number
+  dryRun?: boolean
+  error?: unknown
+  open?: boolean
+}
+
+export interface BanOptions {
+  threshold?: number
+  lookback?: number
+  durations?: number[]
+}
+
+export interface Ban {
+  level: number
+  until: number
+  reset: number
+}
+
+export interface LocalCacheOptions {
+  ttl?: number
+  maxKeys?: number
+}
+
+export interface RateLimitBans {
+  get (ctx: { env: any }, key: string): Promise<Ban | null>
+  lift (ctx: { env: any }, key: string): Promise<void>
+}
+
+export interface PolicyConfigOptions {
+  binding?: string
+  key?: string
+  env?: string
+  refresh?: number
+  timeout?: number
+  onError?: (error: unknown) => void | Promise<void>
+}
+
+export interface RateLimitScope {
+  keyGenerator: KeyGenerator
+  limit?: Resolvable<number>
+  period?: Resolvable<number | CalendarPeriod>
+  timeZone?: string
+  limits?: Resolvable<RateLimitPolicy[]>
+  tier?: (ctx: HoaContext) => string | Promise<string>
+  tiers?: Record<string, TierPolicies>
+  config?: PolicyConfigOptions
+  burst?: number
+  refillRate?: number
+}
+
+export type RateLimitKey = string | null | undefined | false
+
+export interface RateLimitKeyEntry {
+  key: RateLimitKey
+  /** Tier name, or limits replacing the configured policies of the key */
+  policy?: string | TierPolicies
+  /** Units consumed, replacing options.cost (single key only) */
+  cost?: number
+}
+
+export type KeyGeneratorResult = RateLimitKey | RateLimitKeyEntry | Array<RateLimitKey | Omit<RateLimitKeyEntry, 'cost'>>
+
+export type KeyGenerator = (ctx: HoaContext) => KeyGeneratorResult | Promise<KeyGeneratorResult>
+
+export type Rule =
+  | string
+  | { asn: number | number[] }
+  | { country: string | string[] }
+  | ((ctx: HoaContext) => boolean | Promise<boolean>)
+
+export type HeadersMode = 'legacy' | 'draft-6' | 'draft-8' | 'none'
+
+export type ResponseFormat = 'text' | 'json' | 'html' | 'auto'
+
+export type RateLimitHandler = (ctx: HoaContext, limit: number, remaining: number, reset: number, info: RateLimitInfo) => void
+
+export type Cost = number | ((ctx: HoaContext) => number | Promise<number>)
+
+export type AlgorithmName = 'fixed-window' | 'sliding-window' | 'sliding-log' | 'token-bucket' | 'gcra'
+
+/** Options shared by every rate limiter, handled by the middleware */
+export interface RateLimitMiddlewareOptions<Info extends Partial<RateLimitInfo> = RateLimitInfo> {
+  mode?: 'enforce' | 'dryRun' | 'delay'
+  maxWait?: number
+  onLimitReached?: (ctx: HoaContext, info: Info) => void | Promise<void>
+  onEvent?: (event: RateLimitEvent, ctx: HoaContext) => void | Promise<void>
+  hashEventKeys?: boolean
+  allow?: Rule | Rule[]
+  deny?: Rule | Rule[]
+  onStoreError?: 'open' | 'closed' | ((ctx: HoaContext, error: Error) => boolean | Promise<boolean>)
+  timeout?: number
+  headers?: HeadersMode
+  quotaUnit?: string
+  responseFormat?: ResponseFormat
+  message?: string | ((ctx: HoaContext, info: Info) => string | Promise<string>)
+  successHandler?: (ctx: HoaContext, limit: Info['limit'], remaining: Info['remaining'], reset: Info['reset'], info: Info) => void
+  errorHandler?: (ctx: HoaContext, limit: Info['limit'], remaining: Info['remaining'], reset: Info['reset'], info: Info) => void
+}
+
+export interface KVRateLimiterOptions extends RateLimitMiddlewareOptions {
   binding: string
   prefix?: string
-  limit: number
-  period: number
+  limit?: Resolvable<number>
+  period?: Resolvable<number | CalendarPeriod>
+  timeZone?: string
+  limits?: Resolvable<RateLimitPolicy[]>
+  tier?: (ctx: HoaContext) => string | Promise<string>
+  tiers?: Record<string, TierPolicies>
+  config?: PolicyConfigOptions
   interval?: number
-  keyGenerator: (ctx: HoaContext) => string | null | undefined | false
-  successHandler?: (ctx: HoaContext, limit: number, remaining: number, reset: number) => void
-  errorHandler?: (ctx: HoaContext, limit: number, remaining: number, reset: number) => void
+  algorithm?: AlgorithmName | RateLimitAlgorithm
+  burst?: number
+  refillRate?: number
+  keyGenerator?: KeyGenerator
+  scopes?: Record<string, RateLimitScope>
+  cost?: Cost
+  deferCost?: boolean
+  skipSuccessfulRequests?: boolean
+  skipFailedRequests?: boolean
+  shouldCount?: (ctx: HoaContext, error?: unknown) => boolean | Promise<boolean>
+  cache?: boolean | LocalCacheOptions
+  ban?: BanOptions
 }
 
-export interface RateLimiterOptions {
+export interface DurableObjectRateLimiterOptions extends RateLimitMiddlewareOptions {
   binding: string
-  keyGenerator: (ctx: HoaContext) => string | null | undefined | false
-  successHandler?: (ctx: HoaContext) => void
-  errorHandler?: (ctx: HoaContext) => void
+  prefix?: string
+  limit?: Resolvable<number>
+  period?: Resolvable<number | CalendarPeriod>
+  timeZone?: string
+  limits?: Resolvable<RateLimitPolicy[]>
+  tier?: (ctx: HoaContext) => string | Promise<string>
+  tiers?: Record<string, TierPolicies>
+  config?: PolicyConfigOptions
+  algorithm?: AlgorithmName
+  burst?: number
+  refillRate?: number
+  keyGenerator?: KeyGenerator
+  scopes?: Record<string, RateLimitScope>
+  cost?: Cost
+  deferCost?: boolean
+  skipSuccessfulRequests?: boolean
+  skipFailedRequests?: boolean
+  shouldCount?: (ctx: HoaContext, error?: unknown) => boolean | Promise<boolean>
+}
+
+export interface StoreRateLimiterOptions extends RateLimitMiddlewareOptions {
+  store: RateLimitStore | ((ctx: HoaContext) => RateLimitStore)
+  prefix?: string
+  limit?: Resolvable<number>
+  period?: Resolvable<number | CalendarPeriod>
+  timeZone?: string
+  limits?: Resolvable<RateLimitPolicy[]>
+  tier?: (ctx: HoaContext) => string | Promise<string>
+  tiers?: Record<string, TierPolicies>
+  config?: PolicyConfigOptions
+  algorithm?: AlgorithmName | RateLimitAlgorithm
+  burst?: number
+  refillRate?: number
+  keyGenerator?: KeyGenerator
+  scopes?: Record<string, RateLimitScope>
+  cost?: Cost
+  deferCost?: boolean
+  skipSuccessfulRequests?: boolean
+  skipFailedRequests?: boolean
+  shouldCount?: (ctx: HoaContext, error?: unknown) => boolean | Promise<boolean>
+  ban?: BanOptions
+}
+
+/** The native binding reports neither its configuration nor the remaining count */
+export interface RateLimiterOptions extends RateLimitMiddlewareOptions<Partial<RateLimitInfo> & { key: string, success: boolean }> {
+  binding: string
+  keyGenerator: KeyGenerator
+  cost?: Cost
+  deferCost?: boolean
+  limit?: number
+  period?: number
 }
 
 export function KVRateLimiter (
   options: KVRateLimiterOptions
-): HoaMiddleware
+): HoaMiddleware & { bans?: RateLimitBans, usage?: RateLimitUsageFn }
 
 export function RateLimiter (
   options: RateLimiterOptions
 ): HoaMiddleware
+
+export interface RateLimitRoute<T = any> {
+  path: string | RegExp | { test (input: { pathname: string }): boolean }
+  method?: string | string[]
+  name?: string
+  policy?: Partial<T>
+}
+
+export interface RouteRateLimiterOptions<T = any> {
+  limiter: (options: T) => HoaMiddleware
+  defaults?: Partial<T>
+  routes: Array<RateLimitRoute<T>>
+}
+
+export function RouteRateLimiter<T> (
+  options: RouteRateLimiterOptions<T>
+): HoaMiddleware
+
+export interface ConcurrencyLimiterOptions extends RateLimitMiddlewareOptions {
+  store?: RateLimitStore | ((ctx: HoaContext) => RateLimitStore)
+  binding?: string
+  prefix?: string
+  limit: number
+  lease?: number
+  keyGenerator: KeyGenerator
+}
+
+export function ConcurrencyLimiter (
+  options: ConcurrencyLimiterOptions
+): HoaMiddleware
+
+export function StoreRateLimiter (
+  options: StoreRateLimiterOptions
+): HoaMiddleware & { bans?: RateLimitBans, usage?: RateLimitUsageFn }
+
+export function DurableObjectRateLimiter (
+  options: DurableObjectRateLimiterOptions
+): HoaMiddleware & { usage: RateLimitUsageFn }
+
+export type RateLimitUsageFn = (ctx: HoaContext) => Promise<RateLimitInfo | null>
+
+export interface RateLimitUsage {
+  scope?: string
+  period?: number | CalendarPeriod
+  timeZone?: string
+  tier?: string
+  limit: number
+  used: number
+  remaining: number
+  reset: number
+  resetAt: string
+}
+
+export type RateLimitUsageResponse = RateLimitUsage & { quotas: RateLimitUsage[] }
+
+export function UsageRoute (
+  rateLimiter: HoaMiddleware & { usage?: RateLimitUsageFn }
+): HoaMiddleware
+
+export declare class RateLimiterDurableObject {
+  constructor (state: any, env: any)
+  fetch (request: Request): Promise<Response>
+  limit (options: { policies: ResolvedPolicy[], algorithm?: AlgorithmName, cost?: number, force?: boolean, now?: number }): Promise<Omit<RateLimitInfo, 'key'>>
+  refund (options: { policies: ResolvedPolicy[], algorithm?: AlgorithmName, cost?: number, now?: number }): Promise<void>
+  peek (options: { policies: ResolvedPolicy[], algorithm?: AlgorithmName }): Promise<Omit<RateLimitInfo, 'key'>>
+  acquire (options: { limit: number, lease: number, id: string }): Promise<RateLimitResult & { lease?: string }>
+  release (options: { id: string }): Promise<void>
+  alarm (): Promise<void>
+}
+
+export interface LimiterOptions {
+  store: RateLimitStore
+  prefix?: string
+  limit?: number
+  period?: number | CalendarPeriod
+  timeZone?: string
+  limits?: RateLimitPolicy[]
+  algorithm?: AlgorithmName | RateLimitAlgorithm
+  burst?: number
+  refillRate?: number
+}
+
+export type LimiterResult = RateLimitResult & { policy: ResolvedPolicy, results: Array<RateLimitResult & { policy: ResolvedPolicy }> }
+
+export declare class Limiter {
+  constructor (options: LimiterOptions)
+  check (key: string): Promise<LimiterResult>
+  consume (key: string, cost?: number): Promise<LimiterResult>
+  peek (key: string): Promise<LimiterResult>
+  reset (key: string): Promise<void>
+  refund (key: string, cost?: number): Promise<void>
+}
+
+export function analyticsEngine (dataset: string | { writeDataPoint (point: { blobs?: string[], doubles?: number[], indexes?: string[] }): void }): (event: RateLimitEvent, ctx: HoaContext) => void
+
+export function byIp (options?: { ipv6Prefix?: number, ipv4Prefix?: number }): KeyGenerator
+export function byHeader (name: string, options?: { hash?: boolean }): KeyGenerator
+export function byBearerToken (options?: { hash?: boolean }): KeyGenerator
+export function byCookie (name: string, options?: { hash?: boolean }): KeyGenerator
+export function byRoute (): KeyGenerator
+/** Joins the keys of the parts, keeping the policy and cost of one part at most; parts returning arrays are rejected */
+export function combine (...generators: KeyGenerator[]): (ctx: HoaContext) => Promise<RateLimitKey | RateLimitKeyEntry>
+
+/** Thrown for invalid options, and for bindings or stores that do not resolve at request time */
+export declare class ConfigurationError extends TypeError {
+  name: 'ConfigurationError'
+}
+
+export declare const algorithms: Record<AlgorithmName, RateLimitAlgorithm>
+
+export declare class MemoryStore implements RateLimitStore {
+  constructor ()
+  get (key: string): Promise<any>
+  set (key: string, value: any, ttl: number): Promise<void>
+  increment (key: string, amount: number, ttl: number): Promise<number>
+  reset (key: string): Promise<void>
+  clear (): void
+}
+
+export declare class KVStore implements RateLimitStore {
+  constructor (namespace: any)
+  get (key: string): Promise<any>
+  set (key: string, value: any, ttl: number): Promise<void>
+  increment (key: string, amount: number, ttl: number): Promise<number>
+  reset (key: string): Promise<void>
+}
+
+export declare class CacheStore implements RateLimitStore {
+  constructor (options?: { cache?: any, baseUrl?: string })
+  get (key: string): Promise<any>
+  set (key: string, value: any, ttl: number): Promise<void>
+  increment (key: string, amount: number, ttl: number): Promise<number>
+  reset (key: string): Promise<void>
+}
+
+export declare class D1Store implements RateLimitStore {
+  constructor (database: any, options?: { table?: string })
+  setup (): Promise<void>
+  purge (): Promise<void>
+  get (key: string): Promise<any>
+  set (key: string, value: any, ttl: number): Promise<void>
+  increment (key: string, amount: number, ttl: number): Promise<number>
+  reset (key: string): Promise<void>
+}
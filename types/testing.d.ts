@@ -0,0 +1,47 @@
+export interface FakeClock {
+  now (): number
+  advance (ms: number): number
+  set (time: number | Date): number
+  uninstall (): void
+}
+
+export function installClock (now?: number | Date): FakeClock
+
+export type KVValueType = 'text' | 'json' | 'arrayBuffer'
+
+export class MemoryKVNamespace {
+  constructor ()
+  get (key: string, options?: KVValueType | { type?: KVValueType }): Promise<any>
+  getWithMetadata (key: string, options?: KVValueType | { type?: KVValueType }): Promise<{ value: any, metadata: any }>
+  put (key: string, value: string | ArrayBuffer | ArrayBufferView, options?: { expiration?: number, expirationTtl?: number, metadata?: any }): Promise<void>
+  delete (key: string): Promise<void>
+  list (options?: { prefix?: string, limit?: number, cursor?: string }): Promise<{ keys: Array<{ name: string, expiration?: number, metadata?: any }>, list_complete: boolean, cursor?: string }>
+  clear (): void
+}
+
+export class MemoryRateLimiterBinding {
+  constructor (options: { limit: number, period: 10 | 60 })
+  limit (options: { key: string }): Promise<{ success: boolean }>
+  clear (): void
+}
+
+export interface ExecutionContextLike {
+  waitUntil (promise: Promise<unknown>): void
+  passThroughOnException (): void
+}
+
+export interface FireOptions {
+  count?: number
+  env?: Record<string, any>
+  executionCtx?: ExecutionContextLike
+}
+
+export function fire (
+  app: { fetch (request: Request, env: any, executionCtx: ExecutionContextLike): Response | Promise<Response> },
+  request?: string | Request | ((index: number) => string | Request),
+  options?: FireOptions
+): Promise<Response[]>
+
+export function assertLimited (responses: Response[], allowed: number): void
+
+export function assertHeaders (response: Response, expected: Record<string, string | number | RegExp | null>): void